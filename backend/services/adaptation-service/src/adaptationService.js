@@ -4,16 +4,67 @@
  * Implements the 5 adaptation strategies:
  * 1. Slow Narration - Reduce playback speed
  * 2. Smart Pause - Auto-pause with cue
+ * 3. Auto Repeat - Rewind to the passage the listener keeps going back to
+ * 4. Summary - Recap of what was just heard when overload persists in a chapter
  * 
  * All adaptations occur WITHOUT user commands (key research innovation)
+ *
+ * Besides reacting to the current state, slow narration and smart pauses can
+ * be scheduled ahead of passages known to be difficult (`proactive: true`).
  */
 
 import { v4 as uuidv4 } from 'uuid';
+import { log } from './log.js';
+
+// Events where the listener moved backwards; their currentTime is where they went back to
+const REWIND_EVENT_TYPES = new Set(['AUDIO_REPLAY', 'NAVIGATION_REVERSAL']);
+const MIN_REPEAT_SECONDS = 5;
+const MAX_REPEAT_SECONDS = 60;
+const DEFAULT_REPEAT_SECONDS = 15;
+const REPEAT_LEAD_IN_SECONDS = 2;
+
+// Proactive adaptations: how far ahead to look, and how early before the passage to act
+const PROACTIVE_LOOKAHEAD_SECONDS = 15;
+const PROACTIVE_LEAD_SECONDS = 3;
+const PROACTIVE_MIN_DIFFICULTY = 0.6;
+// Passages at least this hard are narrated slower; milder ones get a pause before them
+const PROACTIVE_SLOW_DIFFICULTY = 0.8;
+
+// Rejections/overrides in a row before a listener's strategy is backed off, and how long for
+// (doubling with every further rejection)
+const FEEDBACK_BACKOFF_AFTER = 2;
+const FEEDBACK_BACKOFF_BASE_MS = 5 * 60 * 1000;
+const FEEDBACK_BACKOFF_MAX_MS = 24 * 60 * 60 * 1000;
+
+// Consecutive high-load states in one section (including the current one) before a recap is offered
+const PERSISTENT_OVERLOAD_STATES = 3;
+
+const hasConfusion = (cognitiveState) =>
+    cognitiveState.patterns?.includes('confusion') || cognitiveState.patterns?.includes('repetition_spike');
+
+/**
+ * Whether the load has stayed high for the last few analyses of the current section
+ *
+ * @param previousStates - Earlier states of the session, oldest first
+ */
+export function hasPersistentOverload(cognitiveState, previousStates = [], sectionId = cognitiveState.sectionId) {
+    if (cognitiveState.cognitiveLoad !== 'high') return false;
+
+    const earlier = previousStates
+        .filter(state => !sectionId || state.sectionId === sectionId)
+        .slice(-(PERSISTENT_OVERLOAD_STATES - 1));
+
+    return earlier.length === PERSISTENT_OVERLOAD_STATES - 1
+        && earlier.every(state => state.cognitiveLoad === 'high');
+}
 
 /**
  * Get recommended adaptations based on cognitive state
+ *
+ * @param context.previousStates - Earlier states of the session, for persistence checks
+ * @param context.currentSection - Section being listened to
  */
-export function recommendAdaptations(cognitiveState) {
+export function recommendAdaptations(cognitiveState, context = {}) {
     const recommendations = [];
 
     if (cognitiveState.cognitiveLoad === 'high') {
@@ -29,6 +80,14 @@ export function recommendAdaptations(cognitiveState) {
         }
     }
 
+    if (hasPersistentOverload(cognitiveState, context.previousStates, context.currentSection)) {
+        recommendations.push('SUMMARY');
+    }
+
+    if (cognitiveState.cognitiveLoad !== 'low' && hasConfusion(cognitiveState)) {
+        recommendations.push('AUTO_REPEAT');
+    }
+
     if (cognitiveState.cognitiveLoad === 'medium') {
         const pauseCount = cognitiveState.behaviorSummary?.pauseCount || 0;
         if (pauseCount >= 3 || cognitiveState.patterns?.includes('fatigue')) {
@@ -39,6 +98,57 @@ export function recommendAdaptations(cognitiveState) {
     return [...new Set(recommendations)];
 }
 
+/**
+ * Work out where an automatic repeat should start.
+ *
+ * The positions the listener rewound to in the recent window mark the
+ * passage they struggle with; the repeat starts a little before the earliest
+ * of them (within MAX_REPEAT_SECONDS of the current position), and covers at
+ * least MIN_REPEAT_SECONDS. Without any rewinds it repeats the last
+ * DEFAULT_REPEAT_SECONDS.
+ *
+ * @param context.currentTime - Current playback position (seconds)
+ * @param context.recentEvents - Recent behavioral events of the section
+ * @returns { rewindTo, replayDuration } in seconds, or null if the position is unknown
+ */
+export function computeRepeatTarget(context = {}) {
+    const recentEvents = context.recentEvents || [];
+    const positionOf = (event) => event.metadata?.toTime ?? event.metadata?.currentTime;
+
+    const lastKnownPosition = [...recentEvents].reverse()
+        .map(e => e.metadata?.currentTime)
+        .find(Number.isFinite);
+    const currentTime = Number.isFinite(context.currentTime) ? context.currentTime : lastKnownPosition;
+    if (!Number.isFinite(currentTime)) return null;
+
+    const isRewind = (event) => {
+        const type = event.eventType?.toUpperCase();
+        return REWIND_EVENT_TYPES.has(type) || (type === 'AUDIO_SEEK' && event.metadata?.seekDuration < 0);
+    };
+    const rewindPositions = recentEvents
+        .filter(isRewind)
+        .map(positionOf)
+        .filter(position => Number.isFinite(position) && position < currentTime && currentTime - position <= MAX_REPEAT_SECONDS);
+
+    const anchor = rewindPositions.length > 0
+        ? Math.min(...rewindPositions) - REPEAT_LEAD_IN_SECONDS
+        : currentTime - DEFAULT_REPEAT_SECONDS;
+    const rewindTo = Math.max(0, Math.floor(Math.min(anchor, currentTime - MIN_REPEAT_SECONDS)));
+
+    return { rewindTo, replayDuration: Math.round(currentTime - rewindTo) };
+}
+
+/**
+ * Id of an adaptation decided for the event context.eventId: a retried run of the
+ * event decides it under the same id, so it is stored and delivered once
+ *
+ * @param qualifiers - Tell apart adaptations of one strategy for the same event
+ */
+export function adaptationIdFor(context, strategy, ...qualifiers) {
+    if (!context.eventId) return uuidv4();
+    return [context.eventId, strategy, ...qualifiers].join(':');
+}
+
 /**
  * Create adaptation decision based on strategy and cognitive state
  * 
@@ -46,12 +156,13 @@ export function recommendAdaptations(cognitiveState) {
  * @param strategy - Adaptation strategy to apply
  * @param triggeredBy - Behavioral patterns that triggered this
  * @param context - Additional context (current time, section, etc.)
+ * @param now - Decision time (injectable for offline simulation)
  * @returns Adaptation decision object
  */
-export function createAdaptation(cognitiveState, strategy, triggeredBy, context = {}) {
+export function createAdaptation(cognitiveState, strategy, triggeredBy, context = {}, now = Date.now()) {
     const sessionId = cognitiveState.sessionId;
-    const adaptationId = uuidv4();
-    const timestamp = Date.now();
+    const adaptationId = adaptationIdFor(context, strategy);
+    const timestamp = now;
 
     const adaptations = {
         SLOW_NARRATION: {
@@ -74,6 +185,41 @@ export function createAdaptation(cognitiveState, strategy, triggeredBy, context
         },
 
 
+        AUTO_REPEAT: (() => {
+            const target = computeRepeatTarget(context);
+            if (!target) return null;
+
+            return {
+                adaptationId,
+                sessionId,
+                strategy: 'AUTO_REPEAT',
+                timestamp,
+                reason: 'Repeated rewinds detected - replaying the difficult passage',
+                parameters: {
+                    ...target,
+                    countdownMs: 3000
+                },
+                triggeredBy
+            };
+        })(),
+
+        // Needs the recap text, which the orchestrator looks up for the current chapter
+        SUMMARY: context.recap?.text ? {
+            adaptationId,
+            sessionId,
+            strategy: 'SUMMARY',
+            timestamp,
+            reason: 'Sustained overload in this chapter - recapping what was just heard',
+            parameters: {
+                summaryText: context.recap.text,
+                recapEndsAt: context.recap.endsAt ?? null,
+                bookId: context.recap.bookId,
+                chapterId: context.recap.chapterId,
+                displayDuration: 20000
+            },
+            triggeredBy
+        } : null,
+
         SMART_PAUSE: {
             adaptationId,
             sessionId,
@@ -98,9 +244,10 @@ export function createAdaptation(cognitiveState, strategy, triggeredBy, context
  * @param cognitiveState - Current inferred cognitive state
  * @param strategies - Array of adaptation strategies to apply
  * @param context - Session context
+ * @param now - Decision time (injectable for offline simulation)
  * @returns Array of adaptation decisions
  */
-export function executeAdaptations(cognitiveState, strategies, context) {
+export function executeAdaptations(cognitiveState, strategies, context, now = Date.now()) {
     const adaptations = [];
 
     const patterns = cognitiveState.patterns?.length > 0
@@ -112,15 +259,19 @@ export function executeAdaptations(cognitiveState, strategies, context) {
             cognitiveState,
             strategy,
             patterns,
-            context
+            context,
+            now
         );
 
         if (adaptation) {
             adaptations.push(adaptation);
 
-            console.log(`[ADAPTATION] ${strategy} triggered for session ${cognitiveState.sessionId}`);
-            console.log(`  Reason: ${adaptation.reason}`);
-            console.log(`  Patterns: ${patterns.join(', ')}`);
+            log.info('adaptation triggered', {
+                strategy,
+                sessionId: cognitiveState.sessionId,
+                reason: adaptation.reason,
+                patterns
+            });
         }
     }
 
@@ -128,25 +279,45 @@ export function executeAdaptations(cognitiveState, strategies, context) {
 }
 
 
+/**
+ * How long to hold back a strategy the listener keeps rejecting or undoing
+ *
+ * @param strategyFeedback - { consecutiveNegative, lastNegativeAt } for one strategy
+ * @returns Back-off period in ms (0 when the strategy is not backed off)
+ */
+export function feedbackBackoffMs(strategyFeedback) {
+    const rejectionsInARow = strategyFeedback?.consecutiveNegative || 0;
+    if (rejectionsInARow < FEEDBACK_BACKOFF_AFTER) return 0;
+    return Math.min(FEEDBACK_BACKOFF_MAX_MS, FEEDBACK_BACKOFF_BASE_MS * 2 ** (rejectionsInARow - FEEDBACK_BACKOFF_AFTER));
+}
+
 /**
  * Check if an adaptation should be applied based on recent history
  * Prevents over-adaptation (adaptation fatigue)
  * 
  * @param recentAdaptations - Recent adaptation history
  * @param strategy - Strategy being considered
+ * @param now - Decision time (injectable for offline simulation)
+ * @param strategyFeedback - Optional per-strategy feedback counts of the listener
  * @returns Whether to apply the adaptation
  */
-export function shouldApplyAdaptation(recentAdaptations, strategy) {
-    const now = Date.now();
+export function shouldApplyAdaptation(recentAdaptations, strategy, now = Date.now(), strategyFeedback = null) {
+    const feedback = strategyFeedback?.[strategy];
+    if (feedback && now - feedback.lastNegativeAt < feedbackBackoffMs(feedback)) {
+        log.info('adaptation skipped', { strategy, reason: 'rejected by listener', consecutiveNegative: feedback.consecutiveNegative });
+        return false;
+    }
+
     // Removed unused variable cooldownPeriod (S1854)
-    const effectiveCooldown = strategy === 'SMART_PAUSE' ? 8000 : 5000;
+    const cooldowns = { SMART_PAUSE: 8000, AUTO_REPEAT: 20000, SUMMARY: 120000 };
+    const effectiveCooldown = cooldowns[strategy] ?? 5000;
     const recentSameStrategy = recentAdaptations.filter(a =>
         a.strategy === strategy &&
         (now - a.timestamp) < effectiveCooldown
     );
 
     if (recentSameStrategy.length > 0) {
-        console.log(`[ADAPTATION] Skipping ${strategy} - cooldown period active`);
+        log.info('adaptation skipped', { strategy, reason: 'cooldown' });
         return false;
     }
 
@@ -155,9 +326,88 @@ export function shouldApplyAdaptation(recentAdaptations, strategy) {
     );
 
     if (veryRecentAdaptations.length >= 20) {
-        console.log(`[ADAPTATION] Skipping ${strategy} - too many recent adaptations`);
+        log.info('adaptation skipped', { strategy, reason: 'too many recent adaptations' });
         return false;
     }
 
     return true;
 }
+
+/**
+ * Difficult passages still ahead of the current position, soonest first
+ *
+ * @param passages - [{ start, end, difficulty }] in seconds, difficulty 0..1
+ * @param lookahead - How far ahead to look (seconds); Infinity for the rest of the chapter
+ */
+export function findUpcomingPassages(passages = [], currentTime, lookahead = PROACTIVE_LOOKAHEAD_SECONDS) {
+    if (!Number.isFinite(currentTime)) return [];
+
+    return passages
+        .filter(p => p.difficulty >= PROACTIVE_MIN_DIFFICULTY
+            && p.start > currentTime
+            && p.start - currentTime <= lookahead)
+        .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Schedule adaptations ahead of difficult passages.
+ *
+ * Each adaptation carries `startAt` (seconds into the chapter) so the player
+ * applies it just before its passage, and is tagged `proactive`. When playback
+ * starts (AUDIO_PLAY) every passage left in the chapter is scheduled at once,
+ * since uninterrupted listening sends no further events; any other event
+ * schedules the next passage within the lookahead window. They go through the
+ * same cooldowns as reactive ones, and each passage is only scheduled once.
+ *
+ * @param context.eventType - Event that triggered the decision
+ * @param context.currentTime - Current playback position (seconds)
+ * @param context.passages - Difficult passages of the current chapter
+ * @param context.strategyFeedback - The listener's feedback counts per strategy
+ * @param recentAdaptations - Recent adaptation history
+ * @returns Adaptation decisions, soonest first
+ */
+export function planProactiveAdaptations(cognitiveState, context = {}, recentAdaptations = [], now = Date.now()) {
+    const passages = context.eventType === 'AUDIO_PLAY'
+        ? findUpcomingPassages(context.passages, context.currentTime, Infinity)
+        : findUpcomingPassages(context.passages, context.currentTime).slice(0, 1);
+
+    return passages.flatMap(passage => {
+        const alreadyScheduled = recentAdaptations.some(a =>
+            a.proactive
+            && a.parameters?.passageStart === passage.start
+            && (!context.currentSection || a.parameters?.sectionId === context.currentSection)
+        );
+        if (alreadyScheduled) return [];
+
+        const strategy = passage.difficulty >= PROACTIVE_SLOW_DIFFICULTY ? 'SLOW_NARRATION' : 'SMART_PAUSE';
+        if (!shouldApplyAdaptation(recentAdaptations, strategy, now, context.strategyFeedback)) return [];
+
+        const adaptation = createAdaptation(cognitiveState, strategy, ['difficult_passage'], context, now);
+        const startAt = Math.max(context.currentTime, passage.start - PROACTIVE_LEAD_SECONDS);
+        log.info('proactive adaptation scheduled', { strategy, sessionId: cognitiveState.sessionId, startAt });
+
+        return [{
+            ...adaptation,
+            adaptationId: adaptationIdFor(context, strategy, passage.start),
+            proactive: true,
+            reason: `Difficult passage ahead (${passage.source || 'known'} difficulty ${passage.difficulty.toFixed(2)}) - adapting before it starts`,
+            parameters: {
+                ...adaptation.parameters,
+                ...(strategy === 'SLOW_NARRATION' && { duration: Math.round((passage.end - startAt) * 1000) }),
+                startAt,
+                passageStart: passage.start,
+                passageEnd: passage.end,
+                difficulty: passage.difficulty,
+                ...(context.currentSection && { sectionId: context.currentSection })
+            }
+        }];
+    });
+}
+
+/**
+ * Whether a scheduled adaptation starts within the lookahead window, where
+ * reacting to the listener takes precedence over it
+ */
+export function isImminent(adaptation, currentTime) {
+    return !Number.isFinite(currentTime) || adaptation.parameters.startAt - currentTime <= PROACTIVE_LOOKAHEAD_SECONDS;
+}
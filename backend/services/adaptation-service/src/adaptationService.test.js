@@ -0,0 +1,136 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import {
+    computeRepeatTarget,
+    recommendAdaptations,
+    createAdaptation,
+    shouldApplyAdaptation,
+    planProactiveAdaptations,
+    feedbackBackoffMs
+} from './adaptationService.js';
+
+const replay = (currentTime) => ({ eventType: 'AUDIO_REPLAY', timestamp: 0, metadata: { currentTime } });
+
+test('AUTO_REPEAT is recommended for confusion and aims at the earliest recent rewind', () => {
+    const state = { sessionId: 's1', cognitiveLoad: 'medium', patterns: ['confusion'], behaviorSummary: {} };
+    assert.ok(recommendAdaptations(state).includes('AUTO_REPEAT'));
+    assert.ok(!recommendAdaptations({ ...state, cognitiveLoad: 'low' }).includes('AUTO_REPEAT'));
+
+    const recentEvents = [
+        { eventType: 'AUDIO_PLAY', metadata: { currentTime: 10 } },
+        replay(40),
+        replay(35),
+        replay(120),
+        { eventType: 'AUDIO_PLAY', metadata: { currentTime: 60 } }
+    ];
+    // 120 is ahead of the current position and ignored; 35 minus the lead-in wins
+    assert.deepStrictEqual(computeRepeatTarget({ currentTime: 60, recentEvents }), { rewindTo: 33, replayDuration: 27 });
+
+    const adaptation = createAdaptation(state, 'AUTO_REPEAT', ['confusion'], { recentEvents }, 1000);
+    assert.strictEqual(adaptation.parameters.rewindTo, 33);
+    assert.strictEqual(adaptation.timestamp, 1000);
+});
+
+test('AUTO_REPEAT falls back to the last seconds and needs a known position', () => {
+    assert.deepStrictEqual(computeRepeatTarget({ currentTime: 100 }), { rewindTo: 85, replayDuration: 15 });
+    assert.deepStrictEqual(computeRepeatTarget({ currentTime: 8, recentEvents: [replay(7)] }), { rewindTo: 3, replayDuration: 5 });
+    assert.strictEqual(computeRepeatTarget({}), null);
+    assert.strictEqual(createAdaptation({ sessionId: 's1' }, 'AUTO_REPEAT', [], {}), null);
+});
+
+test('AUTO_REPEAT has its own cooldown', () => {
+    const recent = [{ strategy: 'AUTO_REPEAT', timestamp: 0 }];
+    assert.strictEqual(shouldApplyAdaptation(recent, 'AUTO_REPEAT', 19000), false);
+    assert.strictEqual(shouldApplyAdaptation(recent, 'AUTO_REPEAT', 21000), true);
+});
+
+test('SUMMARY needs sustained overload in the same section and a recap', () => {
+    const high = (sectionId) => ({ cognitiveLoad: 'high', sectionId });
+    const state = { sessionId: 's1', cognitiveLoad: 'high', patterns: ['overload'], behaviorSummary: {} };
+    const recap = { text: 'Nick meets Gatsby.', endsAt: 600, bookId: 'book-1', chapterId: 'ch-1' };
+
+    const sustained = { currentSection: 'a', previousStates: [high('a'), high('a')] };
+    assert.ok(recommendAdaptations(state, sustained).includes('SUMMARY'));
+    assert.ok(!recommendAdaptations(state, { currentSection: 'a', previousStates: [high('b'), high('a')] }).includes('SUMMARY'));
+    assert.ok(!recommendAdaptations(state, { currentSection: 'a', previousStates: [high('a'), { cognitiveLoad: 'medium', sectionId: 'a' }] }).includes('SUMMARY'));
+
+    assert.strictEqual(createAdaptation(state, 'SUMMARY', ['overload'], sustained), null);
+    const summary = createAdaptation(state, 'SUMMARY', ['overload'], { ...sustained, recap });
+    assert.strictEqual(summary.parameters.summaryText, recap.text);
+    assert.strictEqual(summary.parameters.chapterId, 'ch-1');
+});
+
+test('proactive adaptations are scheduled once, shortly before a difficult passage', () => {
+    const state = { sessionId: 's1', cognitiveLoad: 'low', patterns: [] };
+    const passages = [
+        { start: 100, end: 130, difficulty: 0.9, source: 'book' },
+        { start: 200, end: 210, difficulty: 0.65, source: 'history' }
+    ];
+    const context = { currentTime: 90, currentSection: 'book-1-ch-1', passages };
+
+    const [slow] = planProactiveAdaptations(state, context, [], 1000);
+    assert.strictEqual(slow.strategy, 'SLOW_NARRATION');
+    assert.strictEqual(slow.proactive, true);
+    assert.strictEqual(slow.parameters.startAt, 97);
+    assert.strictEqual(slow.parameters.duration, 33000);
+
+    // Same passage again, or too far ahead
+    assert.deepStrictEqual(planProactiveAdaptations(state, { ...context, currentTime: 95 }, [slow], 60000), []);
+    assert.deepStrictEqual(planProactiveAdaptations(state, { ...context, currentTime: 50 }, [], 1000), []);
+
+    const [pause] = planProactiveAdaptations(state, { ...context, currentTime: 199 }, [slow], 60000);
+    assert.strictEqual(pause.strategy, 'SMART_PAUSE');
+    assert.strictEqual(pause.parameters.startAt, 199);
+
+    // Cooldowns apply as for reactive adaptations
+    const recentPause = [{ strategy: 'SMART_PAUSE', timestamp: 59000 }];
+    assert.deepStrictEqual(planProactiveAdaptations(state, { ...context, currentTime: 199 }, recentPause, 60000), []);
+});
+
+test('starting playback schedules every difficult passage left in the chapter', () => {
+    const state = { sessionId: 's1', cognitiveLoad: 'low', patterns: [] };
+    const passages = [
+        { start: 5, end: 8, difficulty: 0.9 },
+        { start: 100, end: 130, difficulty: 0.9 },
+        { start: 400, end: 410, difficulty: 0.65 },
+        { start: 600, end: 620, difficulty: 0.3 }
+    ];
+    const context = { eventType: 'AUDIO_PLAY', currentTime: 10, currentSection: 'book-1-ch-1', passages };
+
+    // Nothing else is sent while the listener keeps listening, so the player gets them all up front
+    const planned = planProactiveAdaptations(state, context, [], 1000);
+    assert.deepStrictEqual(planned.map(a => [a.strategy, a.parameters.startAt]), [['SLOW_NARRATION', 97], ['SMART_PAUSE', 397]]);
+
+    // Resuming later leaves the passages already scheduled alone
+    assert.deepStrictEqual(planProactiveAdaptations(state, { ...context, currentTime: 90 }, planned, 60000), []);
+    // Other events only look at the next passage
+    assert.deepStrictEqual(planProactiveAdaptations(state, { ...context, eventType: 'AUDIO_PAUSE' }, [], 1000), []);
+});
+
+test('adaptations decided for an event keep their ids when the event is retried', () => {
+    const state = { sessionId: 's1', cognitiveLoad: 'high', patterns: [] };
+    const context = { eventId: 'e-1', eventType: 'AUDIO_PLAY', currentTime: 0, passages: [
+        { start: 100, end: 130, difficulty: 0.9 },
+        { start: 300, end: 330, difficulty: 0.9 }
+    ] };
+
+    assert.strictEqual(createAdaptation(state, 'SMART_PAUSE', [], context, 1000).adaptationId, 'e-1:SMART_PAUSE');
+    assert.strictEqual(createAdaptation(state, 'SMART_PAUSE', [], context, 5000).adaptationId, 'e-1:SMART_PAUSE');
+    assert.deepStrictEqual(
+        planProactiveAdaptations(state, context, [], 1000).map(a => a.adaptationId),
+        ['e-1:SLOW_NARRATION:100', 'e-1:SLOW_NARRATION:300']
+    );
+    assert.notStrictEqual(createAdaptation(state, 'SMART_PAUSE', [], {}, 1000).adaptationId, 'e-1:SMART_PAUSE');
+});
+
+test('strategies a listener keeps rejecting are backed off for longer each time', () => {
+    assert.strictEqual(feedbackBackoffMs({ consecutiveNegative: 1 }), 0);
+    assert.strictEqual(feedbackBackoffMs({ consecutiveNegative: 2 }), 5 * 60 * 1000);
+    assert.strictEqual(feedbackBackoffMs({ consecutiveNegative: 3 }), 10 * 60 * 1000);
+    assert.strictEqual(feedbackBackoffMs({ consecutiveNegative: 30 }), 24 * 60 * 60 * 1000);
+
+    const strategyFeedback = { SLOW_NARRATION: { consecutiveNegative: 2, lastNegativeAt: 0 } };
+    assert.strictEqual(shouldApplyAdaptation([], 'SLOW_NARRATION', 60000, strategyFeedback), false);
+    assert.strictEqual(shouldApplyAdaptation([], 'SLOW_NARRATION', 6 * 60 * 1000, strategyFeedback), true);
+    assert.strictEqual(shouldApplyAdaptation([], 'SMART_PAUSE', 60000, strategyFeedback), true);
+});
@@ -0,0 +1,128 @@
+/**
+ * BANDIT STRATEGY SELECTION
+ *
+ * Opt-in alternative to the fixed strategy rules (ADAPTATION_POLICY=bandit).
+ * The rules still decide which strategies are eligible; among the eligible
+ * slow-narration and smart-pause variants, an epsilon-greedy bandit picks one
+ * per decision, separately for each context (load level and trend).
+ *
+ * An arm is rewarded once the next analyses show how the listener fared:
+ * a lower load after the adaptation scores well, a rejection or override
+ * scores zero. The player reports overrides for longer than the reward delay,
+ * so the data service takes a reward back when one arrives late. Arm
+ * statistics live in the data service (per user or cohort); this module only
+ * holds the pure selection and reward logic.
+ */
+
+// Parameter variants per strategy; other strategies are always left to the rules
+export const BANDIT_ARMS = {
+    SLOW_NARRATION: {
+        '0.75x': { targetSpeed: 0.75 },
+        '0.56x': { targetSpeed: 0.56 }
+    },
+    SMART_PAUSE: {
+        '3s': { pauseDuration: 3000, resumeMessage: 'Resuming audio in 3 seconds...' },
+        '5s': { pauseDuration: 5000, resumeMessage: 'Resuming audio in 5 seconds...' }
+    }
+};
+
+// Wait this long after an adaptation before judging its outcome
+export const BANDIT_REWARD_DELAY_MS = 15000;
+
+const LEVEL_SCORES = { low: 0, medium: 0.5, high: 1 };
+
+/**
+ * Seeded pseudo-random generator (mulberry32), so bandit runs can be replayed
+ */
+export function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export const armId = (strategy, variant) => `${strategy}:${variant}`;
+
+/**
+ * Context the bandit learns separately for
+ */
+export function banditContext(cognitiveState) {
+    return `${cognitiveState.cognitiveLoad || 'low'}|${cognitiveState.trend || 'stable'}`;
+}
+
+const loadScoreOf = (state) => state.loadScore ?? LEVEL_SCORES[state.cognitiveLoad] ?? 0;
+
+/**
+ * Pick one arm among the variants of the eligible strategies.
+ * With probability epsilon a random arm is explored; otherwise the arm with
+ * the best mean reward wins, untried arms first.
+ *
+ * @param state - Stored bandit state ({ contexts: { [context]: { [armId]: { pulls, rewardSum } } } })
+ * @param context - Context key (see banditContext)
+ * @param strategies - Eligible strategies
+ * @returns { strategy, variant, arm, parameters, explored }, or null if no strategy has variants
+ */
+export function chooseArm(state, context, strategies, { epsilon = 0.1, random = Math.random } = {}) {
+    const arms = strategies.flatMap(strategy =>
+        Object.entries(BANDIT_ARMS[strategy] || {}).map(([variant, parameters]) => ({
+            strategy,
+            variant,
+            arm: armId(strategy, variant),
+            parameters
+        }))
+    );
+    if (arms.length === 0) return null;
+
+    if (random() < epsilon) {
+        return { ...arms[Math.floor(random() * arms.length)], explored: true };
+    }
+
+    const stats = state?.contexts?.[context] || {};
+    const mean = ({ arm }) => (stats[arm]?.pulls > 0 ? stats[arm].rewardSum / stats[arm].pulls : Infinity);
+    const best = arms.reduce((a, b) => (mean(b) > mean(a) ? b : a));
+    return { ...best, explored: false };
+}
+
+/**
+ * Reward of an adaptation given a later cognitive state, in 0..1.
+ * Rejected or overridden adaptations earn nothing; otherwise 0.5 plus the drop in load score.
+ */
+export function banditReward(adaptation, laterState) {
+    if (adaptation.feedback && adaptation.feedback.outcome !== 'accepted') return 0;
+
+    const loadDrop = adaptation.policy.loadScore - loadScoreOf(laterState);
+    return Math.min(1, Math.max(0, 0.5 + loadDrop));
+}
+
+/**
+ * Bandit-chosen adaptations old enough to be judged and not rewarded yet
+ *
+ * @returns [{ adaptation, reward }]
+ */
+export function dueRewards(recentAdaptations, cognitiveState, now = Date.now()) {
+    return recentAdaptations
+        .filter(a => a.policy?.name === 'bandit' && a.reward === undefined && now - a.timestamp >= BANDIT_REWARD_DELAY_MS)
+        .map(adaptation => ({ adaptation, reward: banditReward(adaptation, cognitiveState) }));
+}
+
+/**
+ * Annotate an adaptation built by the rules with the chosen arm
+ */
+export function applyArm(adaptation, choice, { key, context, cognitiveState }) {
+    return {
+        ...adaptation,
+        parameters: { ...adaptation.parameters, ...choice.parameters },
+        policy: {
+            name: 'bandit',
+            key,
+            context,
+            arm: choice.arm,
+            explored: choice.explored,
+            loadScore: loadScoreOf(cognitiveState)
+        }
+    };
+}
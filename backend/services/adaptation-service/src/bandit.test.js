@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { chooseArm, createRandom, dueRewards } from './bandit.js';
+
+test('the bandit exploits the best arm and tries untried arms first', () => {
+    const state = {
+        contexts: {
+            'high|rising': {
+                'SLOW_NARRATION:0.75x': { pulls: 4, rewardSum: 1 },
+                'SLOW_NARRATION:0.56x': { pulls: 4, rewardSum: 3 },
+                'SMART_PAUSE:3s': { pulls: 2, rewardSum: 1 }
+            }
+        }
+    };
+    const greedy = { epsilon: 0 };
+
+    assert.strictEqual(chooseArm(state, 'high|rising', ['SLOW_NARRATION'], greedy).arm, 'SLOW_NARRATION:0.56x');
+    // SMART_PAUSE:5s has never been tried in this context
+    assert.strictEqual(chooseArm(state, 'high|rising', ['SLOW_NARRATION', 'SMART_PAUSE'], greedy).arm, 'SMART_PAUSE:5s');
+    assert.strictEqual(chooseArm(state, 'high|rising', ['AUTO_REPEAT'], greedy), null);
+});
+
+test('exploration is reproducible with a seed', () => {
+    const pick = (seed) => Array.from({ length: 20 }, ((random) => () =>
+        chooseArm(null, 'medium|stable', ['SLOW_NARRATION', 'SMART_PAUSE'], { epsilon: 1, random }).arm
+    )(createRandom(seed)));
+
+    assert.deepStrictEqual(pick(42), pick(42));
+    assert.ok(new Set(pick(42)).size > 1);
+});
+
+test('rewards favour a lower load and punish rejections', () => {
+    const chosen = (extra) => ({
+        adaptationId: 'a',
+        timestamp: 0,
+        policy: { name: 'bandit', arm: 'SMART_PAUSE:3s', loadScore: 0.8 },
+        ...extra
+    });
+    const later = { cognitiveLoad: 'medium', loadScore: 0.4 };
+
+    const [improved] = dueRewards([chosen()], later, 20000);
+    assert.ok(Math.abs(improved.reward - 0.9) < 1e-9);
+    assert.strictEqual(dueRewards([chosen({ feedback: { outcome: 'overridden' } })], later, 20000)[0].reward, 0);
+    // Too early to judge, or already rewarded
+    assert.deepStrictEqual(dueRewards([chosen()], later, 5000), []);
+    assert.deepStrictEqual(dueRewards([chosen({ reward: 1 })], later, 20000), []);
+});
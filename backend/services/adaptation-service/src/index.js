@@ -1,11 +1,33 @@
+import { timingSafeEqual } from 'node:crypto';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
-import { recommendAdaptations, executeAdaptations, shouldApplyAdaptation } from './adaptationService.js';
+import {
+    recommendAdaptations,
+    executeAdaptations,
+    shouldApplyAdaptation,
+    planProactiveAdaptations,
+    isImminent
+} from './adaptationService.js';
+import { BANDIT_ARMS, applyArm, banditContext, chooseArm, createRandom, dueRewards } from './bandit.js';
+import { telemetry, log } from './log.js';
 
 const app = express();
 const PORT = 3004;
 
+
+// rules (default) | bandit - see bandit.js
+const ADAPTATION_POLICY = process.env.ADAPTATION_POLICY || 'rules';
+const BANDIT_EPSILON = Number.parseFloat(process.env.BANDIT_EPSILON ?? '0.1');
+// user: one bandit per listener (anonymous sessions share the cohort's); cohort: one for everyone in BANDIT_COHORT
+const BANDIT_SCOPE = process.env.BANDIT_SCOPE || 'user';
+const BANDIT_COHORT = process.env.BANDIT_COHORT || 'default';
+const DATA_SERVICE_URL = process.env.DATA_SERVICE_URL || 'http://localhost:3005';
+
+const banditRandom = process.env.BANDIT_SEED
+    ? createRandom(Number.parseInt(process.env.BANDIT_SEED, 10))
+    : Math.random;
+
 // Base Security: Secure headers with Helmet
 app.use(helmet());
 
@@ -25,15 +47,92 @@ const adaptationCorsOptions = {
 app.use(cors(adaptationCorsOptions));
 app.use(express.json());
 
+app.use(telemetry.middleware);
+
+// Only the gateway and sibling services may call this service; health checks stay open.
+// Without a token nothing could tell them apart from anyone else, so the service does not
+// start, unless ALLOW_DIRECT_SERVICE_CALLS=true (local development only)
+const INTERNAL_SERVICE_TOKEN = process.env.INTERNAL_SERVICE_TOKEN;
+if (!INTERNAL_SERVICE_TOKEN) {
+    if (process.env.ALLOW_DIRECT_SERVICE_CALLS !== 'true') {
+        throw new Error('INTERNAL_SERVICE_TOKEN is not set (ALLOW_DIRECT_SERVICE_CALLS=true accepts direct calls in local development)');
+    }
+    log.warn('INTERNAL_SERVICE_TOKEN is not set - accepting direct calls (ALLOW_DIRECT_SERVICE_CALLS)');
+}
 app.use((req, res, next) => {
-    // Sanitize user-controlled input to prevent log injection (S5145)
-    const method = req.method.replaceAll(/[\r\n]/g, '');
-    const path = req.path.replaceAll(/[\r\n]/g, '');
-    console.log(`[ADAPTATION-SERVICE] ${method} ${path}`);
+    if (!INTERNAL_SERVICE_TOKEN || req.path === '/health') return next();
+
+    const given = Buffer.from(String(req.get('x-internal-token') || ''));
+    const expected = Buffer.from(INTERNAL_SERVICE_TOKEN);
+    if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+        return res.status(401).json({ error: 'Direct calls are not allowed' });
+    }
     next();
 });
 
-app.post('/decide', (req, res) => {
+async function dataService(method, path, body) {
+    const response = await telemetry.tracedFetch(`${DATA_SERVICE_URL}${path}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(INTERNAL_SERVICE_TOKEN && { 'x-internal-token': INTERNAL_SERVICE_TOKEN })
+        },
+        ...(body && { body: JSON.stringify(body) })
+    });
+    if (!response.ok) throw new Error(`Data service ${method} ${path} failed with ${response.status}`);
+    return response.json();
+}
+
+const banditKey = (context) => (BANDIT_SCOPE === 'user' && context.userId
+    ? `user:${context.userId}`
+    : `cohort:${BANDIT_COHORT}`);
+
+/**
+ * Reward earlier bandit choices of the session now that their outcome is known.
+ * Best effort: a lost reward only slows learning down.
+ */
+async function settleBanditRewards(recentAdaptations, cognitiveState) {
+    for (const { adaptation, reward } of dueRewards(recentAdaptations, cognitiveState)) {
+        try {
+            await dataService(
+                'POST',
+                `/sessions/${encodeURIComponent(adaptation.sessionId)}/adaptations/${encodeURIComponent(adaptation.adaptationId)}/reward`,
+                { reward }
+            );
+        } catch (error) {
+            log.warn('bandit reward not recorded', { adaptationId: adaptation.adaptationId, error });
+        }
+    }
+}
+
+/**
+ * Let the bandit pick one variant among the eligible strategies it has arms for.
+ * Strategies without arms are left as they are.
+ */
+async function selectWithBandit(strategies, cognitiveState, context) {
+    const key = banditKey(context);
+    let state = null;
+    try {
+        state = await dataService('GET', `/bandits/${encodeURIComponent(key)}`);
+    } catch (error) {
+        log.warn('bandit state unavailable, choosing without history', { banditKey: key, error });
+    }
+
+    const banditContextKey = banditContext(cognitiveState);
+    const choice = chooseArm(state, banditContextKey, strategies, { epsilon: BANDIT_EPSILON, random: banditRandom });
+    if (!choice) return executeAdaptations(cognitiveState, strategies, context);
+
+    log.info('bandit chose arm', { banditKey: key, arm: choice.arm, explored: choice.explored });
+    const ruleStrategies = strategies.filter(strategy => !BANDIT_ARMS[strategy]);
+    const [chosen] = executeAdaptations(cognitiveState, [choice.strategy], context);
+
+    return [
+        ...executeAdaptations(cognitiveState, ruleStrategies, context),
+        applyArm(chosen, choice, { key, context: banditContextKey, cognitiveState })
+    ];
+}
+
+app.post('/decide', async (req, res) => {
     try {
         const { cognitiveState, context, recentAdaptations } = req.body;
 
@@ -41,34 +140,50 @@ app.post('/decide', (req, res) => {
             return res.status(400).json({ error: 'Missing cognitiveState' });
         }
 
-        const rawStrategies = recommendAdaptations(cognitiveState);
+        // Experiments can pick the policy per session
+        const policy = context?.policy || ADAPTATION_POLICY;
+
+        if (policy === 'bandit') {
+            await settleBanditRewards(recentAdaptations || [], cognitiveState);
+        }
+
+        const rawStrategies = recommendAdaptations(cognitiveState, context || {});
 
         const recommendedStrategies = rawStrategies.filter(strategy =>
-            shouldApplyAdaptation(recentAdaptations || [], strategy)
+            shouldApplyAdaptation(recentAdaptations || [], strategy, Date.now(), context?.strategyFeedback)
         );
 
-        if (recommendedStrategies.length === 0) {
+        // Reacting to the listener now takes precedence over preparing for what comes next
+        const proactive = planProactiveAdaptations(cognitiveState, context || {}, recentAdaptations || [])
+            .filter(adaptation => !recommendedStrategies.includes(adaptation.strategy)
+                || !isImminent(adaptation, context?.currentTime));
+
+        if (recommendedStrategies.length === 0 && proactive.length === 0) {
             return res.json([]);
         }
 
-        // Sanitize sessionId before logging (S5145)
-        const sanitizedSessionId = String(cognitiveState.sessionId).replaceAll(/[\r\n]/g, '');
-        console.log(`Final recommendations for session ${sanitizedSessionId}: ${recommendedStrategies.join(', ')}`);
+        log.info('recommendations', {
+            sessionId: cognitiveState.sessionId,
+            strategies: recommendedStrategies,
+            proactive: proactive.map(a => a.strategy)
+        });
 
-        const adaptations = executeAdaptations(cognitiveState, recommendedStrategies, context || {});
+        const adaptations = policy === 'bandit'
+            ? await selectWithBandit(recommendedStrategies, cognitiveState, context || {})
+            : executeAdaptations(cognitiveState, recommendedStrategies, context || {});
 
-        res.json(adaptations);
+        res.json([...adaptations, ...proactive]);
 
     } catch (error) {
-        console.error('Decision error:', error);
+        log.error('decision failed', { error });
         res.status(500).json({ error: 'Decision failed' });
     }
 });
 
 app.get('/health', (req, res) => {
-    res.json({ status: 'healthy', service: 'adaptation-service' });
+    res.json({ status: 'healthy', service: 'adaptation-service', policy: ADAPTATION_POLICY });
 });
 
 app.listen(PORT, () => {
-    console.log(`Adaptation Service running on port ${PORT}`);
+    log.info('Adaptation Service running', { port: PORT });
 });
@@ -4,23 +4,54 @@
  * Core research component that analyzes behavioral patterns
  * and infers cognitive load states (NON-MEDICAL)
  * 
- * This is a rule-based system designed to be ML-ready for future enhancement
+ * Load is inferred either by the rule-based classifier (engine 'rules') or by a
+ * statistical model over the same behavior metrics (engine 'model', see ./models),
+ * then smoothed against the session's previous states (see ./smoothing.js)
  */
 
+import { readFileSync } from 'node:fs';
+import { evaluateCondition } from './ruleSets.js';
+import { DEFAULT_SMOOTHING, smoothCognitiveState } from './smoothing.js';
+
+export const DEFAULT_RULE_SET = JSON.parse(
+    readFileSync(new URL('./ruleSets/default.json', import.meta.url), 'utf8')
+);
+
 /**
  * Analyzes behavioral event sequences to infer cognitive load
  * 
  * @param events - Recent behavioral events from session
+ * @param options.model - Optional load model ({ id, predict }); rules are used without one
+ * @param options.ruleSet - Validated rule set used for patterns (and load without a model)
+ * @param options.previousStates - Earlier states of the session (oldest first) for smoothing
+ * @param options.baseline - Listener's behavioral baseline; rules judge deviations from it once ready
+ * @param options.now - Inference time (injectable for offline simulation)
  * @returns Inferred cognitive state
  */
-export function inferCognitiveState(events, sessionId) {
+export function inferCognitiveState(events, sessionId, options = {}) {
+    const { model = null, ruleSet = DEFAULT_RULE_SET, previousStates = [], baseline = null, now = Date.now() } = options;
+
+    const state = inferWindowState(events, sessionId, { model, ruleSet, baseline, now });
+
+    return smoothCognitiveState(state, previousStates, ruleSet.smoothing || DEFAULT_SMOOTHING);
+}
+
+/**
+ * Infer the state of the current event window alone, before smoothing
+ */
+function inferWindowState(events, sessionId, { model, ruleSet, baseline, now }) {
+    const ruleSetInfo = { ruleSetId: ruleSet.id, ruleSetVersion: ruleSet.version };
+
     if (!events || events.length === 0) {
         return {
             sessionId,
-            cognitiveLoad: 'low',
+            engine: 'rules',
+            ...ruleSetInfo,
+            cognitiveLoad: ruleSet.defaultLevel,
             patterns: [],
             confidence: 0.5,
-            timestamp: Date.now(),
+            baselineApplied: false,
+            timestamp: now,
             behaviorSummary: {
                 pauseFrequency: 0,
                 replayCount: 0,
@@ -32,27 +63,56 @@ export function inferCognitiveState(events, sessionId) {
     }
 
     const metrics = calculateBehaviorMetrics(events);
+    const calibrated = applyBaseline(metrics, baseline);
+    const baselineInfo = calibrated === metrics
+        ? { baselineApplied: false }
+        : { baselineApplied: true, adjustedMetrics: calibrated };
 
-    const patterns = detectBehavioralPatterns(metrics, events);
+    const patterns = detectBehavioralPatterns(calibrated, ruleSet);
 
-    const cognitiveLoad = inferCognitiveLoad(patterns, metrics);
+    if (model) {
+        // Models are trained on absolute metrics, so they predict from the uncalibrated ones
+        const loadProbabilities = model.predict(metrics);
+        const cognitiveLoad = Object.keys(loadProbabilities)
+            .reduce((best, level) => (loadProbabilities[level] > loadProbabilities[best] ? level : best));
+
+        return {
+            sessionId,
+            engine: 'model',
+            modelId: model.id,
+            ...ruleSetInfo,
+            cognitiveLoad,
+            loadProbabilities,
+            patterns,
+            confidence: loadProbabilities[cognitiveLoad],
+            ...baselineInfo,
+            timestamp: now,
+            behaviorSummary: metrics
+        };
+    }
+
+    const cognitiveLoad = inferCognitiveLoad(patterns, calibrated, ruleSet);
 
     const confidence = calculateConfidence(events.length, patterns);
 
     return {
         sessionId,
+        engine: 'rules',
+        ...ruleSetInfo,
         cognitiveLoad,
         patterns,
         confidence,
-        timestamp: Date.now(),
+        ...baselineInfo,
+        timestamp: now,
         behaviorSummary: metrics
     };
 }
 
 /**
  * Calculate quantitative metrics from behavioral events
+ * (also the feature source for statistical load models)
  */
-function calculateBehaviorMetrics(events) {
+export function calculateBehaviorMetrics(events) {
     const totalEvents = events.length;
     const timeWindow = events[events.length - 1].timestamp - events[0].timestamp;
     const timeWindowMinutes = timeWindow / 60000 || 1;
@@ -89,45 +149,46 @@ function calculateBehaviorMetrics(events) {
     };
 }
 
+/**
+ * BASELINE CALIBRATION
+ * 
+ * Re-express metrics relative to the listener's own habits, so a listener who
+ * always runs at 0.8x or pauses often is not flagged for doing what they always do:
+ * - avgSpeed becomes the ratio to their usual speed
+ * - pauseFrequency and replayCount become the excess over their usual rates
+ * Cold-start baselines (not enough past sessions) leave metrics untouched.
+ */
+export function applyBaseline(metrics, baseline) {
+    if (!baseline?.ready) return metrics;
+
+    const expectedReplays = (baseline.replayRate || 0) * metrics.timeWindowMinutes;
+
+    return {
+        ...metrics,
+        avgSpeed: metrics.avgSpeed / (baseline.avgSpeed || 1),
+        pauseFrequency: Math.max(0, metrics.pauseFrequency - (baseline.pauseRate || 0)),
+        replayCount: Math.max(0, Math.round(metrics.replayCount - expectedReplays))
+    };
+}
+
 /**
  * PATTERN DETECTION ALGORITHMS
  * 
- * These detect specific behavioral patterns that indicate cognitive states:
+ * The active rule set (./ruleSets/*.json) defines which behavioral patterns
+ * indicate cognitive states, e.g. in the default set:
  * - Confusion: Navigation reversals + replays
  * - Overload: High pause frequency + slow speed + replays
  * - Fatigue: Increasing idle time + speed reduction
  * - Engagement: Consistent playback + normal speed
+ * Patterns are evaluated in order, so later rules may build on earlier ones.
  */
-function detectBehavioralPatterns(metrics, _events) {
+function detectBehavioralPatterns(metrics, ruleSet) {
     const patterns = [];
 
-    if ((metrics.navigationReversals >= 1 && metrics.replayCount >= 1) || metrics.replayCount >= 3) {
-        patterns.push('confusion');
-    }
-
-    if (metrics.pauseFrequency > 3 && metrics.avgSpeed < 0.9 && metrics.replayCount >= 1) {
-        patterns.push('overload');
-    }
-
-    if (metrics.idleTime > 30000 && metrics.avgSpeed < 0.85) {
-        patterns.push('fatigue');
-    }
-
-    if (metrics.navigationReversals >= 3 || metrics.replayCount >= 4) {
-        patterns.push('navigation_difficulty');
-    }
-
-    if ((metrics.pauseFrequency < 1 && metrics.avgSpeed >= 0.9 && metrics.navigationReversals === 0) ||
-        metrics.forwardSeekCount >= 2) {
-        patterns.push('engagement');
-    }
-
-    if (metrics.pauseFrequency > 6) {
-        patterns.push('struggle');
-    }
-
-    if (metrics.replayCount >= 3) {
-        patterns.push('repetition_spike');
+    for (const rule of ruleSet.patterns) {
+        if (evaluateCondition(rule.when, metrics, patterns)) {
+            patterns.push(rule.name);
+        }
     }
 
     return patterns;
@@ -136,26 +197,14 @@ function detectBehavioralPatterns(metrics, _events) {
 /**
  * Infer overall cognitive load level from detected patterns
  * 
+ * The first matching load rule wins; in the default set:
  * LOW: Engaged, minimal pauses
  * MEDIUM: Some difficulty indicators
  * HIGH: Multiple stress/overload patterns
  */
-function inferCognitiveLoad(patterns, metrics) {
-    if (patterns.includes('overload') ||
-        patterns.includes('struggle') ||
-        (patterns.includes('confusion') && patterns.includes('fatigue'))) {
-        return 'high';
-    }
-
-    if (patterns.includes('confusion') ||
-        patterns.includes('fatigue') ||
-        patterns.includes('navigation_difficulty') ||
-        patterns.includes('repetition_spike') ||
-        metrics.pauseFrequency > 2) {
-        return 'medium';
-    }
-
-    return 'low';
+function inferCognitiveLoad(patterns, metrics, ruleSet) {
+    const match = ruleSet.load.find(rule => evaluateCondition(rule.when, metrics, patterns));
+    return match ? match.level : ruleSet.defaultLevel;
 }
 
 /**
@@ -0,0 +1,31 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { applyBaseline, inferCognitiveState } from './cognitiveEngine.js';
+
+const slowPausingWindow = [
+    { eventType: 'AUDIO_SPEED_CHANGE', timestamp: 0, metadata: { speed: 0.8 } },
+    { eventType: 'AUDIO_PAUSE', timestamp: 10000, metadata: {} },
+    { eventType: 'AUDIO_PAUSE', timestamp: 20000, metadata: {} },
+    { eventType: 'AUDIO_PAUSE', timestamp: 30000, metadata: {} },
+    { eventType: 'USER_IDLE', timestamp: 40000, metadata: { idleDuration: 40000 } },
+    { eventType: 'AUDIO_PLAY', timestamp: 60000, metadata: {} }
+];
+
+test('habitual slow, pausing listeners are judged against their own baseline', () => {
+    const absolute = inferCognitiveState(slowPausingWindow, 's1');
+    assert.ok(absolute.patterns.includes('fatigue'));
+    assert.strictEqual(absolute.cognitiveLoad, 'medium');
+
+    const baseline = { ready: true, avgSpeed: 0.8, pauseRate: 3, replayRate: 0 };
+    const calibrated = inferCognitiveState(slowPausingWindow, 's1', { baseline });
+    assert.strictEqual(calibrated.baselineApplied, true);
+    assert.ok(!calibrated.patterns.includes('fatigue'));
+    assert.strictEqual(calibrated.cognitiveLoad, 'low');
+    assert.strictEqual(calibrated.behaviorSummary.avgSpeed, 0.8);
+});
+
+test('cold-start baselines leave metrics untouched', () => {
+    const metrics = { avgSpeed: 0.8, pauseFrequency: 3, replayCount: 1, timeWindowMinutes: 1 };
+    assert.strictEqual(applyBaseline(metrics, { ready: false, sessionCount: 1 }), metrics);
+    assert.strictEqual(applyBaseline(metrics, null), metrics);
+});
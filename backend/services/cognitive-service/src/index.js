@@ -1,11 +1,38 @@
+import { timingSafeEqual } from 'node:crypto';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import { inferCognitiveState } from './cognitiveEngine.js';
+import { loadModelFile } from './models/index.js';
+import { loadRuleSetsFromDir, resolveRuleSet } from './ruleSets.js';
+import { validate } from './schemas/index.js';
+import { telemetry, log } from './log.js';
 
 const app = express();
 const PORT = 3003;
 
+
+const ENGINES = ['rules', 'model'];
+const DEFAULT_ENGINE = process.env.COGNITIVE_ENGINE || 'rules';
+const MODEL_PATH = process.env.COGNITIVE_MODEL_PATH || 'src/models/cognitive-load-model.json';
+
+const RULE_SETS_DIR = process.env.RULE_SETS_DIR || 'src/ruleSets';
+const DEFAULT_RULE_SET = process.env.COGNITIVE_RULE_SET || 'default';
+
+// Fail fast on an invalid rule set at startup; reloads keep the previous registry instead
+let ruleSets = loadRuleSetsFromDir(RULE_SETS_DIR);
+if (!resolveRuleSet(ruleSets, DEFAULT_RULE_SET)) {
+    throw new Error(`Default rule set "${DEFAULT_RULE_SET}" not found in ${RULE_SETS_DIR}`);
+}
+log.info('rule sets loaded', { count: ruleSets.size, dir: RULE_SETS_DIR, default: DEFAULT_RULE_SET });
+
+const loadModel = loadModelFile(MODEL_PATH);
+if (loadModel) {
+    log.info('model loaded', { modelId: loadModel.id, path: MODEL_PATH });
+} else {
+    log.info('no model found, only the rules engine is available', { path: MODEL_PATH });
+}
+
 // Base Security: Secure headers with Helmet
 app.use(helmet());
 
@@ -25,35 +52,127 @@ const cognitiveCorsOptions = {
 app.use(cors(cognitiveCorsOptions));
 app.use(express.json());
 
+app.use(telemetry.middleware);
+
+// Only the gateway and sibling services may call this service; health checks stay open.
+// Without a token nothing could tell them apart from anyone else, so the service does not
+// start, unless ALLOW_DIRECT_SERVICE_CALLS=true (local development only)
+const INTERNAL_SERVICE_TOKEN = process.env.INTERNAL_SERVICE_TOKEN;
+if (!INTERNAL_SERVICE_TOKEN) {
+    if (process.env.ALLOW_DIRECT_SERVICE_CALLS !== 'true') {
+        throw new Error('INTERNAL_SERVICE_TOKEN is not set (ALLOW_DIRECT_SERVICE_CALLS=true accepts direct calls in local development)');
+    }
+    log.warn('INTERNAL_SERVICE_TOKEN is not set - accepting direct calls (ALLOW_DIRECT_SERVICE_CALLS)');
+}
 app.use((req, res, next) => {
-    const method = String(req.method || 'UNKNOWN').trim().replaceAll(/[\r\n]/g, '').slice(0, 10);
-    const path = String(req.path || '').trim().replaceAll(/[\r\n]/g, '').slice(0, 100);
-    console.log(`[COGNITIVE-SERVICE] ${method} ${path}`);
+    if (!INTERNAL_SERVICE_TOKEN || req.path === '/health') return next();
+
+    const given = Buffer.from(String(req.get('x-internal-token') || ''));
+    const expected = Buffer.from(INTERNAL_SERVICE_TOKEN);
+    if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+        return res.status(401).json({ error: 'Direct calls are not allowed' });
+    }
     next();
 });
 
 app.post('/analyze', (req, res) => {
     try {
         const { sessionId, events } = req.body;
+        const engine = req.body.engine || DEFAULT_ENGINE;
+        const ruleSet = resolveRuleSet(ruleSets, req.body.ruleSetId || DEFAULT_RULE_SET);
 
         if (!events || !Array.isArray(events)) {
             return res.status(400).json({ error: 'Missing events array' });
         }
 
-        const state = inferCognitiveState(events, sessionId);
+        // Events are validated at ingest. One that slipped into storage anyway (e.g. from before
+        // a schema change) is left out, so it cannot fail every later analysis of the session
+        const details = [];
+        const validEvents = events.filter((event, i) => {
+            const problems = validate('behavioral-event', event);
+            details.push(...problems.map(detail => ({ ...detail, path: `/events/${i}${detail.path}` })));
+            return problems.length === 0;
+        });
+        if (validEvents.length < events.length) {
+            log.warn('skipping invalid events', { sessionId, skipped: events.length - validEvents.length, details: details.slice(0, 10) });
+        }
+
+        if (!ENGINES.includes(engine)) {
+            return res.status(400).json({ error: `Unknown engine. Expected one of: ${ENGINES.join(', ')}` });
+        }
+
+        if (engine === 'model' && !loadModel) {
+            return res.status(400).json({ error: 'No cognitive load model is loaded' });
+        }
+
+        if (!ruleSet) {
+            return res.status(400).json({ error: 'Unknown rule set' });
+        }
+
+        const state = inferCognitiveState(validEvents, sessionId, {
+            model: engine === 'model' ? loadModel : null,
+            ruleSet,
+            previousStates: Array.isArray(req.body.previousStates) ? req.body.previousStates : [],
+            baseline: req.body.baseline || null
+        });
 
         res.json(state);
     } catch (error) {
-        const errorMessage = (error.message || 'Analysis failed').replaceAll(/[\r\n]/g, '');
-        console.error('Analysis error:', errorMessage);
+        log.error('analysis failed', { error });
         res.status(500).json({ error: 'Analysis failed' });
     }
 });
 
+const describeRuleSet = ({ id, version, description, source }) => ({ id, version, description, source });
+
+app.get('/rule-sets', (req, res) => {
+    const active = resolveRuleSet(ruleSets, DEFAULT_RULE_SET);
+    res.json({
+        default: `${active.id}@${active.version}`,
+        ruleSets: [...ruleSets.values()].map(describeRuleSet)
+    });
+});
+
+app.get('/rule-sets/:ruleSetId', (req, res) => {
+    const ruleSet = resolveRuleSet(ruleSets, req.params.ruleSetId);
+    if (!ruleSet) {
+        return res.status(404).json({ error: 'Rule set not found' });
+    }
+    res.json(ruleSet);
+});
+
+/**
+ * Hot-reload rule sets from disk. All files must validate and the default
+ * must still resolve; otherwise the running rule sets stay in place.
+ */
+app.post('/rule-sets/reload', (req, res) => {
+    let next;
+    try {
+        next = loadRuleSetsFromDir(RULE_SETS_DIR);
+    } catch (error) {
+        return res.status(422).json({ error: 'Rule sets not reloaded', details: error.details || [error.message] });
+    }
+
+    if (!resolveRuleSet(next, DEFAULT_RULE_SET)) {
+        return res.status(422).json({ error: 'Rule sets not reloaded', details: [`Default rule set "${DEFAULT_RULE_SET}" not found`] });
+    }
+
+    ruleSets = next;
+    log.info('rule sets reloaded', { count: ruleSets.size });
+    res.json({ reloaded: ruleSets.size, ruleSets: [...ruleSets.values()].map(describeRuleSet) });
+});
+
 app.get('/health', (req, res) => {
-    res.json({ status: 'healthy', service: 'cognitive-service' });
+    res.json({
+        status: 'healthy',
+        service: 'cognitive-service',
+        defaultEngine: DEFAULT_ENGINE,
+        model: loadModel ? loadModel.id : null,
+        defaultRuleSet: DEFAULT_RULE_SET,
+        ruleSets: ruleSets.size
+    });
 });
 
 app.listen(PORT, () => {
-    console.log(`Cognitive Service running on port ${PORT}`);
+    log.info('Cognitive Service running', { port: PORT });
 });
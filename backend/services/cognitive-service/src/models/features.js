@@ -0,0 +1,32 @@
+/**
+ * FEATURE VECTOR
+ *
+ * Fixed, ordered projection of calculateBehaviorMetrics() output used by
+ * statistical models. The order is part of the model file format - append
+ * new features at the end and retrain rather than reordering.
+ */
+
+export const FEATURE_NAMES = [
+    'pauseFrequency',
+    'pauseCount',
+    'replayCount',
+    'forwardSeekCount',
+    'avgSpeed',
+    'idleSeconds',
+    'navigationReversals',
+    'totalEvents',
+    'timeWindowMinutes'
+];
+
+export const LOAD_CLASSES = ['low', 'medium', 'high'];
+
+/**
+ * Convert behavior metrics into the model feature vector
+ */
+export function toFeatureVector(metrics) {
+    const values = {
+        ...metrics,
+        idleSeconds: (metrics.idleTime || 0) / 1000
+    };
+    return FEATURE_NAMES.map(name => Number(values[name]) || 0);
+}
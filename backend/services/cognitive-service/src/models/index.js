@@ -0,0 +1,46 @@
+/**
+ * COGNITIVE LOAD MODELS
+ *
+ * Pluggable model interface used by the engine when engine = 'model':
+ *
+ *   { id, type, predict(metrics) -> { low, medium, high } }
+ *
+ * predict() receives the calculateBehaviorMetrics() output and returns
+ * class probabilities. New model types register a factory in MODEL_FACTORIES.
+ */
+
+import fs from 'node:fs';
+import { predictLogistic, validateLogisticModel, MODEL_TYPE as LOGISTIC_TYPE } from './logisticModel.js';
+
+const MODEL_FACTORIES = {
+    [LOGISTIC_TYPE]: (definition) => {
+        const errors = validateLogisticModel(definition);
+        if (errors.length > 0) {
+            throw new Error(`Invalid ${LOGISTIC_TYPE} model: ${errors.join('; ')}`);
+        }
+        return {
+            id: definition.id,
+            type: definition.type,
+            predict: (metrics) => predictLogistic(definition, metrics)
+        };
+    }
+};
+
+/**
+ * Build a model from its JSON definition
+ */
+export function createModel(definition) {
+    const factory = MODEL_FACTORIES[definition?.type];
+    if (!factory) {
+        throw new Error(`Unsupported model type "${definition?.type}"`);
+    }
+    return factory(definition);
+}
+
+/**
+ * Load a model JSON file; returns null when the file does not exist
+ */
+export function loadModelFile(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) return null;
+    return createModel(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
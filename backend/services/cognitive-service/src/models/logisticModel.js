@@ -0,0 +1,165 @@
+/**
+ * MULTINOMIAL LOGISTIC REGRESSION
+ *
+ * Pure-JS softmax regression over the behavior feature vector.
+ * Trained offline (see train-model.js) and serialized as plain JSON:
+ *
+ * {
+ *   type: 'logistic-regression', id, classes, features,
+ *   mean, std,            - feature standardization
+ *   weights, bias,        - one row / value per class
+ *   trainedAt, training   - provenance
+ * }
+ */
+
+import { FEATURE_NAMES, LOAD_CLASSES, toFeatureVector } from './features.js';
+
+export const MODEL_TYPE = 'logistic-regression';
+
+function softmax(logits) {
+    const max = Math.max(...logits);
+    const exps = logits.map(v => Math.exp(v - max));
+    const sum = exps.reduce((a, b) => a + b, 0);
+    return exps.map(v => v / sum);
+}
+
+function standardize(vector, mean, std) {
+    return vector.map((v, i) => (v - mean[i]) / std[i]);
+}
+
+function classProbabilities(model, x) {
+    const logits = model.weights.map((row, c) =>
+        row.reduce((sum, w, i) => sum + w * x[i], model.bias[c])
+    );
+    return softmax(logits);
+}
+
+/**
+ * Train a model from labelled samples
+ *
+ * @param samples - [{ metrics, label }] where label is one of LOAD_CLASSES
+ * @param options.epochs - Full-batch gradient descent iterations
+ * @param options.learningRate - Step size
+ * @param options.l2 - L2 regularization strength
+ * @param options.id - Identifier recorded in the model and on each inferred state
+ */
+export function trainLogisticModel(samples, { epochs = 500, learningRate = 0.1, l2 = 0.001, id } = {}) {
+    if (samples.length === 0) {
+        throw new Error('Cannot train a model without samples');
+    }
+
+    const classes = LOAD_CLASSES;
+    const raw = samples.map(s => toFeatureVector(s.metrics));
+    const labels = samples.map(s => {
+        const index = classes.indexOf(s.label);
+        if (index === -1) throw new Error(`Unknown label "${s.label}"`);
+        return index;
+    });
+
+    const featureCount = FEATURE_NAMES.length;
+    const mean = Array.from({ length: featureCount }, (_, i) =>
+        raw.reduce((sum, x) => sum + x[i], 0) / raw.length
+    );
+    const std = Array.from({ length: featureCount }, (_, i) => {
+        const variance = raw.reduce((sum, x) => sum + (x[i] - mean[i]) ** 2, 0) / raw.length;
+        return Math.sqrt(variance) || 1;
+    });
+    const xs = raw.map(x => standardize(x, mean, std));
+
+    const model = {
+        type: MODEL_TYPE,
+        id: id || `logreg-${Date.now()}`,
+        classes,
+        features: FEATURE_NAMES,
+        mean,
+        std,
+        weights: classes.map(() => new Array(featureCount).fill(0)),
+        bias: new Array(classes.length).fill(0)
+    };
+
+    for (let epoch = 0; epoch < epochs; epoch++) {
+        const gradW = classes.map(() => new Array(featureCount).fill(0));
+        const gradB = new Array(classes.length).fill(0);
+
+        xs.forEach((x, n) => {
+            const probs = classProbabilities(model, x);
+            probs.forEach((p, c) => {
+                const error = p - (labels[n] === c ? 1 : 0);
+                gradB[c] += error;
+                for (let i = 0; i < featureCount; i++) gradW[c][i] += error * x[i];
+            });
+        });
+
+        for (let c = 0; c < classes.length; c++) {
+            model.bias[c] -= learningRate * gradB[c] / xs.length;
+            for (let i = 0; i < featureCount; i++) {
+                const gradient = gradW[c][i] / xs.length + l2 * model.weights[c][i];
+                model.weights[c][i] -= learningRate * gradient;
+            }
+        }
+    }
+
+    model.trainedAt = new Date().toISOString();
+    model.training = { samples: samples.length, epochs, learningRate, l2 };
+    return model;
+}
+
+/**
+ * Predict load probabilities for a metrics object
+ *
+ * @returns { low, medium, high }
+ */
+export function predictLogistic(model, metrics) {
+    const x = standardize(toFeatureVector(metrics), model.mean, model.std);
+    const probs = classProbabilities(model, x);
+    return Object.fromEntries(model.classes.map((c, i) => [c, probs[i]]));
+}
+
+/**
+ * Check a model file has the expected shape before it is used for inference
+ *
+ * @returns Array of error messages (empty when valid)
+ */
+export function validateLogisticModel(model) {
+    const errors = [];
+    if (model?.type !== MODEL_TYPE) errors.push(`type must be "${MODEL_TYPE}"`);
+    if (!Array.isArray(model?.classes) || model.classes.join() !== LOAD_CLASSES.join()) {
+        errors.push(`classes must be ${JSON.stringify(LOAD_CLASSES)}`);
+    }
+    if (!Array.isArray(model?.features) || model.features.join() !== FEATURE_NAMES.join()) {
+        errors.push('features do not match this engine version - retrain the model');
+    }
+    const width = FEATURE_NAMES.length;
+    if (!Array.isArray(model?.mean) || model.mean.length !== width) errors.push('mean has wrong length');
+    if (!Array.isArray(model?.std) || model.std.length !== width) errors.push('std has wrong length');
+    if (!Array.isArray(model?.weights) || model.weights.length !== LOAD_CLASSES.length ||
+        model.weights.some(row => !Array.isArray(row) || row.length !== width)) {
+        errors.push('weights must be a classes x features matrix');
+    }
+    if (!Array.isArray(model?.bias) || model.bias.length !== LOAD_CLASSES.length) errors.push('bias has wrong length');
+    return errors;
+}
+
+/**
+ * Accuracy and confusion matrix (rows = actual, columns = predicted)
+ */
+export function evaluateLogisticModel(model, samples) {
+    const confusion = Object.fromEntries(model.classes.map(actual => [
+        actual,
+        Object.fromEntries(model.classes.map(predicted => [predicted, 0]))
+    ]));
+
+    let correct = 0;
+    for (const sample of samples) {
+        const probs = predictLogistic(model, sample.metrics);
+        const predicted = model.classes.reduce((best, c) => (probs[c] > probs[best] ? c : best));
+        confusion[sample.label][predicted] += 1;
+        if (predicted === sample.label) correct += 1;
+    }
+
+    return {
+        samples: samples.length,
+        accuracy: samples.length > 0 ? correct / samples.length : 0,
+        confusion
+    };
+}
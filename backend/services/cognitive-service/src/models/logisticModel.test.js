@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { trainLogisticModel, predictLogistic, evaluateLogisticModel, validateLogisticModel } from './logisticModel.js';
+import { createModel } from './index.js';
+
+function sample(label, replayCount, pauseFrequency, avgSpeed) {
+    return {
+        label,
+        metrics: {
+            pauseFrequency,
+            pauseCount: Math.round(pauseFrequency),
+            replayCount,
+            forwardSeekCount: 0,
+            avgSpeed,
+            idleTime: 0,
+            navigationReversals: 0,
+            totalEvents: 10,
+            timeWindowMinutes: 1
+        }
+    };
+}
+
+const samples = [];
+for (let i = 0; i < 20; i++) {
+    samples.push(
+        sample('low', 0, 0.5 + (i % 3) * 0.1, 1),
+        sample('medium', 2, 2.5 + (i % 3) * 0.2, 0.9),
+        sample('high', 5, 6 + (i % 3) * 0.5, 0.75)
+    );
+}
+
+test('logistic model learns separable load classes', () => {
+    const model = trainLogisticModel(samples, { id: 'test-model' });
+
+    assert.deepStrictEqual(validateLogisticModel(model), []);
+    assert.ok(evaluateLogisticModel(model, samples).accuracy > 0.95);
+
+    const probs = predictLogistic(model, samples.at(-1).metrics);
+    assert.ok(probs.high > probs.medium && probs.high > probs.low);
+    assert.ok(Math.abs(probs.low + probs.medium + probs.high - 1) < 1e-9);
+});
+
+test('model definitions are validated when loaded', () => {
+    const model = trainLogisticModel(samples, { id: 'test-model', epochs: 10 });
+    assert.strictEqual(createModel(model).id, 'test-model');
+
+    assert.throws(() => createModel({ ...model, features: ['pauseCount'] }), /retrain/);
+    assert.throws(() => createModel({ type: 'neural-net' }), /Unsupported model type/);
+});
@@ -0,0 +1,222 @@
+/**
+ * RULE SETS
+ *
+ * Declarative pattern-detection and load rules for the cognitive engine.
+ * Researchers add or tune profiles as JSON files in RULE_SETS_DIR and
+ * hot-reload them without a redeploy.
+ *
+ * Format:
+ * {
+ *   "id": "default", "version": 1, "description": "...",
+ *   "patterns": [ { "name": "confusion", "when": <condition> }, ... ],   - evaluated in order
+ *   "load": [ { "level": "high", "when": <condition> }, ... ],          - first match wins
+ *   "defaultLevel": "low",
+ *   "smoothing": {                                                      - optional, see ./smoothing.js
+ *     "alpha": 0.5, "minDwellMs": 10000, "trendThreshold": 0.05,
+ *     "bands": { "medium": { "enter": 0.4, "exit": 0.25 }, "high": { "enter": 0.7, "exit": 0.55 } }
+ *   }
+ * }
+ *
+ * Conditions:
+ *   { "metric": "<behavior metric>", "op": ">" | ">=" | "<" | "<=" | "==" | "!=", "value": <number> }
+ *   { "pattern": "<name of a pattern defined earlier>" }
+ *   { "all": [<condition>, ...] }
+ *   { "any": [<condition>, ...] }
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+export const METRIC_NAMES = [
+    'pauseFrequency',
+    'pauseCount',
+    'replayCount',
+    'forwardSeekCount',
+    'avgSpeed',
+    'idleTime',
+    'navigationReversals',
+    'totalEvents',
+    'timeWindowMinutes'
+];
+
+const LOAD_LEVELS = ['low', 'medium', 'high'];
+
+const OPERATORS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b
+};
+
+/**
+ * Evaluate a condition against metrics and the patterns detected so far
+ */
+export function evaluateCondition(condition, metrics, patterns) {
+    if (condition.all) return condition.all.every(c => evaluateCondition(c, metrics, patterns));
+    if (condition.any) return condition.any.some(c => evaluateCondition(c, metrics, patterns));
+    if (condition.pattern) return patterns.includes(condition.pattern);
+    return OPERATORS[condition.op](metrics[condition.metric] ?? 0, condition.value);
+}
+
+function validateCondition(condition, where, knownPatterns, errors) {
+    if (!condition || typeof condition !== 'object') {
+        errors.push(`${where}: condition must be an object`);
+        return;
+    }
+    if ('all' in condition || 'any' in condition) {
+        const key = 'all' in condition ? 'all' : 'any';
+        if (!Array.isArray(condition[key]) || condition[key].length === 0) {
+            errors.push(`${where}.${key}: must be a non-empty array`);
+            return;
+        }
+        condition[key].forEach((c, i) => validateCondition(c, `${where}.${key}[${i}]`, knownPatterns, errors));
+        return;
+    }
+    if ('pattern' in condition) {
+        if (!knownPatterns.has(condition.pattern)) {
+            errors.push(`${where}: unknown pattern "${condition.pattern}"`);
+        }
+        return;
+    }
+    if (!METRIC_NAMES.includes(condition.metric)) {
+        errors.push(`${where}: unknown metric "${condition.metric}"`);
+    }
+    if (!(condition.op in OPERATORS)) {
+        errors.push(`${where}: unknown operator "${condition.op}"`);
+    }
+    if (typeof condition.value !== 'number' || !Number.isFinite(condition.value)) {
+        errors.push(`${where}: value must be a number`);
+    }
+}
+
+function validateSmoothing(smoothing, errors) {
+    const isScore = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+
+    if (!(typeof smoothing.alpha === 'number' && smoothing.alpha > 0 && smoothing.alpha <= 1)) {
+        errors.push('smoothing.alpha must be in (0, 1]');
+    }
+    for (const level of ['medium', 'high']) {
+        const band = smoothing.bands?.[level];
+        if (!band || !isScore(band.enter) || !isScore(band.exit) || band.exit > band.enter) {
+            errors.push(`smoothing.bands.${level} needs enter and exit in [0, 1] with exit <= enter`);
+        }
+    }
+    if (smoothing.bands?.medium && smoothing.bands?.high && smoothing.bands.medium.enter >= smoothing.bands.high.enter) {
+        errors.push('smoothing.bands.medium.enter must be below smoothing.bands.high.enter');
+    }
+    if (!Number.isFinite(smoothing.minDwellMs) || smoothing.minDwellMs < 0) {
+        errors.push('smoothing.minDwellMs must be a non-negative number');
+    }
+    if (!Number.isFinite(smoothing.trendThreshold) || smoothing.trendThreshold < 0) {
+        errors.push('smoothing.trendThreshold must be a non-negative number');
+    }
+}
+
+/**
+ * Validate a rule set definition
+ *
+ * @returns Array of error messages (empty when valid)
+ */
+export function validateRuleSet(ruleSet) {
+    const errors = [];
+    if (!ruleSet || typeof ruleSet !== 'object') return ['rule set must be an object'];
+
+    if (typeof ruleSet.id !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(ruleSet.id)) {
+        errors.push('id must be a string of letters, digits, "-" or "_"');
+    }
+    if (!Number.isInteger(ruleSet.version) || ruleSet.version < 1) {
+        errors.push('version must be a positive integer');
+    }
+    if (!LOAD_LEVELS.includes(ruleSet.defaultLevel)) {
+        errors.push(`defaultLevel must be one of: ${LOAD_LEVELS.join(', ')}`);
+    }
+
+    const knownPatterns = new Set();
+    if (Array.isArray(ruleSet.patterns)) {
+        ruleSet.patterns.forEach((rule, i) => {
+            if (typeof rule?.name !== 'string' || !rule.name) {
+                errors.push(`patterns[${i}]: name is required`);
+                return;
+            }
+            if (knownPatterns.has(rule.name)) errors.push(`patterns[${i}]: duplicate pattern "${rule.name}"`);
+            validateCondition(rule.when, `patterns[${i}].when`, knownPatterns, errors);
+            knownPatterns.add(rule.name);
+        });
+    } else {
+        errors.push('patterns must be an array');
+    }
+
+    if (Array.isArray(ruleSet.load)) {
+        ruleSet.load.forEach((rule, i) => {
+            if (!LOAD_LEVELS.includes(rule?.level)) {
+                errors.push(`load[${i}]: level must be one of: ${LOAD_LEVELS.join(', ')}`);
+            }
+            validateCondition(rule?.when, `load[${i}].when`, knownPatterns, errors);
+        });
+    } else {
+        errors.push('load must be an array');
+    }
+
+    if (ruleSet.smoothing !== undefined) {
+        validateSmoothing(ruleSet.smoothing, errors);
+    }
+
+    return errors;
+}
+
+/**
+ * Load and validate every *.json rule set in a directory.
+ * Throws (listing every problem) if any file is invalid, so a bad edit
+ * never half-replaces the active rules.
+ */
+export function loadRuleSetsFromDir(dir) {
+    const registry = new Map();
+    const errors = [];
+
+    for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+        let ruleSet;
+        try {
+            ruleSet = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        } catch (error) {
+            errors.push(`${file}: ${error.message}`);
+            continue;
+        }
+
+        const problems = validateRuleSet(ruleSet);
+        if (problems.length > 0) {
+            errors.push(...problems.map(p => `${file}: ${p}`));
+            continue;
+        }
+
+        const key = `${ruleSet.id}@${ruleSet.version}`;
+        if (registry.has(key)) {
+            errors.push(`${file}: ${key} is already defined in ${registry.get(key).source}`);
+            continue;
+        }
+        registry.set(key, { ...ruleSet, source: file });
+    }
+
+    if (errors.length > 0) {
+        const error = new Error(`Invalid rule sets: ${errors.join('; ')}`);
+        error.details = errors;
+        throw error;
+    }
+    return registry;
+}
+
+/**
+ * Resolve "id" (latest version) or "id@version" from a registry
+ */
+export function resolveRuleSet(registry, reference) {
+    if (registry.has(reference)) return registry.get(reference);
+
+    let latest = null;
+    for (const ruleSet of registry.values()) {
+        if (ruleSet.id === reference && (!latest || ruleSet.version > latest.version)) {
+            latest = ruleSet;
+        }
+    }
+    return latest;
+}
@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { loadRuleSetsFromDir, resolveRuleSet, validateRuleSet } from './ruleSets.js';
+import { DEFAULT_RULE_SET, inferCognitiveState } from './cognitiveEngine.js';
+
+const event = (eventType, timestamp, metadata = {}) => ({ eventType, timestamp, metadata });
+
+test('default rule set is valid and reproduces the original thresholds', () => {
+    assert.deepEqual(validateRuleSet(DEFAULT_RULE_SET), []);
+
+    const replays = [0, 1000, 2000].map(t => event('AUDIO_REPLAY', t));
+    const state = inferCognitiveState(replays, 's1');
+    assert.deepEqual(state.patterns, ['confusion', 'engagement', 'repetition_spike']);
+    assert.equal(state.cognitiveLoad, 'medium');
+    assert.equal(state.ruleSetId, 'default');
+    assert.equal(state.ruleSetVersion, 1);
+
+    const pauses = Array.from({ length: 8 }, (_, i) => event('AUDIO_PAUSE', i * 1000));
+    assert.equal(inferCognitiveState(pauses, 's1').cognitiveLoad, 'high');
+});
+
+test('a custom rule set changes the classification', () => {
+    const strict = {
+        id: 'strict',
+        version: 1,
+        patterns: [{ name: 'repetition_spike', when: { metric: 'replayCount', op: '>=', value: 1 } }],
+        load: [{ level: 'high', when: { pattern: 'repetition_spike' } }],
+        defaultLevel: 'low'
+    };
+    assert.deepEqual(validateRuleSet(strict), []);
+
+    const state = inferCognitiveState([event('AUDIO_REPLAY', 0)], 's1', { ruleSet: strict });
+    assert.equal(state.cognitiveLoad, 'high');
+    assert.equal(state.ruleSetId, 'strict');
+});
+
+test('validation reports unknown metrics, operators and forward pattern references', () => {
+    const errors = validateRuleSet({
+        id: 'bad',
+        version: 0,
+        patterns: [
+            { name: 'a', when: { pattern: 'b' } },
+            { name: 'b', when: { metric: 'heartRate', op: '~', value: 'x' } }
+        ],
+        load: [{ level: 'extreme', when: { all: [] } }],
+        defaultLevel: 'low'
+    });
+
+    assert.equal(errors.length, 7);
+    assert.ok(errors.some(e => e.includes('unknown pattern "b"')));
+    assert.ok(errors.some(e => e.includes('unknown metric "heartRate"')));
+});
+
+test('loading a directory rejects everything when one file is invalid and resolves latest versions', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rule-sets-'));
+    const write = (file, ruleSet) => fs.writeFileSync(path.join(dir, file), JSON.stringify(ruleSet));
+
+    write('default-v1.json', DEFAULT_RULE_SET);
+    write('default-v2.json', { ...DEFAULT_RULE_SET, version: 2 });
+    const registry = loadRuleSetsFromDir(dir);
+    assert.equal(resolveRuleSet(registry, 'default').version, 2);
+    assert.equal(resolveRuleSet(registry, 'default@1').version, 1);
+    assert.equal(resolveRuleSet(registry, 'missing'), null);
+
+    fs.writeFileSync(path.join(dir, 'broken.json'), '{ not json');
+    assert.throws(() => loadRuleSetsFromDir(dir), /broken\.json/);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,93 @@
+/**
+ * TEMPORAL SMOOTHING
+ *
+ * Each analysis only sees the latest event window, so its load level is noisy.
+ * The reported level is derived from an exponentially weighted load score
+ * carried across the session's previous states:
+ * - Hysteresis: a level is entered above `enter` and only left below `exit`
+ * - Dwell: a level is held for at least `minDwellMs` before it may change
+ * - Trend: direction of the smoothed score since the previous state
+ */
+
+const LOAD_SCORES = { low: 0, medium: 0.5, high: 1 };
+
+export const DEFAULT_SMOOTHING = {
+    alpha: 0.5,
+    bands: {
+        medium: { enter: 0.4, exit: 0.25 },
+        high: { enter: 0.7, exit: 0.55 }
+    },
+    minDwellMs: 10000,
+    trendThreshold: 0.05
+};
+
+/**
+ * Instantaneous load score in [0, 1]; model states use the expected score
+ * over their class probabilities
+ */
+export function instantLoadScore(state) {
+    if (state.loadProbabilities) {
+        return Object.entries(state.loadProbabilities)
+            .reduce((sum, [level, probability]) => sum + (LOAD_SCORES[level] ?? 0) * probability, 0);
+    }
+    return LOAD_SCORES[state.cognitiveLoad] ?? 0;
+}
+
+function levelForScore(score, previousLevel, bands) {
+    const wasHigh = previousLevel === 'high';
+    const wasElevated = wasHigh || previousLevel === 'medium';
+
+    if (score >= bands.high.enter || (wasHigh && score >= bands.high.exit)) return 'high';
+    if (score >= bands.medium.enter || (wasElevated && score >= bands.medium.exit)) return 'medium';
+    return 'low';
+}
+
+/**
+ * Smooth an instantaneous state against the session's previous states
+ *
+ * @param state - State inferred from the current event window
+ * @param previousStates - Earlier states of the session, oldest first
+ * @returns State whose cognitiveLoad is the smoothed level, with instantLoad,
+ *          loadScore, trend and levelSince added
+ */
+export function smoothCognitiveState(state, previousStates = [], smoothing = DEFAULT_SMOOTHING) {
+    const { alpha, bands, minDwellMs, trendThreshold } = smoothing;
+    const instantLoad = state.cognitiveLoad;
+    const rawScore = instantLoadScore(state);
+    const previous = previousStates.at(-1);
+
+    if (!previous) {
+        return {
+            ...state,
+            instantLoad,
+            loadScore: rawScore,
+            trend: 'stable',
+            levelSince: state.timestamp
+        };
+    }
+
+    const previousLevel = previous.cognitiveLoad;
+    const previousScore = previous.loadScore ?? LOAD_SCORES[previousLevel] ?? 0;
+    const previousSince = previous.levelSince ?? previous.timestamp;
+
+    const loadScore = alpha * rawScore + (1 - alpha) * previousScore;
+
+    let cognitiveLoad = levelForScore(loadScore, previousLevel, bands);
+    if (cognitiveLoad !== previousLevel && state.timestamp - previousSince < minDwellMs) {
+        cognitiveLoad = previousLevel;
+    }
+
+    const delta = loadScore - previousScore;
+    let trend = 'stable';
+    if (delta > trendThreshold) trend = 'rising';
+    else if (delta < -trendThreshold) trend = 'falling';
+
+    return {
+        ...state,
+        cognitiveLoad,
+        instantLoad,
+        loadScore,
+        trend,
+        levelSince: cognitiveLoad === previousLevel ? previousSince : state.timestamp
+    };
+}
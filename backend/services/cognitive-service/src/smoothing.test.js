@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { DEFAULT_SMOOTHING, smoothCognitiveState } from './smoothing.js';
+
+const windowState = (cognitiveLoad, timestamp) => ({ sessionId: 's1', cognitiveLoad, patterns: [], timestamp });
+
+function run(levels, stepMs = 5000) {
+    const states = [];
+    levels.forEach((level, i) => {
+        states.push(smoothCognitiveState(windowState(level, i * stepMs), states));
+    });
+    return states;
+}
+
+test('a single noisy window does not flip the level', () => {
+    const states = run(['low', 'low', 'high', 'low', 'low']);
+    assert.deepEqual(states.map(s => s.cognitiveLoad), ['low', 'low', 'medium', 'medium', 'low']);
+    assert.equal(states[2].instantLoad, 'high');
+    assert.equal(states[2].trend, 'rising');
+    assert.equal(states[3].trend, 'falling');
+});
+
+test('sustained high load escalates and hysteresis keeps it until the score falls below exit', () => {
+    const states = run(['high', 'high', 'high', 'medium', 'medium', 'low', 'low', 'low']);
+    const levels = states.map(s => s.cognitiveLoad);
+
+    assert.equal(levels[0], 'high');
+    // Score drifts from 1 towards 0.5 but stays above the high exit band for a while
+    assert.equal(levels[3], 'high');
+    assert.equal(levels.at(-1), 'low');
+});
+
+test('minimum dwell holds a level change until enough time has passed', () => {
+    const first = smoothCognitiveState(windowState('low', 0), []);
+    const spike = smoothCognitiveState(windowState('high', 1000), [first]);
+    assert.equal(spike.cognitiveLoad, 'low');
+    assert.equal(spike.levelSince, 0);
+
+    const later = smoothCognitiveState(windowState('high', DEFAULT_SMOOTHING.minDwellMs + 1000), [spike]);
+    assert.equal(later.cognitiveLoad, 'high');
+    assert.equal(later.levelSince, DEFAULT_SMOOTHING.minDwellMs + 1000);
+});
+
+test('model probabilities contribute their expected load score', () => {
+    const state = smoothCognitiveState({
+        ...windowState('medium', 0),
+        loadProbabilities: { low: 0.2, medium: 0.4, high: 0.4 }
+    }, []);
+    assert.ok(Math.abs(state.loadScore - 0.6) < 1e-9);
+});
@@ -0,0 +1,126 @@
+/**
+ * COGNITIVE LOAD MODEL CLI
+ *
+ * Train, evaluate and export the logistic-regression load model offline.
+ *
+ * Labelled sessions are newline-delimited JSON, one window per line:
+ *   { "label": "high", "events": [ ...behavioral events... ] }
+ *   { "label": "low",  "metrics": { ...calculateBehaviorMetrics output... } }
+ *
+ * Usage:
+ *   node train-model.js train    --data sessions.jsonl [--out model.json] [--holdout 0.2] [--seed 42]
+ *                                [--epochs 500] [--learning-rate 0.1] [--l2 0.001] [--id my-model]
+ *   node train-model.js evaluate --data sessions.jsonl --model model.json
+ *   node train-model.js export   --data sessions.jsonl [--out src/models/cognitive-load-model.json]
+ *
+ * `train` reports accuracy on a held-out split; `export` trains on every sample
+ * and writes the model the service loads (COGNITIVE_MODEL_PATH).
+ */
+
+import fs from 'node:fs';
+import { parseArgs } from 'node:util';
+import { calculateBehaviorMetrics } from './src/cognitiveEngine.js';
+import { trainLogisticModel, evaluateLogisticModel, validateLogisticModel } from './src/models/logisticModel.js';
+
+const DEFAULT_MODEL_PATH = 'src/models/cognitive-load-model.json';
+
+function readSamples(dataPath) {
+    return fs.readFileSync(dataPath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map((line, i) => {
+            const record = JSON.parse(line);
+            if (!record.label) throw new Error(`Line ${i + 1}: missing label`);
+            if (!record.metrics && !Array.isArray(record.events)) {
+                throw new Error(`Line ${i + 1}: needs "events" or "metrics"`);
+            }
+            const metrics = record.metrics || calculateBehaviorMetrics(record.events);
+            return { label: record.label, metrics };
+        });
+}
+
+/**
+ * Deterministic shuffle (mulberry32) so train/holdout splits are reproducible
+ */
+function shuffle(items, seed) {
+    let state = seed >>> 0;
+    const random = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    const copy = [...items];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+function printEvaluation(label, evaluation) {
+    console.log(`${label}: accuracy ${(evaluation.accuracy * 100).toFixed(1)}% on ${evaluation.samples} samples`);
+    console.log('Confusion matrix (rows = actual, columns = predicted):');
+    console.table(evaluation.confusion);
+}
+
+function writeModel(model, outPath) {
+    fs.writeFileSync(outPath, `${JSON.stringify(model, null, 2)}\n`);
+    console.log(`Model ${model.id} written to ${outPath}`);
+}
+
+const { positionals, values } = parseArgs({
+    allowPositionals: true,
+    options: {
+        data: { type: 'string' },
+        model: { type: 'string' },
+        out: { type: 'string' },
+        id: { type: 'string' },
+        holdout: { type: 'string', default: '0.2' },
+        seed: { type: 'string', default: '42' },
+        epochs: { type: 'string', default: '500' },
+        'learning-rate': { type: 'string', default: '0.1' },
+        l2: { type: 'string', default: '0.001' }
+    }
+});
+
+const [command] = positionals;
+const trainingOptions = {
+    id: values.id,
+    epochs: Number(values.epochs),
+    learningRate: Number(values['learning-rate']),
+    l2: Number(values.l2)
+};
+
+try {
+    if (!values.data) throw new Error('--data is required');
+    const samples = readSamples(values.data);
+
+    if (command === 'train') {
+        const shuffled = shuffle(samples, Number(values.seed));
+        const holdoutSize = Math.floor(shuffled.length * Number(values.holdout));
+        const holdout = shuffled.slice(0, holdoutSize);
+        const training = shuffled.slice(holdoutSize);
+
+        const model = trainLogisticModel(training, trainingOptions);
+        printEvaluation('Training', evaluateLogisticModel(model, training));
+        if (holdout.length > 0) printEvaluation('Holdout', evaluateLogisticModel(model, holdout));
+        if (values.out) writeModel(model, values.out);
+    } else if (command === 'evaluate') {
+        if (!values.model) throw new Error('--model is required');
+        const model = JSON.parse(fs.readFileSync(values.model, 'utf8'));
+        const errors = validateLogisticModel(model);
+        if (errors.length > 0) throw new Error(`Invalid model: ${errors.join('; ')}`);
+        printEvaluation(model.id, evaluateLogisticModel(model, samples));
+    } else if (command === 'export') {
+        const model = trainLogisticModel(samples, trainingOptions);
+        printEvaluation('Training', evaluateLogisticModel(model, samples));
+        writeModel(model, values.out || DEFAULT_MODEL_PATH);
+    } else {
+        throw new Error('Usage: node train-model.js <train|evaluate|export> --data <file.jsonl> [options]');
+    }
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}
@@ -21,7 +21,11 @@ async function migrate() {
 
             const response = await fetch(`${DATA_SERVICE_URL}/books`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: {
+                    'Content-Type': 'application/json',
+                    // The data service only accepts calls carrying the shared service token
+                    ...(process.env.INTERNAL_SERVICE_TOKEN && { 'x-internal-token': process.env.INTERNAL_SERVICE_TOKEN })
+                },
                 body: JSON.stringify(book)
             });
 
@@ -1,6 +1,9 @@
 import { DynamoDBClient, CreateTableCommand } from "@aws-sdk/client-dynamodb";
 
-const client = new DynamoDBClient({ region: "us-east-1" });
+const client = new DynamoDBClient({
+    region: process.env.AWS_REGION || "us-east-1",
+    ...(process.env.DYNAMODB_ENDPOINT ? { endpoint: process.env.DYNAMODB_ENDPOINT } : {})
+});
 
 const tables = [
     {
@@ -20,6 +23,138 @@ const tables = [
             { AttributeName: "bookId", AttributeType: "S" }
         ],
         ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 }
+    },
+    ...["UserBaselines", "UserConsents"].map(TableName => ({
+        TableName,
+        KeySchema: [{ AttributeName: "userId", KeyType: "HASH" }],
+        AttributeDefinitions: [{ AttributeName: "userId", AttributeType: "S" }],
+        ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 }
+    })),
+    {
+        TableName: "UserSessions",
+        KeySchema: [
+            { AttributeName: "userId", KeyType: "HASH" },
+            { AttributeName: "sessionKey", KeyType: "RANGE" }
+        ],
+        AttributeDefinitions: [
+            { AttributeName: "userId", AttributeType: "S" },
+            { AttributeName: "sessionKey", AttributeType: "S" }
+        ],
+        ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 }
+    },
+    {
+        TableName: "UserStrategyFeedback",
+        KeySchema: [
+            { AttributeName: "userId", KeyType: "HASH" },
+            { AttributeName: "strategy", KeyType: "RANGE" }
+        ],
+        AttributeDefinitions: [
+            { AttributeName: "userId", AttributeType: "S" },
+            { AttributeName: "strategy", AttributeType: "S" }
+        ],
+        ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 }
+    },
+    {
+        TableName: "BanditArms",
+        KeySchema: [
+            { AttributeName: "banditKey", KeyType: "HASH" },
+            { AttributeName: "armKey", KeyType: "RANGE" }
+        ],
+        AttributeDefinitions: [
+            { AttributeName: "banditKey", AttributeType: "S" },
+            { AttributeName: "armKey", AttributeType: "S" }
+        ],
+        ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 }
+    },
+    {
+        TableName: "Experiments",
+        KeySchema: [{ AttributeName: "experimentId", KeyType: "HASH" }],
+        AttributeDefinitions: [{ AttributeName: "experimentId", AttributeType: "S" }],
+        ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 }
+    },
+    {
+        TableName: "ExperimentAssignments",
+        KeySchema: [
+            { AttributeName: "experimentId", KeyType: "HASH" },
+            { AttributeName: "unitId", KeyType: "RANGE" }
+        ],
+        AttributeDefinitions: [
+            { AttributeName: "experimentId", AttributeType: "S" },
+            { AttributeName: "unitId", AttributeType: "S" }
+        ],
+        ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 }
+    },
+    ...["BookTranscripts", "PassageHeatmaps"].map(TableName => ({
+        TableName,
+        KeySchema: [
+            { AttributeName: "bookId", KeyType: "HASH" },
+            { AttributeName: "chapterId", KeyType: "RANGE" }
+        ],
+        AttributeDefinitions: [
+            { AttributeName: "bookId", AttributeType: "S" },
+            { AttributeName: "chapterId", AttributeType: "S" }
+        ],
+        ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 }
+    })),
+    ...["SessionEvents", "SessionCognitiveStates", "SessionAdaptations"].map(TableName => ({
+        TableName,
+        KeySchema: [
+            { AttributeName: "sessionId", KeyType: "HASH" },
+            { AttributeName: "recordKey", KeyType: "RANGE" }
+        ],
+        AttributeDefinitions: [
+            { AttributeName: "sessionId", AttributeType: "S" },
+            { AttributeName: "recordKey", AttributeType: "S" }
+        ],
+        ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 }
+    })),
+    {
+        TableName: "SessionAdaptationIndex",
+        KeySchema: [
+            { AttributeName: "sessionId", KeyType: "HASH" },
+            { AttributeName: "adaptationId", KeyType: "RANGE" }
+        ],
+        AttributeDefinitions: [
+            { AttributeName: "sessionId", AttributeType: "S" },
+            { AttributeName: "adaptationId", AttributeType: "S" }
+        ],
+        ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 }
+    },
+    {
+        TableName: "HeatmapContributions",
+        KeySchema: [
+            { AttributeName: "chapterKey", KeyType: "HASH" },
+            { AttributeName: "sessionId", KeyType: "RANGE" }
+        ],
+        AttributeDefinitions: [
+            { AttributeName: "chapterKey", AttributeType: "S" },
+            { AttributeName: "sessionId", AttributeType: "S" }
+        ],
+        ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 }
+    },
+    {
+        TableName: "SessionCognitiveStateIndex",
+        KeySchema: [
+            { AttributeName: "sessionId", KeyType: "HASH" },
+            { AttributeName: "stateId", KeyType: "RANGE" }
+        ],
+        AttributeDefinitions: [
+            { AttributeName: "sessionId", AttributeType: "S" },
+            { AttributeName: "stateId", AttributeType: "S" }
+        ],
+        ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 }
+    },
+    {
+        TableName: "BookAuditLog",
+        KeySchema: [
+            { AttributeName: "bookId", KeyType: "HASH" },
+            { AttributeName: "recordKey", KeyType: "RANGE" }
+        ],
+        AttributeDefinitions: [
+            { AttributeName: "bookId", AttributeType: "S" },
+            { AttributeName: "recordKey", AttributeType: "S" }
+        ],
+        ProvisionedThroughput: { ReadCapacityUnits: 5, WriteCapacityUnits: 5 }
     }
 ];
 
@@ -0,0 +1,61 @@
+/**
+ * ACCESS CONTROL
+ *
+ * Requests through the gateway carry the verified listener (x-user-id) and
+ * their groups (x-user-roles); calls between services carry neither and are
+ * trusted. A session belongs to the listener it was created for (ownerId,
+ * or userId for sessions recorded before ownership existed). Researchers may
+ * read every session (but not write to it), export study data and run experiments.
+ *
+ * The book catalog is read by everyone. Editors add and change books and
+ * transcripts; admins may also delete books.
+ */
+
+export const RESEARCHER_ROLE = 'researcher';
+export const EDITOR_ROLE = 'editor';
+export const ADMIN_ROLE = 'admin';
+
+/**
+ * Verified caller of a request ({ userId, roles }), or null for service calls
+ */
+export function callerOf(req) {
+    const userId = req.get('x-user-id');
+    if (!userId) return null;
+    const roles = String(req.get('x-user-roles') || '').split(',').map(role => role.trim()).filter(Boolean);
+    return { userId, roles };
+}
+
+export const isResearcher = (caller) => !caller || caller.roles.includes(RESEARCHER_ROLE);
+
+export function sessionOwner(session) {
+    return session?.ownerId ?? session?.userId ?? null;
+}
+
+/**
+ * Whether the caller may use a session: their own, or read-only for researchers.
+ * Sessions not created yet are open: the first listener to use one becomes its owner.
+ */
+export function canAccessSession(caller, session, method = 'GET') {
+    if (!caller || !session || sessionOwner(session) === caller.userId) return true;
+    return method === 'GET' && isResearcher(caller);
+}
+
+/**
+ * Whether the caller may act on a listener's records: their own, or read-only for researchers
+ */
+export function canAccessUser(caller, userId, method = 'GET') {
+    if (!caller || caller.userId === userId) return true;
+    return method === 'GET' && isResearcher(caller);
+}
+
+export const canEditCatalog = (caller) => !caller || caller.roles.includes(EDITOR_ROLE) || caller.roles.includes(ADMIN_ROLE);
+
+export const canDeleteBooks = (caller) => !caller || caller.roles.includes(ADMIN_ROLE);
+
+/**
+ * Middleware refusing the request with 403 unless allowed(caller)
+ */
+export const requireRole = (allowed, error) => (req, res, next) => {
+    if (!allowed(callerOf(req))) return res.status(403).json({ error });
+    next();
+};
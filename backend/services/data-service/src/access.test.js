@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { callerOf, canAccessSession, canAccessUser, canDeleteBooks, canEditCatalog, isResearcher, requireRole } from './access.js';
+
+const requestWith = (headers) => ({ get: (name) => headers[name] });
+
+test('callers come from the identity headers the gateway sets', () => {
+    assert.strictEqual(callerOf(requestWith({})), null);
+    assert.deepStrictEqual(
+        callerOf(requestWith({ 'x-user-id': 'u1', 'x-user-roles': 'researcher, editor' })),
+        { userId: 'u1', roles: ['researcher', 'editor'] }
+    );
+});
+
+test('listeners reach their own sessions, researchers read all of them', () => {
+    const listener = { userId: 'u1', roles: [] };
+    const researcher = { userId: 'r1', roles: ['researcher'] };
+
+    assert.strictEqual(canAccessSession(listener, { ownerId: 'u1' }), true);
+    assert.strictEqual(canAccessSession(listener, { ownerId: 'u2', userId: null }), false);
+    assert.strictEqual(canAccessSession(listener, { userId: 'u1' }), true);
+    assert.strictEqual(canAccessSession(listener, { userId: null }), false);
+    assert.strictEqual(canAccessSession(listener, null), true);
+    assert.strictEqual(canAccessSession(researcher, { ownerId: 'u2' }), true);
+    assert.strictEqual(canAccessSession(researcher, { ownerId: 'u2' }, 'POST'), false);
+    assert.strictEqual(canAccessSession(researcher, { ownerId: 'u2' }, 'DELETE'), false);
+    assert.strictEqual(canAccessSession(researcher, { ownerId: 'r1' }, 'POST'), true);
+    assert.strictEqual(canAccessSession(listener, { ownerId: 'u1' }, 'DELETE'), true);
+    assert.strictEqual(canAccessSession(null, { ownerId: 'u2' }), true);
+});
+
+test('researchers only read other listeners records', () => {
+    const researcher = { userId: 'r1', roles: ['researcher'] };
+    assert.strictEqual(canAccessUser({ userId: 'u1', roles: [] }, 'u1', 'DELETE'), true);
+    assert.strictEqual(canAccessUser({ userId: 'u2', roles: [] }, 'u1', 'GET'), false);
+    assert.strictEqual(canAccessUser(researcher, 'u1', 'GET'), true);
+    assert.strictEqual(canAccessUser(researcher, 'u1', 'DELETE'), false);
+});
+
+test('editors change the catalog, only admins delete books', () => {
+    const listener = { userId: 'u1', roles: [] };
+    const editor = { userId: 'e1', roles: ['editor'] };
+    const admin = { userId: 'a1', roles: ['admin'] };
+
+    assert.deepStrictEqual([listener, editor, admin, null].map(canEditCatalog), [false, true, true, true]);
+    assert.deepStrictEqual([listener, editor, admin, null].map(canDeleteBooks), [false, false, true, true]);
+});
+
+test('role-guarded routes refuse callers without the role', () => {
+    const guard = requireRole(isResearcher, 'Experiments are limited to researchers');
+    const run = (headers) => {
+        const outcome = {};
+        const res = {
+            status(code) { outcome.status = code; return this; },
+            json(body) { outcome.body = body; return this; }
+        };
+        guard(requestWith(headers), res, () => { outcome.next = true; });
+        return outcome;
+    };
+
+    assert.deepStrictEqual(run({ 'x-user-id': 'u1' }), { status: 403, body: { error: 'Experiments are limited to researchers' } });
+    assert.deepStrictEqual(run({ 'x-user-id': 'r1', 'x-user-roles': 'researcher' }), { next: true });
+    assert.deepStrictEqual(run({}), { next: true });
+});
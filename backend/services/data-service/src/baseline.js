@@ -0,0 +1,66 @@
+/**
+ * USER BEHAVIORAL BASELINE
+ *
+ * Typical playback speed, pause rate and replay rate of a listener, averaged
+ * over their recent sessions. The cognitive engine judges deviations from
+ * this baseline instead of global thresholds once enough sessions exist.
+ */
+
+export const BASELINE_MIN_SESSIONS = Number.parseInt(process.env.BASELINE_MIN_SESSIONS, 10) || 3;
+export const BASELINE_MAX_SESSIONS = Number.parseInt(process.env.BASELINE_MAX_SESSIONS, 10) || 20;
+
+// Sessions shorter than this say little about how someone normally listens
+const MIN_EVENTS_PER_SESSION = 5;
+
+const typeOf = (event) => event.eventType?.toUpperCase();
+
+/**
+ * Summarize one session's events (same metric definitions as the cognitive engine)
+ *
+ * @returns { avgSpeed, pauseRate, replayRate } per minute, or null if the session is too short
+ */
+export function summarizeSession(events) {
+    if (events.length < MIN_EVENTS_PER_SESSION) return null;
+
+    const minutes = (events[events.length - 1].timestamp - events[0].timestamp) / 60000 || 1;
+    const speeds = events
+        .filter(e => typeOf(e) === 'AUDIO_SPEED_CHANGE')
+        .map(e => e.metadata?.speed || 1);
+    const pauses = events.filter(e => typeOf(e) === 'AUDIO_PAUSE').length;
+    const replays = events.filter(e =>
+        typeOf(e) === 'AUDIO_REPLAY' || (typeOf(e) === 'AUDIO_SEEK' && e.metadata?.seekDuration < 0)
+    ).length;
+
+    return {
+        avgSpeed: speeds.length > 0 ? speeds.reduce((sum, s) => sum + s, 0) / speeds.length : 1,
+        pauseRate: pauses / minutes,
+        replayRate: replays / minutes
+    };
+}
+
+/**
+ * Average session summaries into a baseline record
+ */
+export function buildBaseline(userId, summaries, now = Date.now()) {
+    const mean = (key) => summaries.reduce((sum, s) => sum + s[key], 0) / summaries.length;
+    const sessionCount = summaries.length;
+
+    if (sessionCount === 0) return coldStartBaseline(userId, now);
+
+    return {
+        userId,
+        sessionCount,
+        ready: sessionCount >= BASELINE_MIN_SESSIONS,
+        avgSpeed: mean('avgSpeed'),
+        pauseRate: mean('pauseRate'),
+        replayRate: mean('replayRate'),
+        updatedAt: now
+    };
+}
+
+/**
+ * Baseline for a listener without usable history - the engine falls back to global thresholds
+ */
+export function coldStartBaseline(userId, now = Date.now()) {
+    return { userId, sessionCount: 0, ready: false, updatedAt: now };
+}
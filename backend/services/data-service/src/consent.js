@@ -0,0 +1,75 @@
+/**
+ * PARTICIPANT CONSENT
+ *
+ * One consent record per listener:
+ *   { userId, studyId, scopes, version?, grantedAt, withdrawnAt, updatedAt }
+ *
+ * Scopes say what may be collected:
+ *   behavioral - listening events, and the cognitive states and adaptations derived from them
+ *   research   - inclusion (pseudonymised) in research exports
+ *
+ * Withdrawing keeps the record, with the withdrawal date, as evidence of what
+ * was agreed to and when; erasing the listener's data removes it as well.
+ */
+
+import { createHmac, randomBytes } from 'node:crypto';
+
+export class ConsentError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConsentError';
+    }
+}
+
+export const CONSENT_SCOPES = ['behavioral', 'research'];
+
+function parseTime(value, label) {
+    if (value === undefined || value === null) return null;
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    if (!Number.isFinite(time)) throw new ConsentError(`${label} must be epoch milliseconds or an ISO 8601 date`);
+    return time;
+}
+
+/**
+ * Validate a consent grant; throws ConsentError
+ *
+ * @param body - { studyId, scopes, version?, withdrawnAt? } (withdrawnAt may schedule the end of participation)
+ */
+export function normalizeConsent(userId, body, now = Date.now()) {
+    const { studyId, scopes, version, withdrawnAt } = body || {};
+
+    if (!studyId || typeof studyId !== 'string') throw new ConsentError('studyId is required');
+    if (!Array.isArray(scopes) || scopes.some(scope => !CONSENT_SCOPES.includes(scope))) {
+        throw new ConsentError(`scopes must be a list of ${CONSENT_SCOPES.join(', ')}`);
+    }
+
+    return {
+        userId,
+        studyId,
+        scopes: CONSENT_SCOPES.filter(scope => scopes.includes(scope)),
+        ...(version !== undefined && { version: String(version) }),
+        grantedAt: now,
+        withdrawnAt: parseTime(withdrawnAt, 'withdrawnAt'),
+        updatedAt: now
+    };
+}
+
+/**
+ * Whether a consent record covers a scope at a given time
+ */
+export function consentAllows(consent, scope, at = Date.now()) {
+    if (!consent?.scopes?.includes(scope)) return false;
+    return consent.withdrawnAt === null || consent.withdrawnAt === undefined || consent.withdrawnAt > at;
+}
+
+/**
+ * Stable pseudonyms for exports: an HMAC of the user id, so the same listener
+ * gets the same id across exports without the id being reversible.
+ * Without a key, a random one is used and pseudonyms change on restart.
+ */
+export function createPseudonymizer(key) {
+    const secret = key || randomBytes(32);
+    return (userId) => (userId
+        ? `p-${createHmac('sha256', secret).update(String(userId)).digest('hex').slice(0, 24)}`
+        : null);
+}
@@ -0,0 +1,31 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { ConsentError, consentAllows, createPseudonymizer, normalizeConsent } from './consent.js';
+
+test('consent covers its scopes until withdrawn', () => {
+    const consent = normalizeConsent('u1', { studyId: 'pilot', scopes: ['research', 'behavioral'] }, 1000);
+    assert.deepStrictEqual(consent.scopes, ['behavioral', 'research']);
+    assert.strictEqual(consentAllows(consent, 'behavioral', 2000), true);
+
+    const behavioralOnly = { ...consent, scopes: ['behavioral'] };
+    assert.strictEqual(consentAllows(behavioralOnly, 'research', 2000), false);
+
+    const withdrawn = { ...consent, withdrawnAt: 5000 };
+    assert.strictEqual(consentAllows(withdrawn, 'behavioral', 4999), true);
+    assert.strictEqual(consentAllows(withdrawn, 'behavioral', 5000), false);
+    assert.strictEqual(consentAllows(null, 'behavioral'), false);
+});
+
+test('invalid consent is rejected', () => {
+    assert.throws(() => normalizeConsent('u1', { scopes: ['behavioral'] }), ConsentError);
+    assert.throws(() => normalizeConsent('u1', { studyId: 'pilot', scopes: ['location'] }), /scopes/);
+    assert.throws(() => normalizeConsent('u1', { studyId: 'pilot', scopes: [], withdrawnAt: 'soon' }), /withdrawnAt/);
+});
+
+test('pseudonyms are stable per key and do not reveal the id', () => {
+    const pseudonymize = createPseudonymizer('secret');
+    assert.strictEqual(pseudonymize('u1'), createPseudonymizer('secret')('u1'));
+    assert.notStrictEqual(pseudonymize('u1'), createPseudonymizer('other')('u1'));
+    assert.match(pseudonymize('u1'), /^p-[0-9a-f]{24}$/);
+    assert.strictEqual(pseudonymize(null), null);
+});
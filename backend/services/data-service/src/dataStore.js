@@ -1,192 +1,669 @@
-import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
-import { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, ScanCommand, DeleteCommand } from "@aws-sdk/lib-dynamodb";
-
-const client = new DynamoDBClient({ region: "us-east-1" });
-const docClient = DynamoDBDocumentClient.from(client);
+import { randomUUID } from 'node:crypto';
+import { createStorage, ConditionalWriteError } from './storage/index.js';
+import { BASELINE_MAX_SESSIONS, buildBaseline, coldStartBaseline, summarizeSession } from './baseline.js';
+import { normalizeTranscript } from './transcripts.js';
+import { HEATMAP_BIN_SECONDS, chapterHeatmap, chapterKey, heatmapPassages, sessionContributions } from './heatmap.js';
+import { feedbackFromEvent, feedbackRecord, feedbackUpdate } from './feedback.js';
+import { consentAllows, createPseudonymizer, normalizeConsent } from './consent.js';
+import { EXPERIMENT_STATUSES, ExperimentError, assignArm, experimentMetrics, normalizeExperiment, sessionAssignment } from './experiments.js';
+import { log } from './log.js';
+
+const storage = await createStorage(process.env.STORAGE_DRIVER || 'dynamodb');
+log.info('storage driver', { driver: storage.name });
 
 const SESSIONS_TABLE = "CognitiveSessions";
 const USER_PROGRESS_TABLE = "UserProgress";
 const BOOKS_TABLE = "Audiobooks";
+const EVENTS_TABLE = "SessionEvents";
+const COGNITIVE_STATES_TABLE = "SessionCognitiveStates";
+const COGNITIVE_STATE_INDEX_TABLE = "SessionCognitiveStateIndex";
+const ADAPTATIONS_TABLE = "SessionAdaptations";
+const ADAPTATION_INDEX_TABLE = "SessionAdaptationIndex";
+const BASELINES_TABLE = "UserBaselines";
+const USER_SESSIONS_TABLE = "UserSessions";
+const TRANSCRIPTS_TABLE = "BookTranscripts";
+const HEATMAPS_TABLE = "PassageHeatmaps";
+const HEATMAP_CONTRIBUTIONS_TABLE = "HeatmapContributions";
+const STRATEGY_FEEDBACK_TABLE = "UserStrategyFeedback";
+const BANDIT_ARMS_TABLE = "BanditArms";
+const EXPERIMENTS_TABLE = "Experiments";
+const EXPERIMENT_ASSIGNMENTS_TABLE = "ExperimentAssignments";
+const CONSENTS_TABLE = "UserConsents";
+const BOOK_AUDIT_TABLE = "BookAuditLog";
+
+const TIMESTAMP_WIDTH = 15;
 
 /**
- * Get or create a session
+ * Build the time-ordered sort key for a log record.
+ * Zero-padded timestamps sort lexically in time order; the id suffix keeps
+ * records with the same millisecond distinct.
+ */
+export function toRecordKey(timestamp, id) {
+    return `${String(Math.max(0, Math.floor(timestamp))).padStart(TIMESTAMP_WIDTH, '0')}#${id}`;
+}
+
+/**
+ * Translate a { from, to } time range (ms) into sort key bounds
  */
-export async function getSession(sessionId, userId = null) {
-    const params = {
-        TableName: SESSIONS_TABLE,
-        Key: { sessionId }
+function toKeyRange({ from, to } = {}) {
+    return {
+        from: from === undefined ? undefined : toRecordKey(from, ''),
+        to: to === undefined ? undefined : toRecordKey(to, '\uffff')
     };
+}
 
+/**
+ * Append a record to a session log.
+ * Returns false if a record with the same key already exists (e.g. a retried write).
+ */
+async function appendRecord(table, sessionId, timestamp, id, record) {
     try {
-        const { Item } = await docClient.send(new GetCommand(params));
+        await storage.put(table, {
+            ...record,
+            sessionId,
+            recordKey: toRecordKey(timestamp, id)
+        }, { ifNotExists: true });
+        return true;
+    } catch (err) {
+        if (err instanceof ConditionalWriteError) return false;
+        throw err;
+    }
+}
 
-        if (Item) {
-            Item.events = Item.events || [];
-            Item.cognitiveStates = Item.cognitiveStates || [];
-            Item.adaptations = Item.adaptations || [];
+/**
+ * Read a session log in chronological order.
+ * With a limit, returns the most recent records inside the range.
+ */
+async function readLog(table, sessionId, { from, to, limit } = {}) {
+    const items = await storage.query(table, sessionId, {
+        ...toKeyRange({ from, to }),
+        limit,
+        descending: Boolean(limit)
+    });
+    if (limit) items.reverse();
+    return items.map(({ recordKey: _recordKey, ...record }) => record);
+}
 
-            if (userId && !Item.userId) {
+/**
+ * Get or create a session
+ *
+ * ownerId is the verified listener the session belongs to. It is kept apart
+ * from userId, which is only recorded with the listener's consent.
+ */
+export async function getSession(sessionId, userId = null, ownerId = null) {
+    try {
+        const existing = await storage.get(SESSIONS_TABLE, { sessionId });
+
+        if (existing) {
+            if (userId && !existing.userId) {
                 await updateSessionUser(sessionId, userId);
-                Item.userId = userId;
+                existing.userId = userId;
+                await indexUserSession(existing);
             }
-            const sanitizedSessionId = String(sessionId).replaceAll(/[\r\n]/g, '');
-            console.log(`[DATA] Fetched session ${sanitizedSessionId} - Events: ${Item.events.length}`);
-            return Item;
+            if (ownerId && !existing.ownerId && (existing.userId ?? ownerId) === ownerId) {
+                await storage.update(SESSIONS_TABLE, { sessionId }, { ownerId });
+                existing.ownerId = ownerId;
+            }
+            log.info('fetched session', { sessionId, eventCount: existing.eventCount || 0 });
+            return existing;
         }
 
+        const experiment = await assignExperiment(sessionId, userId);
         const newSession = {
             sessionId,
             userId,
+            ...(ownerId && { ownerId }),
             startTime: Date.now(),
             currentSection: 'intro',
             currentTime: 0,
             playbackSpeed: 1,
-            events: [],
-            cognitiveStates: [],
-            adaptations: []
+            eventCount: 0,
+            ...(experiment && { experiment })
         };
 
-        await docClient.send(new PutCommand({
-            TableName: SESSIONS_TABLE,
-            Item: newSession
-        }));
+        try {
+            await storage.put(SESSIONS_TABLE, newSession, { ifNotExists: true });
+        } catch (err) {
+            // Another request created the session first - use theirs
+            if (err instanceof ConditionalWriteError) return getSession(sessionId, userId, ownerId);
+            throw err;
+        }
+        if (userId) await indexUserSession(newSession);
 
         return newSession;
     } catch (err) {
-        console.error("Error in getSession:", err);
+        log.error('getSession failed', { sessionId, error: err });
         throw err;
     }
 }
 
 async function updateSessionUser(sessionId, userId) {
-    const params = {
-        TableName: SESSIONS_TABLE,
-        Key: { sessionId },
-        UpdateExpression: "set userId = :u",
-        ExpressionAttributeValues: { ":u": userId }
-    };
-    await docClient.send(new UpdateCommand(params));
+    await storage.update(SESSIONS_TABLE, { sessionId }, { userId });
 }
 
+const userSessionKey = (session) => toRecordKey(session.startTime ?? 0, session.sessionId);
+
 /**
- * Add event to session
+ * List a session under the listener it is recorded with, so their sessions
+ * are found without scanning every session
  */
-export async function addEvent(sessionId, event) {
-    if (event.userId) {
-        updateSessionUser(sessionId, event.userId).catch(() => { });
+async function indexUserSession(session) {
+    await storage.put(USER_SESSIONS_TABLE, {
+        userId: session.userId,
+        sessionKey: userSessionKey(session),
+        sessionId: session.sessionId
+    });
+}
+
+/**
+ * Move sessions written before the session logs existed, which kept their
+ * events, cognitive states and adaptations in arrays on the session item, into
+ * the log tables. Records keep their ids (or get one from their position), so
+ * an interrupted run can simply be repeated. Sessions recorded with a listener
+ * before UserSessions existed are listed there too.
+ *
+ * @returns Number of sessions migrated
+ */
+export async function migrateLegacySessions() {
+    let migrated = 0;
+    for (const session of await storage.scan(SESSIONS_TABLE)) {
+        if (session.userId && !await storage.get(USER_SESSIONS_TABLE, { userId: session.userId, sessionKey: userSessionKey(session) })) {
+            await indexUserSession(session);
+        }
+
+        const { sessionId, events, cognitiveStates, adaptations, ...rest } = session;
+        if (![events, cognitiveStates, adaptations].some(Array.isArray)) continue;
+
+        const timestampOf = (record) => record.timestamp ?? session.startTime ?? 0;
+        let storedEvents = 0;
+        for (const [i, event] of (events || []).entries()) {
+            if (await appendRecord(EVENTS_TABLE, sessionId, timestampOf(event), event.eventId || `legacy-${i}`, event)) storedEvents++;
+        }
+        for (const [i, state] of (cognitiveStates || []).entries()) {
+            await appendRecord(COGNITIVE_STATES_TABLE, sessionId, timestampOf(state), `legacy-${i}`, state);
+        }
+        for (const [i, adaptation] of (adaptations || []).entries()) {
+            const adaptationId = adaptation.adaptationId || `legacy-${i}`;
+            await appendRecord(ADAPTATIONS_TABLE, sessionId, timestampOf(adaptation), adaptationId, adaptation);
+            if (adaptation.adaptationId) {
+                await storage.put(ADAPTATION_INDEX_TABLE, { sessionId, adaptationId, recordKey: toRecordKey(timestampOf(adaptation), adaptationId) });
+            }
+        }
+
+        await storage.put(SESSIONS_TABLE, { ...rest, sessionId, eventCount: (rest.eventCount || 0) + storedEvents });
+        migrated++;
     }
+    if (migrated > 0) log.info('migrated legacy sessions', { sessions: migrated });
+    return migrated;
+}
 
+/**
+ * Session as stored, without creating it
+ */
+export async function findSession(sessionId) {
+    return storage.get(SESSIONS_TABLE, { sessionId });
+}
 
+/**
+ * Experiment arm of a session, copied onto every record it produces
+ */
+function experimentStamp(session) {
+    const { experimentId, armId } = session?.experiment || {};
+    return experimentId ? { experiment: { experimentId, armId } } : {};
+}
 
-    const session = await getSession(sessionId);
-    session.events.push(event);
-    if (session.events.length > 100) session.events = session.events.slice(-100);
-
-    const params = {
-        TableName: SESSIONS_TABLE,
-        Key: { sessionId },
-        UpdateExpression: "set events = :e",
-        ExpressionAttributeValues: { ":e": session.events }
-    };
+async function sessionExperimentStamp(sessionId) {
+    return experimentStamp(await storage.get(SESSIONS_TABLE, { sessionId }));
+}
 
-    await docClient.send(new UpdateCommand(params));
-    return session;
+/**
+ * Add event to session
+ */
+export async function addEvent(sessionId, event) {
+    const session = await getSession(sessionId, event.userId || null);
+    const timestamp = event.timestamp ?? Date.now();
+
+    const stored = await appendRecord(EVENTS_TABLE, sessionId, timestamp, event.eventId || randomUUID(), {
+        ...event,
+        timestamp,
+        ...experimentStamp(session)
+    });
+    if (!stored) return session;
+
+    // Recorded with the event, so a retried event never counts twice
+    const feedback = feedbackFromEvent({ ...event, timestamp });
+    if (feedback) await recordAdaptationFeedback(sessionId, session.userId, feedback);
+
+    return storage.update(SESSIONS_TABLE, { sessionId }, { lastEventAt: timestamp }, {
+        increment: { eventCount: 1 }
+    });
 }
 
 /**
  * Get recent events for analysis
  */
 export async function getRecentEvents(sessionId, limit = 20) {
-    const session = await getSession(sessionId);
-    return session.events.slice(-limit);
+    return readLog(EVENTS_TABLE, sessionId, { limit });
 }
 
 /**
- * Update cognitive state for session
+ * Get events for a session within a time range (full history when no range is given)
  */
-export async function updateCognitiveState(sessionId, cognitiveState) {
-    const session = await getSession(sessionId);
-    session.cognitiveStates.push(cognitiveState);
-    if (session.cognitiveStates.length > 20) session.cognitiveStates = session.cognitiveStates.slice(-20);
-
-    const params = {
-        TableName: SESSIONS_TABLE,
-        Key: { sessionId },
-        UpdateExpression: "set cognitiveStates = :cs",
-        ExpressionAttributeValues: { ":cs": session.cognitiveStates }
-    };
+export async function getEvents(sessionId, range = {}) {
+    return readLog(EVENTS_TABLE, sessionId, range);
+}
 
-    await docClient.send(new UpdateCommand(params));
-    return session;
+/**
+ * Update cognitive state for session.
+ * A state with a stateId is stored once, however often the analysis that produced it is retried.
+ */
+export async function updateCognitiveState(sessionId, cognitiveState) {
+    const { stateId } = cognitiveState;
+    if (stateId && await storage.get(COGNITIVE_STATE_INDEX_TABLE, { sessionId, stateId })) return;
+
+    const timestamp = cognitiveState.timestamp ?? Date.now();
+    const id = stateId || randomUUID();
+    await appendRecord(COGNITIVE_STATES_TABLE, sessionId, timestamp, id, {
+        ...cognitiveState,
+        timestamp,
+        ...await sessionExperimentStamp(sessionId)
+    });
+    if (stateId) {
+        await storage.put(COGNITIVE_STATE_INDEX_TABLE, { sessionId, stateId, recordKey: toRecordKey(timestamp, id) });
+    }
 }
 
 /**
  * Get current cognitive state
  */
 export async function getCurrentCognitiveState(sessionId) {
-    const session = await getSession(sessionId);
-    return session.cognitiveStates[session.cognitiveStates.length - 1] || null;
+    const [latest] = await readLog(COGNITIVE_STATES_TABLE, sessionId, { limit: 1 });
+    return latest || null;
 }
 
 /**
- * Add adaptation to session
+ * Get cognitive state history within a time range
  */
-export async function addAdaptation(sessionId, adaptation) {
-    const session = await getSession(sessionId);
-    session.adaptations.push(adaptation);
+export async function getCognitiveStates(sessionId, range = {}) {
+    return readLog(COGNITIVE_STATES_TABLE, sessionId, range);
+}
 
-    const params = {
-        TableName: SESSIONS_TABLE,
-        Key: { sessionId },
-        UpdateExpression: "set adaptations = :a",
-        ExpressionAttributeValues: { ":a": session.adaptations }
-    };
+/**
+ * Add adaptation to session (idempotent on adaptationId)
+ */
+export async function addAdaptation(sessionId, adaptation) {
+    if (adaptation.adaptationId && await findAdaptation(sessionId, adaptation.adaptationId)) return;
+
+    const timestamp = adaptation.timestamp ?? Date.now();
+    const adaptationId = adaptation.adaptationId || randomUUID();
+    await appendRecord(ADAPTATIONS_TABLE, sessionId, timestamp, adaptationId, {
+        ...adaptation,
+        timestamp,
+        ...await sessionExperimentStamp(sessionId)
+    });
+    if (adaptation.adaptationId) {
+        await storage.put(ADAPTATION_INDEX_TABLE, { sessionId, adaptationId, recordKey: toRecordKey(timestamp, adaptationId) });
+    }
+}
 
-    await docClient.send(new UpdateCommand(params));
-    return session;
+/**
+ * Stored adaptation record (with its recordKey) by id, or null
+ */
+async function findAdaptation(sessionId, adaptationId) {
+    const entry = await storage.get(ADAPTATION_INDEX_TABLE, { sessionId, adaptationId: String(adaptationId) });
+    return entry && storage.get(ADAPTATIONS_TABLE, { sessionId, recordKey: entry.recordKey });
 }
 
 /**
  * Get recent adaptations
  */
 export async function getRecentAdaptations(sessionId, limit = 10) {
-    const session = await getSession(sessionId);
-    return session.adaptations.slice(-limit);
+    return readLog(ADAPTATIONS_TABLE, sessionId, { limit });
+}
+
+/**
+ * Get adaptations within a time range
+ */
+export async function getAdaptations(sessionId, range = {}) {
+    return readLog(ADAPTATIONS_TABLE, sessionId, range);
+}
+
+/**
+ * Store a listener's reaction on the adaptation record, and in their per-strategy counts
+ */
+async function recordAdaptationFeedback(sessionId, userId, feedback) {
+    const adaptation = await findAdaptation(sessionId, feedback.adaptationId);
+    if (!adaptation) {
+        log.warn('feedback for unknown adaptation', { sessionId, adaptationId: feedback.adaptationId });
+        return;
+    }
+
+    await storage.update(ADAPTATIONS_TABLE, { sessionId, recordKey: adaptation.recordKey }, {
+        feedback: { outcome: feedback.outcome, at: feedback.at }
+    });
+
+    // Undone after the bandit already judged it: an undone adaptation earns nothing
+    if (adaptation.reward > 0 && feedback.outcome !== 'accepted') {
+        await withdrawBanditReward(sessionId, adaptation, feedback.at);
+    }
+
+    if (userId && adaptation.strategy) {
+        const { fields, increment } = feedbackUpdate(feedback);
+        await storage.update(STRATEGY_FEEDBACK_TABLE, { userId, strategy: adaptation.strategy }, fields, { increment });
+    }
+}
+
+/**
+ * Per-strategy feedback counts of a user (empty record if they never reacted to an adaptation)
+ */
+export async function getAdaptationFeedback(userId) {
+    return feedbackRecord(userId, await storage.query(STRATEGY_FEEDBACK_TABLE, userId));
+}
+
+/**
+ * Bandit arm statistics for a user or cohort key (empty until the first reward)
+ */
+export async function getBanditState(banditKey) {
+    const contexts = {};
+    for (const { context, arm, pulls = 0, rewardSum = 0 } of await storage.query(BANDIT_ARMS_TABLE, banditKey)) {
+        contexts[context] = { ...contexts[context], [arm]: { pulls, rewardSum } };
+    }
+    return { banditKey, contexts };
+}
+
+/**
+ * Record the reward of a bandit-chosen adaptation, once.
+ * Returns null for an unknown adaptation, false if it was not chosen by a bandit or is already rewarded.
+ */
+export async function recordBanditReward(sessionId, adaptationId, reward, now = Date.now()) {
+    const adaptation = await findAdaptation(sessionId, adaptationId);
+    if (!adaptation) return null;
+    if (!adaptation.policy?.arm || adaptation.reward !== undefined) return false;
+
+    await storage.update(ADAPTATIONS_TABLE, { sessionId, recordKey: adaptation.recordKey }, { reward, rewardedAt: now });
+
+    const { key, context, arm } = adaptation.policy;
+    await storage.update(BANDIT_ARMS_TABLE, { banditKey: key, armKey: `${context}#${arm}` }, { context, arm, updatedAt: now }, {
+        increment: { pulls: 1, rewardSum: reward }
+    });
+    return true;
+}
+
+/**
+ * Take back the reward of a bandit-chosen adaptation the listener rejected or overrode
+ * only after it was rewarded
+ */
+async function withdrawBanditReward(sessionId, adaptation, now) {
+    await storage.update(ADAPTATIONS_TABLE, { sessionId, recordKey: adaptation.recordKey }, { reward: 0, rewardedAt: now });
+
+    const { key, context, arm } = adaptation.policy;
+    await storage.update(BANDIT_ARMS_TABLE, { banditKey: key, armKey: `${context}#${arm}` }, { context, arm, updatedAt: now }, {
+        increment: { rewardSum: -adaptation.reward }
+    });
+}
+
+/**
+ * --- Experiments ---
+ */
+
+export async function getExperiments() {
+    const experiments = await storage.scan(EXPERIMENTS_TABLE);
+    return experiments.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+export async function getExperiment(experimentId) {
+    return storage.get(EXPERIMENTS_TABLE, { experimentId });
+}
+
+/**
+ * Only one experiment runs at a time, so every session has a single set of conditions
+ */
+async function assertNoOtherActiveExperiment(experimentId) {
+    const active = (await getExperiments()).find(e => e.status === 'active' && e.experimentId !== experimentId);
+    if (active) throw new ExperimentError(`Experiment "${active.experimentId}" is already active`, 409);
+}
+
+/**
+ * Create an experiment; throws ExperimentError on invalid input or an existing id
+ */
+export async function createExperiment(body) {
+    const experiment = normalizeExperiment(body);
+    if (experiment.status === 'active') await assertNoOtherActiveExperiment(experiment.experimentId);
+
+    try {
+        await storage.put(EXPERIMENTS_TABLE, experiment, { ifNotExists: true });
+    } catch (err) {
+        if (err instanceof ConditionalWriteError) {
+            throw new ExperimentError(`Experiment "${experiment.experimentId}" already exists`, 409);
+        }
+        throw err;
+    }
+    return experiment;
+}
+
+/**
+ * Start or end an experiment. Arms cannot change once defined, since
+ * assigned sessions keep the arm settings they started with.
+ * Returns null for an unknown experiment.
+ */
+export async function setExperimentStatus(experimentId, status) {
+    const experiment = await getExperiment(experimentId);
+    if (!experiment) return null;
+
+    if (!EXPERIMENT_STATUSES.includes(status)) {
+        throw new ExperimentError(`status must be one of ${EXPERIMENT_STATUSES.join(', ')}`);
+    }
+    const updated = normalizeExperiment({ ...experiment, status });
+    if (status === 'active') await assertNoOtherActiveExperiment(experimentId);
+    await storage.put(EXPERIMENTS_TABLE, updated);
+    return updated;
+}
+
+/**
+ * Assign a new session to the active experiment, if any.
+ * Listener-level experiments reuse the listener's earlier assignment; anonymous
+ * sessions are assigned on their own.
+ */
+async function assignExperiment(sessionId, userId) {
+    const experiment = (await getExperiments()).find(e => e.status === 'active');
+    if (!experiment) return null;
+
+    const unitId = experiment.unit === 'user' && userId ? `user:${userId}` : `session:${sessionId}`;
+    const assignment = {
+        experimentId: experiment.experimentId,
+        unitId,
+        armId: assignArm(experiment, unitId).armId,
+        assignedAt: Date.now()
+    };
+
+    try {
+        await storage.put(EXPERIMENT_ASSIGNMENTS_TABLE, assignment, { ifNotExists: true });
+    } catch (err) {
+        if (!(err instanceof ConditionalWriteError)) throw err;
+    }
+
+    const { armId } = await storage.get(EXPERIMENT_ASSIGNMENTS_TABLE, { experimentId: experiment.experimentId, unitId });
+    const arm = experiment.arms.find(a => a.armId === armId) || experiment.arms[0];
+    return sessionAssignment(experiment, arm);
+}
+
+/**
+ * Outcome metrics per arm (see experiments.js), or null for an unknown experiment
+ */
+export async function getExperimentMetrics(experimentId) {
+    const experiment = await getExperiment(experimentId);
+    if (!experiment) return null;
+
+    const sessions = [];
+    for (const session of await getAllSessions()) {
+        if (session.experiment?.experimentId !== experimentId) continue;
+        sessions.push({
+            session,
+            events: await getEvents(session.sessionId),
+            states: await getCognitiveStates(session.sessionId),
+            adaptations: await getAdaptations(session.sessionId)
+        });
+    }
+
+    return {
+        experimentId,
+        status: experiment.status,
+        arms: experimentMetrics(experiment, sessions),
+        generatedAt: Date.now()
+    };
+}
+
+/**
+ * --- Research Export ---
+ */
+
+if (!process.env.EXPORT_PSEUDONYM_KEY) {
+    log.warn('EXPORT_PSEUDONYM_KEY is not set - export pseudonyms change on every restart');
+}
+const pseudonymize = createPseudonymizer(process.env.EXPORT_PSEUDONYM_KEY);
+
+const EXPORT_LOG_TABLES = {
+    events: EVENTS_TABLE,
+    'cognitive-states': COGNITIVE_STATES_TABLE,
+    adaptations: ADAPTATIONS_TABLE
+};
+
+/**
+ * Records of one kind (see export.js), one session at a time in start order,
+ * each with its session for the shared columns.
+ * Listeners appear under pseudonyms, and only with research consent;
+ * anonymous sessions are always included.
+ *
+ * @param filters - { from, to } epoch ms, experimentId, userIds (ids or pseudonyms)
+ */
+export async function* exportRecords(kind, { from, to, experimentId, userIds } = {}) {
+    const allSessions = await getAllSessions();
+    const consents = new Map();
+    for (const userId of new Set(allSessions.map(s => s.userId).filter(Boolean))) {
+        consents.set(userId, consentAllows(await getConsent(userId), 'research'));
+    }
+
+    const sessions = allSessions
+        .filter(s => !s.userId || consents.get(s.userId))
+        .filter(s => !experimentId || s.experiment?.experimentId === experimentId)
+        .filter(s => !userIds?.length || userIds.includes(s.userId) || userIds.includes(pseudonymize(s.userId)))
+        .filter(s => from === undefined || (s.lastEventAt ?? s.startTime) >= from)
+        .filter(s => to === undefined || s.startTime <= to)
+        .sort((a, b) => a.startTime - b.startTime || a.sessionId.localeCompare(b.sessionId));
+
+    for (const { userId, ...rest } of sessions) {
+        const session = { ...rest, userId: pseudonymize(userId) };
+        if (kind === 'sessions') {
+            yield { record: session, session };
+            continue;
+        }
+        for (const record of await readLog(EXPORT_LOG_TABLES[kind], session.sessionId, { from, to })) {
+            yield { record, session };
+        }
+    }
+}
+
+/**
+ * --- Consent and Erasure ---
+ */
+
+export async function getConsent(userId) {
+    return storage.get(CONSENTS_TABLE, { userId });
+}
+
+/**
+ * Record a listener's consent; throws ConsentError on invalid input
+ */
+export async function saveConsent(userId, body) {
+    const consent = normalizeConsent(userId, body);
+    await storage.put(CONSENTS_TABLE, consent);
+    return consent;
+}
+
+/**
+ * Withdraw consent as of now. Returns null if the listener never consented.
+ */
+export async function withdrawConsent(userId, now = Date.now()) {
+    const consent = await getConsent(userId);
+    if (!consent) return null;
+    if (consent.withdrawnAt !== null && consent.withdrawnAt <= now) return consent;
+
+    return storage.update(CONSENTS_TABLE, { userId }, { withdrawnAt: now, updatedAt: now });
+}
+
+/**
+ * Erase everything stored about a listener: their sessions with all events,
+ * cognitive states and adaptations, progress, baseline, feedback counts,
+ * bandit statistics, experiment assignments and consent.
+ * Chapter heatmaps only hold counts across listeners; they are re-aggregated
+ * without the erased sessions. Book audit entries keep the id of the
+ * editor who made a catalog change.
+ */
+export async function deleteUserData(userId) {
+    const sessions = (await getAllSessions()).filter(s => s.userId === userId || s.ownerId === userId);
+    const removed = { sessions: 0, records: 0 };
+
+    const heatmapChapters = new Map();
+    for (const { sessionId, heatmapMark } of sessions) {
+        for (const { bookId, chapterId } of heatmapMark?.chapters || []) {
+            await storage.delete(HEATMAP_CONTRIBUTIONS_TABLE, { chapterKey: chapterKey(bookId, chapterId), sessionId });
+            heatmapChapters.set(chapterKey(bookId, chapterId), { bookId, chapterId });
+        }
+        for (const table of [EVENTS_TABLE, COGNITIVE_STATES_TABLE, ADAPTATIONS_TABLE]) {
+            for (const { recordKey } of await storage.query(table, sessionId)) {
+                await storage.delete(table, { sessionId, recordKey });
+                removed.records++;
+            }
+        }
+        for (const { adaptationId } of await storage.query(ADAPTATION_INDEX_TABLE, sessionId)) {
+            await storage.delete(ADAPTATION_INDEX_TABLE, { sessionId, adaptationId });
+        }
+        for (const { stateId } of await storage.query(COGNITIVE_STATE_INDEX_TABLE, sessionId)) {
+            await storage.delete(COGNITIVE_STATE_INDEX_TABLE, { sessionId, stateId });
+        }
+        await storage.delete(SESSIONS_TABLE, { sessionId });
+        removed.sessions++;
+    }
+    for (const chapter of heatmapChapters.values()) {
+        await refreshChapterHeatmap(chapter, { binSeconds: HEATMAP_BIN_SECONDS, now: Date.now() });
+    }
+
+    for (const { bookId } of await storage.query(USER_PROGRESS_TABLE, userId)) {
+        await storage.delete(USER_PROGRESS_TABLE, { userId, bookId });
+    }
+    for (const { strategy } of await storage.query(STRATEGY_FEEDBACK_TABLE, userId)) {
+        await storage.delete(STRATEGY_FEEDBACK_TABLE, { userId, strategy });
+    }
+    for (const { sessionKey } of await storage.query(USER_SESSIONS_TABLE, userId)) {
+        await storage.delete(USER_SESSIONS_TABLE, { userId, sessionKey });
+    }
+    for (const table of [BASELINES_TABLE, CONSENTS_TABLE]) {
+        await storage.delete(table, { userId });
+    }
+    for (const { armKey } of await storage.query(BANDIT_ARMS_TABLE, `user:${userId}`)) {
+        await storage.delete(BANDIT_ARMS_TABLE, { banditKey: `user:${userId}`, armKey });
+    }
+
+    const units = new Set([`user:${userId}`, ...sessions.map(s => `session:${s.sessionId}`)]);
+    for (const { experimentId, unitId } of await storage.scan(EXPERIMENT_ASSIGNMENTS_TABLE)) {
+        if (units.has(unitId)) await storage.delete(EXPERIMENT_ASSIGNMENTS_TABLE, { experimentId, unitId });
+    }
+
+    log.info('erased listener data', { sessions: removed.sessions, records: removed.records });
+    return removed;
 }
 
 /**
  * Update session context
  */
 export async function updateSessionContext(sessionId, context) {
-    let updateExp = "set ";
-    const expAttrValues = {};
-    let first = true;
-
-    if (context.currentTime !== undefined) {
-        updateExp += "currentTime = :t";
-        expAttrValues[":t"] = context.currentTime;
-        first = false;
-    }
-    if (context.playbackSpeed !== undefined) {
-        if (!first) updateExp += ", ";
-        updateExp += "playbackSpeed = :s";
-        expAttrValues[":s"] = context.playbackSpeed;
-        first = false;
-    }
-    if (context.currentSection !== undefined) {
-        if (!first) updateExp += ", ";
-        updateExp += "currentSection = :sec";
-        expAttrValues[":sec"] = context.currentSection;
-    }
-
-    if (Object.keys(expAttrValues).length > 0) {
-        const params = {
-            TableName: SESSIONS_TABLE,
-            Key: { sessionId },
-            UpdateExpression: updateExp,
-            ExpressionAttributeValues: expAttrValues
-        };
-        await docClient.send(new UpdateCommand(params));
+    const fields = {};
+    if (context.currentTime !== undefined) fields.currentTime = context.currentTime;
+    if (context.playbackSpeed !== undefined) fields.playbackSpeed = context.playbackSpeed;
+    if (context.currentSection !== undefined) fields.currentSection = context.currentSection;
+
+    if (Object.keys(fields).length > 0) {
+        await storage.update(SESSIONS_TABLE, { sessionId }, fields);
     }
 
     const session = await getSession(sessionId);
@@ -202,40 +679,58 @@ export async function updateSessionContext(sessionId, context) {
  * Get all sessions
  */
 export async function getAllSessions() {
-    const params = {
-        TableName: SESSIONS_TABLE
-    };
-    const { Items } = await docClient.send(new ScanCommand(params));
-    return Items || [];
+    return storage.scan(SESSIONS_TABLE);
 }
 
 /**
  * Save User Progress
  */
 export async function saveUserProgress(userId, sectionId, progressTime, bookId = "default") {
-    const params = {
-        TableName: USER_PROGRESS_TABLE,
-        Item: {
-            userId,
-            bookId,
-            progress: sectionId,
-            lastUpdated: Date.now(),
-            currentTime: progressTime
-        }
-    };
-    await docClient.send(new PutCommand(params));
+    await storage.put(USER_PROGRESS_TABLE, {
+        userId,
+        bookId,
+        progress: sectionId,
+        lastUpdated: Date.now(),
+        currentTime: progressTime
+    });
 }
 
 /**
  * Get User Progress
  */
 export async function getUserProgress(userId, bookId = "default") {
-    const params = {
-        TableName: USER_PROGRESS_TABLE,
-        Key: { userId, bookId }
-    };
-    const { Item } = await docClient.send(new GetCommand(params));
-    return Item || null;
+    return storage.get(USER_PROGRESS_TABLE, { userId, bookId });
+}
+
+/**
+ * Get a user's behavioral baseline (cold-start record if none was built yet)
+ */
+export async function getUserBaseline(userId) {
+    return (await storage.get(BASELINES_TABLE, { userId })) || coldStartBaseline(userId);
+}
+
+/**
+ * Rebuild a user's baseline from their most recently started sessions
+ */
+export async function rebuildUserBaseline(userId) {
+    const sessions = await storage.query(USER_SESSIONS_TABLE, userId, { limit: BASELINE_MAX_SESSIONS, descending: true });
+
+    const summaries = [];
+    for (const { sessionId } of sessions) {
+        const summary = summarizeSession(await getEvents(sessionId));
+        if (summary) summaries.push(summary);
+    }
+
+    const baseline = buildBaseline(userId, summaries);
+    await storage.put(BASELINES_TABLE, baseline);
+    return baseline;
+}
+
+/**
+ * Reset a user's baseline back to cold start
+ */
+export async function deleteUserBaseline(userId) {
+    await storage.delete(BASELINES_TABLE, { userId });
 }
 
 
@@ -244,57 +739,244 @@ export async function getUserProgress(userId, bookId = "default") {
  */
 
 export async function getAllBooks() {
-    const params = { TableName: BOOKS_TABLE };
     try {
-        const { Items } = await docClient.send(new ScanCommand(params));
-        return Items || [];
+        return await storage.scan(BOOKS_TABLE);
     } catch (err) {
-        console.error("Error in getAllBooks:", err);
+        log.error('getAllBooks failed', { error: err });
         return [];
     }
 }
 
 export async function getBookById(id) {
-    const params = {
-        TableName: BOOKS_TABLE,
-        Key: { id }
-    };
     try {
-        const { Item } = await docClient.send(new GetCommand(params));
-        return Item || null;
+        return await storage.get(BOOKS_TABLE, { id });
     } catch (err) {
-        console.error("Error in getBookById:", err);
+        log.error('getBookById failed', { bookId: id, error: err });
         throw err;
     }
 }
 
-export async function createOrUpdateBook(book) {
-    const params = {
-        TableName: BOOKS_TABLE,
-        Item: {
+export async function createOrUpdateBook(book, actor = null) {
+    try {
+        const existing = await storage.get(BOOKS_TABLE, { id: book.id });
+        await storage.put(BOOKS_TABLE, {
             ...book,
             lastUpdated: Date.now()
-        }
-    };
-    try {
-        await docClient.send(new PutCommand(params));
+        });
+        await recordBookChange(book.id, existing ? 'update' : 'create', actor, {
+            title: book.title,
+            ...(existing && { changedFields: changedFields(existing, book) })
+        });
         return book;
     } catch (err) {
-        console.error("Error in createOrUpdateBook:", err);
+        log.error('createOrUpdateBook failed', { bookId: book.id, error: err });
         throw err;
     }
 }
 
-export async function deleteBook(id) {
-    const params = {
-        TableName: BOOKS_TABLE,
-        Key: { id }
-    };
+/**
+ * Top-level fields of a book that a save changes
+ */
+function changedFields(before, after) {
+    return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter(field => field !== 'lastUpdated' && JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+        .sort();
+}
+
+/**
+ * Append to a book's audit log. actor is the verified caller ({ userId, roles }),
+ * or null for changes made by another service.
+ */
+async function recordBookChange(bookId, action, actor, details = {}) {
+    const timestamp = Date.now();
+    const auditId = randomUUID();
+    await storage.put(BOOK_AUDIT_TABLE, {
+        bookId,
+        recordKey: toRecordKey(timestamp, auditId),
+        auditId,
+        timestamp,
+        action,
+        actorId: actor?.userId ?? null,
+        actorRoles: actor?.roles ?? [],
+        ...details
+    });
+    log.info('book changed', { bookId, action });
+}
+
+/**
+ * Changes to a book, oldest first ({ from, to, limit } as for session logs)
+ */
+export async function getBookAuditLog(bookId, range = {}) {
+    return readLog(BOOK_AUDIT_TABLE, bookId, range);
+}
+
+/**
+ * Pick the recap of what was just heard in a chapter.
+ * Chapters may carry `recaps` ([{ endsAt, text }], endsAt in seconds) and a
+ * whole-chapter `summary`; the latest recap ending at or before `at` wins,
+ * falling back to the summary.
+ */
+export function selectChapterRecap(chapter, at = Infinity) {
+    const recap = (chapter.recaps || [])
+        .filter(r => r.text && r.endsAt <= at)
+        .sort((a, b) => b.endsAt - a.endsAt)[0];
+
+    if (recap) return { text: recap.text, endsAt: recap.endsAt, source: 'recap' };
+    if (chapter.summary) return { text: chapter.summary, endsAt: null, source: 'summary' };
+    return null;
+}
+
+/**
+ * Recap for a chapter of a book at a playback position (seconds)
+ */
+export async function getChapterRecap(bookId, chapterId, at) {
+    const book = await getBookById(bookId);
+    const chapter = book?.chapters?.find(c => c.id === chapterId);
+    if (!chapter) return null;
+
+    const recap = selectChapterRecap(chapter, at);
+    return recap && { bookId, chapterId, ...recap };
+}
+
+export async function deleteBook(id, actor = null) {
     try {
-        await docClient.send(new DeleteCommand(params));
+        for (const table of [TRANSCRIPTS_TABLE, HEATMAPS_TABLE]) {
+            for (const { chapterId } of await storage.query(table, id)) {
+                await storage.delete(table, { bookId: id, chapterId });
+            }
+        }
+        const book = await storage.get(BOOKS_TABLE, { id });
+        await storage.delete(BOOKS_TABLE, { id });
+        if (book) await recordBookChange(id, 'delete', actor, { title: book.title });
         return { success: true };
     } catch (err) {
-        console.error("Error in deleteBook:", err);
+        log.error('deleteBook failed', { bookId: id, error: err });
         throw err;
     }
 }
+
+/**
+ * --- Chapter Transcripts ---
+ */
+
+export async function getChapterTranscript(bookId, chapterId) {
+    return storage.get(TRANSCRIPTS_TABLE, { bookId, chapterId });
+}
+
+/**
+ * Store a chapter transcript (WebVTT or JSON segments, see transcripts.js).
+ * Returns null if the book has no such chapter; throws TranscriptError on invalid input.
+ */
+export async function saveChapterTranscript(bookId, chapterId, body, actor = null) {
+    const book = await getBookById(bookId);
+    if (!book?.chapters?.some(c => c.id === chapterId)) return null;
+
+    const transcript = {
+        bookId,
+        chapterId,
+        segments: normalizeTranscript(body),
+        updatedAt: Date.now()
+    };
+    await storage.put(TRANSCRIPTS_TABLE, transcript);
+    await recordBookChange(bookId, 'transcript.save', actor, { chapterId, segments: transcript.segments.length });
+    return transcript;
+}
+
+export async function deleteChapterTranscript(bookId, chapterId, actor = null) {
+    await storage.delete(TRANSCRIPTS_TABLE, { bookId, chapterId });
+    await recordBookChange(bookId, 'transcript.delete', actor, { chapterId });
+}
+
+/**
+ * --- Passage Heatmaps ---
+ */
+
+export async function getChapterHeatmap(bookId, chapterId) {
+    return storage.get(HEATMAPS_TABLE, { bookId, chapterId });
+}
+
+/**
+ * Re-aggregate one chapter's heatmap from its stored contributions; deletes
+ * the heatmap when no session contributes to it any more
+ *
+ * @returns The new heatmap, or null if it was deleted
+ */
+async function refreshChapterHeatmap({ bookId, chapterId }, { binSeconds, now }) {
+    const contributions = (await storage.query(HEATMAP_CONTRIBUTIONS_TABLE, chapterKey(bookId, chapterId)))
+        .filter(contribution => contribution.binSeconds === binSeconds);
+    if (contributions.length === 0) {
+        await storage.delete(HEATMAPS_TABLE, { bookId, chapterId });
+        return null;
+    }
+    const heatmap = chapterHeatmap(bookId, chapterId, contributions, { binSeconds, now });
+    await storage.put(HEATMAPS_TABLE, heatmap);
+    return heatmap;
+}
+
+/**
+ * Bring the chapter heatmaps up to date. Each session records how many of its
+ * events it has contributed (its high-water mark); only sessions with events
+ * past it are read again, and only the chapters they touch are re-aggregated.
+ * Heatmaps of chapters no stored session played any more are deleted.
+ *
+ * @returns The heatmaps that were refreshed
+ */
+export async function rebuildHeatmaps({ binSeconds = HEATMAP_BIN_SECONDS, now = Date.now() } = {}) {
+    const changed = new Map();
+    let sessionsRead = 0;
+
+    for (const session of await getAllSessions()) {
+        const { sessionId, heatmapMark } = session;
+        const eventCount = session.eventCount || 0;
+        if (heatmapMark?.eventCount === eventCount && heatmapMark.binSeconds === binSeconds) continue;
+
+        // Events are only ever added, so the new contributions replace the old ones chapter by chapter
+        const contributions = sessionContributions(sessionId, await getEvents(sessionId), { binSeconds });
+        for (const contribution of contributions) {
+            await storage.put(HEATMAP_CONTRIBUTIONS_TABLE, contribution);
+            changed.set(contribution.chapterKey, contribution);
+        }
+        await storage.update(SESSIONS_TABLE, { sessionId }, {
+            heatmapMark: { eventCount, binSeconds, chapters: contributions.map(({ bookId, chapterId }) => ({ bookId, chapterId })) }
+        });
+        sessionsRead++;
+    }
+
+    const heatmaps = [];
+    for (const chapter of changed.values()) {
+        const heatmap = await refreshChapterHeatmap(chapter, { binSeconds, now });
+        if (heatmap) heatmaps.push(heatmap);
+    }
+    for (const { bookId, chapterId } of await storage.scan(HEATMAPS_TABLE)) {
+        const key = chapterKey(bookId, chapterId);
+        if (changed.has(key)) continue;
+        const [contribution] = await storage.query(HEATMAP_CONTRIBUTIONS_TABLE, key, { limit: 1 });
+        if (!contribution) await storage.delete(HEATMAPS_TABLE, { bookId, chapterId });
+    }
+
+    log.info('refreshed heatmaps', { heatmaps: heatmaps.length, sessionsRead });
+    return heatmaps;
+}
+
+/**
+ * Difficult passages of a chapter, for proactive adaptations.
+ * Passages marked in the book record (`difficultPassages`: [{ start, end, difficulty }],
+ * seconds and 0..1) are combined with the ones listener history points at.
+ * Returns null if the book has no such chapter.
+ */
+export async function getChapterDifficulty(bookId, chapterId) {
+    const book = await getBookById(bookId);
+    const chapter = book?.chapters?.find(c => c.id === chapterId);
+    if (!chapter) return null;
+
+    const authored = (chapter.difficultPassages || [])
+        .filter(p => Number.isFinite(p.start) && Number.isFinite(p.end) && p.end > p.start)
+        .map(({ start, end, difficulty }) => ({ start, end, difficulty: difficulty ?? 1, source: 'book' }));
+    const observed = heatmapPassages(await getChapterHeatmap(bookId, chapterId));
+
+    return {
+        bookId,
+        chapterId,
+        passages: [...authored, ...observed].sort((a, b) => a.start - b.start)
+    };
+}
@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+// A store written before the session logs existed
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'legacy-store-'));
+process.env.STORAGE_DRIVER = 'file';
+process.env.STORAGE_FILE = path.join(dir, 'store.json');
+fs.writeFileSync(process.env.STORAGE_FILE, JSON.stringify({
+    CognitiveSessions: [{
+        sessionId: 'legacy',
+        userId: 'listener-l',
+        startTime: 1000,
+        events: [
+            { eventId: 'l-1', eventType: 'AUDIO_PLAY', timestamp: 1100 },
+            { eventType: 'AUDIO_PAUSE', timestamp: 1200 }
+        ],
+        cognitiveStates: [{ cognitiveLoad: 'high', timestamp: 1300 }],
+        adaptations: [{ adaptationId: 'la-1', strategy: 'SMART_PAUSE', timestamp: 1400 }]
+    }]
+}));
+const dataStore = await import('./dataStore.js');
+
+test('legacy sessions are moved into the session logs, once', async () => {
+    assert.strictEqual(await dataStore.migrateLegacySessions(), 1);
+    assert.strictEqual(await dataStore.migrateLegacySessions(), 0);
+
+    assert.deepStrictEqual((await dataStore.getEvents('legacy')).map(e => e.eventType), ['AUDIO_PLAY', 'AUDIO_PAUSE']);
+    assert.strictEqual((await dataStore.getCurrentCognitiveState('legacy')).cognitiveLoad, 'high');
+    assert.strictEqual((await dataStore.getAdaptations('legacy'))[0].adaptationId, 'la-1');
+
+    const session = await dataStore.getSession('legacy');
+    assert.strictEqual(session.eventCount, 2);
+    assert.strictEqual(session.events, undefined);
+
+    // The baseline finds the listener's session without scanning every session
+    const stored = JSON.parse(fs.readFileSync(process.env.STORAGE_FILE, 'utf8'));
+    assert.deepStrictEqual(stored.UserSessions.map(s => s.sessionId), ['legacy']);
+
+    // Feedback still finds migrated adaptations
+    assert.strictEqual(await dataStore.recordBanditReward('legacy', 'la-1', 1), false);
+});
@@ -0,0 +1,370 @@
+import test from 'node:test';
+import assert from 'node:assert';
+
+process.env.STORAGE_DRIVER = 'memory';
+const dataStore = await import('./dataStore.js');
+const { BASELINE_MAX_SESSIONS } = await import('./baseline.js');
+
+test('concurrent event writes are all kept and counted', async () => {
+    const writes = Array.from({ length: 50 }, (_, i) => dataStore.addEvent('concurrent', {
+        eventId: `e-${i}`,
+        eventType: 'AUDIO_PAUSE',
+        timestamp: 1000 + i
+    }));
+    await Promise.all(writes);
+
+    const events = await dataStore.getEvents('concurrent');
+    assert.strictEqual(events.length, 50);
+    assert.deepStrictEqual(events.map(e => e.eventId), Array.from({ length: 50 }, (_, i) => `e-${i}`));
+
+    const session = await dataStore.getSession('concurrent');
+    assert.strictEqual(session.eventCount, 50);
+});
+
+test('retried event writes are not duplicated', async () => {
+    const event = { eventId: 'dup', eventType: 'AUDIO_PLAY', timestamp: 5000 };
+    await dataStore.addEvent('retry', event);
+    await dataStore.addEvent('retry', event);
+
+    assert.strictEqual((await dataStore.getEvents('retry')).length, 1);
+    assert.strictEqual((await dataStore.getSession('retry')).eventCount, 1);
+});
+
+test('history is not truncated and supports time ranges', async () => {
+    for (let i = 0; i < 150; i++) {
+        await dataStore.addEvent('long', { eventId: `e-${i}`, eventType: 'AUDIO_SEEK', timestamp: i * 10 });
+    }
+
+    assert.strictEqual((await dataStore.getEvents('long')).length, 150);
+
+    const recent = await dataStore.getRecentEvents('long', 20);
+    assert.strictEqual(recent.length, 20);
+    assert.strictEqual(recent.at(-1).eventId, 'e-149');
+
+    const ranged = await dataStore.getEvents('long', { from: 100, to: 190 });
+    assert.deepStrictEqual(ranged.map(e => e.timestamp), [100, 110, 120, 130, 140, 150, 160, 170, 180, 190]);
+});
+
+test('cognitive states and adaptations are appended in time order', async () => {
+    await dataStore.updateCognitiveState('states', { cognitiveLoad: 'high', timestamp: 200 });
+    await dataStore.updateCognitiveState('states', { cognitiveLoad: 'low', timestamp: 100 });
+    assert.strictEqual((await dataStore.getCurrentCognitiveState('states')).cognitiveLoad, 'high');
+    assert.strictEqual((await dataStore.getCognitiveStates('states')).length, 2);
+
+    const adaptation = { adaptationId: 'a1', strategy: 'SMART_PAUSE', timestamp: 300 };
+    await dataStore.addAdaptation('states', adaptation);
+    await dataStore.addAdaptation('states', adaptation);
+    // A retried decision is made again later, under the same id
+    await dataStore.addAdaptation('states', { ...adaptation, timestamp: 400 });
+    assert.deepStrictEqual((await dataStore.getRecentAdaptations('states')).map(a => a.timestamp), [300]);
+});
+
+test('user baseline is built from past sessions and starts cold', async () => {
+    assert.strictEqual((await dataStore.getUserBaseline('listener')).ready, false);
+
+    // Three one-minute sessions at 0.8x with two pauses each; one too short to count
+    for (const sessionId of ['b1', 'b2', 'b3']) {
+        const start = sessionId.charCodeAt(1) * 100000;
+        const events = [
+            { eventType: 'AUDIO_SPEED_CHANGE', metadata: { speed: 0.8 } },
+            { eventType: 'AUDIO_PAUSE' },
+            { eventType: 'AUDIO_PLAY' },
+            { eventType: 'AUDIO_PAUSE' },
+            { eventType: 'AUDIO_PLAY' }
+        ];
+        for (const [i, event] of events.entries()) {
+            await dataStore.addEvent(sessionId, { ...event, userId: 'listener', eventId: `${sessionId}-${i}`, timestamp: start + i * 15000 });
+        }
+    }
+    await dataStore.addEvent('b4', { eventType: 'AUDIO_PAUSE', userId: 'listener', timestamp: 1 });
+
+    const baseline = await dataStore.rebuildUserBaseline('listener');
+    assert.strictEqual(baseline.sessionCount, 3);
+    assert.strictEqual(baseline.ready, true);
+    assert.ok(Math.abs(baseline.avgSpeed - 0.8) < 1e-9);
+    assert.ok(Math.abs(baseline.pauseRate - 2) < 1e-9);
+    assert.strictEqual(baseline.replayRate, 0);
+
+    await dataStore.deleteUserBaseline('listener');
+    assert.strictEqual((await dataStore.getUserBaseline('listener')).sessionCount, 0);
+});
+
+test('user baseline reads only the listener\'s latest sessions', async () => {
+    const listenAt = async (sessionId, speed) => {
+        for (let i = 0; i < 5; i++) {
+            await dataStore.addEvent(sessionId, {
+                eventId: `${sessionId}-${i}`,
+                userId: 'many',
+                eventType: 'AUDIO_SPEED_CHANGE',
+                timestamp: i * 15000,
+                metadata: { speed }
+            });
+        }
+    };
+    await listenAt('many-old', 0.5);
+    await new Promise(resolve => setTimeout(resolve, 2));
+    for (let i = 0; i < BASELINE_MAX_SESSIONS; i++) {
+        await listenAt(`many-${i}`, 1);
+    }
+    await dataStore.addEvent('someone-else', { eventId: 'se-0', userId: 'other', eventType: 'AUDIO_PAUSE', timestamp: 0 });
+
+    const baseline = await dataStore.rebuildUserBaseline('many');
+    assert.strictEqual(baseline.sessionCount, BASELINE_MAX_SESSIONS);
+    assert.strictEqual(baseline.avgSpeed, 1);
+});
+
+test('chapter recap picks the latest recap already heard, then the summary', () => {
+    const chapter = {
+        summary: 'Whole chapter',
+        recaps: [{ endsAt: 600, text: 'First part' }, { endsAt: 1200, text: 'Second part' }]
+    };
+    assert.strictEqual(dataStore.selectChapterRecap(chapter, 900).text, 'First part');
+    assert.strictEqual(dataStore.selectChapterRecap(chapter, 1300).text, 'Second part');
+    assert.strictEqual(dataStore.selectChapterRecap(chapter, 100).source, 'summary');
+    assert.strictEqual(dataStore.selectChapterRecap({ id: 'ch-9' }, 100), null);
+});
+
+test('chapter transcripts are stored per chapter and removed with the book', async () => {
+    await dataStore.createOrUpdateBook({ id: 'tb', title: 'T', chapters: [{ id: 'ch-1' }] });
+
+    assert.strictEqual(await dataStore.saveChapterTranscript('tb', 'ch-9', { segments: [] }), null);
+    await dataStore.saveChapterTranscript('tb', 'ch-1', { segments: [{ id: 's1', start: 0, end: 2, text: 'Hi' }] });
+    assert.strictEqual((await dataStore.getChapterTranscript('tb', 'ch-1')).segments[0].text, 'Hi');
+
+    await dataStore.deleteBook('tb');
+    assert.strictEqual(await dataStore.getChapterTranscript('tb', 'ch-1'), null);
+});
+
+test('adaptation feedback is stored on the record and counted per user and strategy', async () => {
+    await dataStore.addAdaptation('fb', { adaptationId: 'a-1', strategy: 'SLOW_NARRATION', timestamp: 1000 });
+    const reject = (eventId, timestamp) => dataStore.addEvent('fb', {
+        eventId,
+        userId: 'listener-fb',
+        eventType: 'ADAPTATION_OVERRIDDEN',
+        timestamp,
+        metadata: { adaptationId: 'a-1' }
+    });
+    await reject('f-1', 2000);
+    // A retried event must not count twice
+    await reject('f-1', 2000);
+
+    const [adaptation] = await dataStore.getAdaptations('fb');
+    assert.deepStrictEqual(adaptation.feedback, { outcome: 'overridden', at: 2000 });
+
+    const { strategies } = await dataStore.getAdaptationFeedback('listener-fb');
+    assert.deepStrictEqual(strategies.SLOW_NARRATION, {
+        accepted: 0,
+        rejected: 0,
+        overridden: 1,
+        consecutiveNegative: 1,
+        lastNegativeAt: 2000
+    });
+});
+
+test('concurrent feedback from one listener is all counted', async () => {
+    const adaptationIds = Array.from({ length: 10 }, (_, i) => `c-${i}`);
+    for (const [i, adaptationId] of adaptationIds.entries()) {
+        await dataStore.addAdaptation('fb-concurrent', { adaptationId, strategy: 'SMART_PAUSE', timestamp: 1000 + i });
+    }
+
+    await Promise.all(adaptationIds.map((adaptationId, i) => dataStore.addEvent('fb-concurrent', {
+        eventId: `cf-${i}`,
+        userId: 'listener-concurrent',
+        eventType: 'ADAPTATION_REJECTED',
+        timestamp: 5000,
+        metadata: { adaptationId }
+    })));
+
+    const { strategies } = await dataStore.getAdaptationFeedback('listener-concurrent');
+    assert.strictEqual(strategies.SMART_PAUSE.rejected, 10);
+    assert.strictEqual(strategies.SMART_PAUSE.consecutiveNegative, 10);
+});
+
+test('bandit rewards update the arm statistics once per adaptation', async () => {
+    const policy = { name: 'bandit', key: 'user:listener-b', context: 'high|rising', arm: 'SMART_PAUSE:5s' };
+    await dataStore.addAdaptation('bandit', { adaptationId: 'b-1', strategy: 'SMART_PAUSE', timestamp: 1000, policy });
+    await dataStore.addAdaptation('bandit', { adaptationId: 'b-2', strategy: 'SMART_PAUSE', timestamp: 2000, policy });
+
+    assert.strictEqual(await dataStore.recordBanditReward('bandit', 'b-1', 1), true);
+    assert.strictEqual(await dataStore.recordBanditReward('bandit', 'b-1', 1), false);
+    assert.strictEqual(await dataStore.recordBanditReward('bandit', 'b-2', 0.25), true);
+    assert.strictEqual(await dataStore.recordBanditReward('bandit', 'missing', 1), null);
+
+    const state = await dataStore.getBanditState('user:listener-b');
+    assert.deepStrictEqual(state.contexts['high|rising'], { 'SMART_PAUSE:5s': { pulls: 2, rewardSum: 1.25 } });
+});
+
+test('feedback arriving after the reward takes it back', async () => {
+    const policy = { name: 'bandit', key: 'user:listener-late', context: 'high|rising', arm: 'SLOW_NARRATION:0.75x' };
+    await dataStore.addAdaptation('bandit-late', { adaptationId: 'bl-1', strategy: 'SLOW_NARRATION', timestamp: 1000, policy });
+    await dataStore.recordBanditReward('bandit-late', 'bl-1', 0.75);
+
+    // Overridden within the player's window, but after the bandit judged it
+    await dataStore.addEvent('bandit-late', {
+        eventId: 'bl-f',
+        userId: 'listener-late',
+        eventType: 'ADAPTATION_OVERRIDDEN',
+        timestamp: 25000,
+        metadata: { adaptationId: 'bl-1' }
+    });
+
+    const [adaptation] = await dataStore.getAdaptations('bandit-late');
+    assert.strictEqual(adaptation.reward, 0);
+    const state = await dataStore.getBanditState('user:listener-late');
+    assert.deepStrictEqual(state.contexts['high|rising'], { 'SLOW_NARRATION:0.75x': { pulls: 1, rewardSum: 0 } });
+});
+
+test('concurrent bandit rewards of one arm are all counted', async () => {
+    const policy = { name: 'bandit', key: 'cohort:concurrent', context: 'low|steady', arm: 'SLOW_NARRATION:0.85' };
+    const adaptationIds = Array.from({ length: 10 }, (_, i) => `br-${i}`);
+    for (const [i, adaptationId] of adaptationIds.entries()) {
+        await dataStore.addAdaptation('bandit-concurrent', { adaptationId, strategy: 'SLOW_NARRATION', timestamp: 1000 + i, policy });
+    }
+
+    await Promise.all(adaptationIds.map(adaptationId => dataStore.recordBanditReward('bandit-concurrent', adaptationId, 0.5)));
+
+    const state = await dataStore.getBanditState('cohort:concurrent');
+    assert.deepStrictEqual(state.contexts['low|steady'], { 'SLOW_NARRATION:0.85': { pulls: 10, rewardSum: 5 } });
+});
+
+test('sessions started during an active experiment are assigned and stamped', async () => {
+    await dataStore.addEvent('before-experiment', { eventId: 'b-0', eventType: 'AUDIO_PLAY', timestamp: 100 });
+    await dataStore.createExperiment({
+        experimentId: 'stamping',
+        unit: 'user',
+        status: 'active',
+        arms: [{ armId: 'control', deliverAdaptations: false }, { armId: 'treatment' }]
+    });
+    await assert.rejects(
+        dataStore.createExperiment({ experimentId: 'second', status: 'active', arms: [{ armId: 'a' }, { armId: 'b' }] }),
+        /already active/
+    );
+
+    await dataStore.addEvent('exp-1', { eventId: 'x-1', userId: 'listener-x', eventType: 'AUDIO_PLAY', timestamp: 100 });
+    await dataStore.addEvent('exp-2', { eventId: 'x-2', userId: 'listener-x', eventType: 'AUDIO_PLAY', timestamp: 200 });
+    await dataStore.updateCognitiveState('exp-1', { cognitiveLoad: 'high', loadScore: 0.9, timestamp: 150 });
+    await dataStore.addAdaptation('exp-1', { adaptationId: 'x-a', strategy: 'SMART_PAUSE', timestamp: 160 });
+
+    const first = await dataStore.getSession('exp-1');
+    const second = await dataStore.getSession('exp-2');
+    assert.strictEqual(first.experiment.experimentId, 'stamping');
+    // Listener-level experiments keep a listener in one arm across sessions
+    assert.strictEqual(second.experiment.armId, first.experiment.armId);
+    assert.strictEqual((await dataStore.getSession('before-experiment')).experiment, undefined);
+
+    const stamp = { experimentId: 'stamping', armId: first.experiment.armId };
+    assert.deepStrictEqual((await dataStore.getEvents('exp-1'))[0].experiment, stamp);
+    assert.deepStrictEqual((await dataStore.getCognitiveStates('exp-1'))[0].experiment, stamp);
+    assert.deepStrictEqual((await dataStore.getAdaptations('exp-1'))[0].experiment, stamp);
+
+    const metrics = await dataStore.getExperimentMetrics('stamping');
+    const arm = metrics.arms.find(a => a.armId === first.experiment.armId);
+    assert.strictEqual(arm.sessions, 2);
+    assert.strictEqual(arm.listeners, 1);
+
+    await dataStore.setExperimentStatus('stamping', 'ended');
+});
+
+test('exports pseudonymise listeners and leave out those without research consent', async () => {
+    await dataStore.saveConsent('consenting', { studyId: 'pilot', scopes: ['behavioral', 'research'] });
+    await dataStore.saveConsent('behavior-only', { studyId: 'pilot', scopes: ['behavioral'] });
+    await dataStore.addEvent('export-1', { eventId: 'ex-1', userId: 'consenting', eventType: 'AUDIO_PLAY', timestamp: 100 });
+    await dataStore.addEvent('export-2', { eventId: 'ex-2', userId: 'behavior-only', eventType: 'AUDIO_PLAY', timestamp: 100 });
+
+    const rows = [];
+    for await (const { record, session } of dataStore.exportRecords('events', { userIds: ['consenting', 'behavior-only'] })) {
+        rows.push({ eventId: record.eventId, userId: session.userId });
+    }
+    assert.deepStrictEqual(rows.map(r => r.eventId), ['ex-1']);
+    assert.match(rows[0].userId, /^p-/);
+
+    await dataStore.withdrawConsent('consenting');
+    const afterWithdrawal = [];
+    for await (const row of dataStore.exportRecords('sessions', { userIds: ['consenting'] })) afterWithdrawal.push(row);
+    assert.deepStrictEqual(afterWithdrawal, []);
+});
+
+test('a cognitive state is stored once per stateId', async () => {
+    await dataStore.updateCognitiveState('retried-state', { stateId: 'ev-1', cognitiveLoad: 'high', timestamp: 100 });
+    // A retried analysis of the same event, finished later
+    await dataStore.updateCognitiveState('retried-state', { stateId: 'ev-1', cognitiveLoad: 'high', timestamp: 900 });
+
+    const states = await dataStore.getCognitiveStates('retried-state');
+    assert.deepStrictEqual(states.map(s => [s.stateId, s.timestamp]), [['ev-1', 100]]);
+});
+
+test('heatmaps are refreshed from the sessions that changed and dropped with their last session', async () => {
+    const replay = (sessionId, userId, eventId, currentTime) => dataStore.addEvent(sessionId, {
+        eventId,
+        userId,
+        eventType: 'AUDIO_REPLAY',
+        timestamp: 1000,
+        metadata: { bookId: 'heat-book', chapterId: 'ch-1', currentTime }
+    });
+    await replay('heat-1', 'heat-listener-1', 'h-1', 12);
+    await replay('heat-2', 'heat-listener-2', 'h-2', 14);
+
+    const first = await dataStore.rebuildHeatmaps({ binSeconds: 10, now: 1 });
+    assert.deepStrictEqual(first.filter(h => h.bookId === 'heat-book').map(h => h.sessionCount), [2]);
+    assert.deepStrictEqual(await dataStore.rebuildHeatmaps({ binSeconds: 10, now: 2 }), []);
+
+    await replay('heat-2', 'heat-listener-2', 'h-3', 31);
+    const [refreshed] = await dataStore.rebuildHeatmaps({ binSeconds: 10, now: 3 });
+    assert.deepStrictEqual(refreshed.bins.map(b => [b.start, b.replays, b.listeners]), [[10, 2, 2], [30, 1, 1]]);
+
+    await dataStore.deleteUserData('heat-listener-1');
+    assert.strictEqual((await dataStore.getChapterHeatmap('heat-book', 'ch-1')).sessionCount, 1);
+    await dataStore.deleteUserData('heat-listener-2');
+    assert.strictEqual(await dataStore.getChapterHeatmap('heat-book', 'ch-1'), null);
+});
+
+test('erasing a listener removes their sessions and derived data', async () => {
+    await dataStore.saveConsent('erased', { studyId: 'pilot', scopes: ['behavioral'] });
+    await dataStore.addEvent('erase-1', { eventId: 'er-1', userId: 'erased', eventType: 'AUDIO_PLAY', timestamp: 100 });
+    await dataStore.updateCognitiveState('erase-1', { cognitiveLoad: 'low', timestamp: 110 });
+    await dataStore.addAdaptation('erase-1', { adaptationId: 'er-a', strategy: 'SMART_PAUSE', timestamp: 120 });
+    await dataStore.saveUserProgress('erased', 'intro', 30, 'book-1');
+    await dataStore.addEvent('keep-1', { eventId: 'k-1', userId: 'someone-else', eventType: 'AUDIO_PLAY', timestamp: 100 });
+
+    assert.deepStrictEqual(await dataStore.deleteUserData('erased'), { sessions: 1, records: 3 });
+
+    assert.deepStrictEqual(await dataStore.getEvents('erase-1'), []);
+    assert.deepStrictEqual(await dataStore.getCognitiveStates('erase-1'), []);
+    assert.strictEqual(await dataStore.getUserProgress('erased', 'book-1'), null);
+    assert.strictEqual(await dataStore.getConsent('erased'), null);
+    assert.ok((await dataStore.getAllSessions()).every(s => s.userId !== 'erased'));
+    assert.strictEqual((await dataStore.getEvents('keep-1')).length, 1);
+});
+
+test('sessions are owned by the listener they were claimed for, even without consent', async () => {
+    const claimed = await dataStore.getSession('owned', null, 'owner-1');
+    assert.strictEqual(claimed.ownerId, 'owner-1');
+    assert.strictEqual(claimed.userId, null);
+
+    // A later claim by someone else does not take it over
+    assert.strictEqual((await dataStore.getSession('owned', null, 'owner-2')).ownerId, 'owner-1');
+
+    // Recorded with a consented userId before ownership existed: only that listener may claim it
+    await dataStore.getSession('legacy', 'owner-3');
+    assert.strictEqual((await dataStore.getSession('legacy', null, 'owner-2')).ownerId, undefined);
+    assert.strictEqual((await dataStore.getSession('legacy', null, 'owner-3')).ownerId, 'owner-3');
+
+    assert.strictEqual((await dataStore.deleteUserData('owner-1')).sessions, 1);
+    assert.strictEqual(await dataStore.findSession('owned'), null);
+});
+
+test('book changes are audited with the editor and kept after deletion', async () => {
+    const editor = { userId: 'editor-1', roles: ['editor'] };
+    await dataStore.createOrUpdateBook({ id: 'audited', title: 'Draft', chapters: [] }, editor);
+    await dataStore.createOrUpdateBook({ id: 'audited', title: 'Final', chapters: [] }, editor);
+    await dataStore.deleteBook('audited', { userId: 'admin-1', roles: ['admin'] });
+
+    // Entries written in the same millisecond have no defined order
+    const log = await dataStore.getBookAuditLog('audited');
+    const byAction = Object.fromEntries(log.map(entry => [entry.action, entry]));
+    assert.strictEqual(log.length, 3);
+    assert.strictEqual(byAction.create.actorId, 'editor-1');
+    assert.deepStrictEqual(byAction.update.changedFields, ['title']);
+    assert.strictEqual(byAction.delete.actorId, 'admin-1');
+    assert.strictEqual(byAction.delete.title, 'Final');
+});
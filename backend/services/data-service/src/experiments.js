@@ -0,0 +1,157 @@
+/**
+ * ADAPTATION EXPERIMENTS
+ *
+ * An experiment splits sessions (or listeners) between arms, e.g.
+ *   { experimentId: 'pacing-1', unit: 'user', status: 'active', arms: [
+ *       { armId: 'control', deliverAdaptations: false },
+ *       { armId: 'rules-v1', ruleSetId: 'default@1' },
+ *       { armId: 'rules-v2', ruleSetId: 'default@2', weight: 2 } ] }
+ *
+ * Arm settings are honoured by the orchestrator:
+ *   deliverAdaptations - false records would-be adaptations without sending them to the player
+ *   ruleSetId          - cognitive rule set to analyze with (cognitive-service default otherwise)
+ *   policy             - adaptation policy, 'rules' or 'bandit' (adaptation-service default otherwise)
+ *
+ * Assignment hashes the experiment and unit id, so it is stable and needs no
+ * coordination; the data service still stores it so changing weights later
+ * never moves anyone to another arm.
+ */
+
+import { createHash } from 'node:crypto';
+
+export class ExperimentError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ExperimentError';
+        this.status = status;
+    }
+}
+
+export const EXPERIMENT_STATUSES = ['draft', 'active', 'ended'];
+const UNITS = ['session', 'user'];
+const POLICIES = ['rules', 'bandit'];
+const ID_PATTERN = /^[A-Za-z0-9_.@-]{1,64}$/;
+
+/**
+ * Validate and normalize an experiment definition; throws ExperimentError
+ */
+export function normalizeExperiment(body, now = Date.now()) {
+    const { experimentId, name, description, unit = 'session', status = 'draft', arms } = body || {};
+
+    if (!ID_PATTERN.test(String(experimentId ?? ''))) {
+        throw new ExperimentError('experimentId must be 1-64 letters, digits or _.@-');
+    }
+    if (!UNITS.includes(unit)) throw new ExperimentError(`unit must be one of ${UNITS.join(', ')}`);
+    if (!EXPERIMENT_STATUSES.includes(status)) {
+        throw new ExperimentError(`status must be one of ${EXPERIMENT_STATUSES.join(', ')}`);
+    }
+    if (!Array.isArray(arms) || arms.length < 2) throw new ExperimentError('An experiment needs at least two arms');
+
+    const seen = new Set();
+    const normalizedArms = arms.map((arm, index) => {
+        const { armId, weight = 1, deliverAdaptations = true, ruleSetId, policy } = arm || {};
+        if (!ID_PATTERN.test(String(armId ?? ''))) throw new ExperimentError(`arms[${index}].armId is invalid`);
+        if (seen.has(armId)) throw new ExperimentError(`Duplicate arm "${armId}"`);
+        seen.add(armId);
+        if (!Number.isFinite(weight) || weight <= 0) throw new ExperimentError(`arms[${index}].weight must be positive`);
+        if (typeof deliverAdaptations !== 'boolean') {
+            throw new ExperimentError(`arms[${index}].deliverAdaptations must be a boolean`);
+        }
+        if (policy !== undefined && !POLICIES.includes(policy)) {
+            throw new ExperimentError(`arms[${index}].policy must be one of ${POLICIES.join(', ')}`);
+        }
+
+        return {
+            armId,
+            weight,
+            deliverAdaptations,
+            ...(ruleSetId && { ruleSetId: String(ruleSetId) }),
+            ...(policy && { policy })
+        };
+    });
+
+    return {
+        experimentId,
+        name: name ? String(name) : experimentId,
+        ...(description && { description: String(description) }),
+        unit,
+        status,
+        arms: normalizedArms,
+        createdAt: body.createdAt ?? now,
+        updatedAt: now
+    };
+}
+
+/**
+ * Hash a unit into [0, 1) for the experiment
+ */
+function bucketOf(experimentId, unitId) {
+    const digest = createHash('sha256').update(`${experimentId}:${unitId}`).digest();
+    return digest.readUInt32BE(0) / 2 ** 32;
+}
+
+/**
+ * Arm a unit falls into, by weight
+ */
+export function assignArm(experiment, unitId) {
+    const total = experiment.arms.reduce((sum, arm) => sum + arm.weight, 0);
+    let threshold = bucketOf(experiment.experimentId, unitId) * total;
+    for (const arm of experiment.arms) {
+        threshold -= arm.weight;
+        if (threshold < 0) return arm;
+    }
+    return experiment.arms.at(-1);
+}
+
+/**
+ * Assignment as stored on the session: the arm settings are copied so a
+ * session keeps its conditions even if the experiment is edited later
+ */
+export function sessionAssignment(experiment, arm) {
+    const { armId, deliverAdaptations, ruleSetId, policy } = arm;
+    return {
+        experimentId: experiment.experimentId,
+        armId,
+        deliverAdaptations,
+        ...(ruleSetId && { ruleSetId }),
+        ...(policy && { policy })
+    };
+}
+
+const STRUGGLE_EVENTS = new Set(['AUDIO_REPLAY', 'NAVIGATION_REVERSAL']);
+
+const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+
+/**
+ * Outcome metrics per arm
+ *
+ * @param sessions - [{ session, events, states, adaptations }] of the experiment's sessions
+ * @returns [{ armId, sessions, listeners, eventsPerSession, strugglePerSession, meanLoadScore,
+ *             highLoadRate, adaptationsPerSession, withheldAdaptations, acceptanceRate }]
+ */
+export function experimentMetrics(experiment, sessions) {
+    return experiment.arms.map(({ armId }) => {
+        const inArm = sessions.filter(({ session }) => session.experiment?.armId === armId);
+        const events = inArm.flatMap(s => s.events);
+        const states = inArm.flatMap(s => s.states);
+        const adaptations = inArm.flatMap(s => s.adaptations);
+        const scored = states.filter(s => Number.isFinite(s.loadScore));
+        const judged = adaptations.filter(a => a.feedback);
+
+        return {
+            armId,
+            sessions: inArm.length,
+            listeners: new Set(inArm.map(({ session }) => session.userId).filter(Boolean)).size,
+            eventsPerSession: ratio(events.length, inArm.length),
+            strugglePerSession: ratio(
+                events.filter(e => STRUGGLE_EVENTS.has(String(e.eventType).toUpperCase())).length,
+                inArm.length
+            ),
+            meanLoadScore: ratio(scored.reduce((sum, s) => sum + s.loadScore, 0), scored.length),
+            highLoadRate: ratio(states.filter(s => s.cognitiveLoad === 'high').length, states.length),
+            adaptationsPerSession: ratio(adaptations.length, inArm.length),
+            withheldAdaptations: adaptations.filter(a => a.delivered === false).length,
+            acceptanceRate: ratio(judged.filter(a => a.feedback.outcome === 'accepted').length, judged.length)
+        };
+    });
+}
@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { ExperimentError, assignArm, experimentMetrics, normalizeExperiment } from './experiments.js';
+
+const definition = {
+    experimentId: 'pacing-1',
+    arms: [
+        { armId: 'control', deliverAdaptations: false },
+        { armId: 'rules-v1', ruleSetId: 'default@1' },
+        { armId: 'rules-v2', ruleSetId: 'default@2', weight: 2 }
+    ]
+};
+
+test('experiment definitions are validated and normalized', () => {
+    const experiment = normalizeExperiment(definition, 1000);
+    assert.strictEqual(experiment.unit, 'session');
+    assert.strictEqual(experiment.status, 'draft');
+    assert.deepStrictEqual(experiment.arms[0], { armId: 'control', weight: 1, deliverAdaptations: false });
+
+    assert.throws(() => normalizeExperiment({ ...definition, arms: [definition.arms[0]] }), ExperimentError);
+    assert.throws(() => normalizeExperiment({ ...definition, arms: [definition.arms[0], definition.arms[0]] }), /Duplicate arm/);
+    assert.throws(() => normalizeExperiment({ ...definition, unit: 'book' }), /unit must be/);
+});
+
+test('assignment is stable and follows the arm weights', () => {
+    const experiment = normalizeExperiment(definition);
+    const counts = { control: 0, 'rules-v1': 0, 'rules-v2': 0 };
+    for (let i = 0; i < 2000; i++) {
+        const arm = assignArm(experiment, `session:${i}`);
+        assert.strictEqual(assignArm(experiment, `session:${i}`), arm);
+        counts[arm.armId]++;
+    }
+
+    // Expected 500 / 500 / 1000
+    assert.ok(Math.abs(counts.control - 500) < 100, JSON.stringify(counts));
+    assert.ok(Math.abs(counts['rules-v2'] - 1000) < 100, JSON.stringify(counts));
+});
+
+test('metrics are reported per arm', () => {
+    const experiment = normalizeExperiment(definition);
+    const [control, v1, v2] = experimentMetrics(experiment, [
+        {
+            session: { sessionId: 's1', userId: 'u1', experiment: { armId: 'control' } },
+            events: [{ eventType: 'AUDIO_REPLAY' }, { eventType: 'AUDIO_PLAY' }],
+            states: [{ cognitiveLoad: 'high', loadScore: 0.8 }, { cognitiveLoad: 'medium', loadScore: 0.4 }],
+            adaptations: [{ strategy: 'SMART_PAUSE', delivered: false }]
+        },
+        {
+            session: { sessionId: 's2', userId: 'u2', experiment: { armId: 'rules-v1' } },
+            events: [{ eventType: 'AUDIO_PLAY' }],
+            states: [{ cognitiveLoad: 'low', loadScore: 0.1 }],
+            adaptations: [
+                { strategy: 'SMART_PAUSE', feedback: { outcome: 'accepted' } },
+                { strategy: 'SLOW_NARRATION', feedback: { outcome: 'overridden' } }
+            ]
+        }
+    ]);
+
+    assert.ok(Math.abs(control.meanLoadScore - 0.6) < 1e-9);
+    assert.deepStrictEqual({ ...control, meanLoadScore: undefined }, {
+        armId: 'control',
+        sessions: 1,
+        listeners: 1,
+        eventsPerSession: 2,
+        strugglePerSession: 1,
+        meanLoadScore: undefined,
+        highLoadRate: 0.5,
+        adaptationsPerSession: 1,
+        withheldAdaptations: 1,
+        acceptanceRate: null
+    });
+    assert.strictEqual(v1.acceptanceRate, 0.5);
+    assert.strictEqual(v2.sessions, 0);
+    assert.strictEqual(v2.eventsPerSession, null);
+});
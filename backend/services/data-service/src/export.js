@@ -0,0 +1,152 @@
+/**
+ * RESEARCH DATA EXPORT
+ *
+ * Flat, stable row formats for sessions, events, cognitive states and
+ * adaptations, written as CSV or newline-delimited JSON.
+ *
+ * Columns are only ever appended to (never renamed, removed or reordered),
+ * so analysis scripts can rely on the order. GET /export/schema serves the
+ * same definitions with a type and description per column.
+ */
+
+export class ExportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ExportError';
+    }
+}
+
+export const EXPORT_FORMATS = {
+    csv: 'text/csv; charset=utf-8',
+    ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+const isoTime = (timestamp) => (Number.isFinite(timestamp) ? new Date(timestamp).toISOString() : null);
+const joined = (values) => (Array.isArray(values) ? values.join(';') : null);
+
+// Columns shared by the session logs: where and when the record was made
+const logColumns = [
+    { name: 'sessionId', type: 'string', description: 'Listening session', value: (r) => r.sessionId },
+    { name: 'userId', type: 'string', description: 'Listener of the session (empty when anonymous)', value: (r, s) => s.userId },
+    { name: 'timestamp', type: 'integer', description: 'Epoch milliseconds', value: (r) => r.timestamp },
+    { name: 'time', type: 'string', description: 'ISO 8601 time (UTC)', value: (r) => isoTime(r.timestamp) },
+    { name: 'experimentId', type: 'string', description: 'Experiment the session was assigned to', value: (r, s) => r.experiment?.experimentId ?? s.experiment?.experimentId },
+    { name: 'armId', type: 'string', description: 'Experiment arm', value: (r, s) => r.experiment?.armId ?? s.experiment?.armId }
+];
+
+export const EXPORT_SCHEMAS = {
+    sessions: [
+        { name: 'sessionId', type: 'string', description: 'Listening session', value: (r) => r.sessionId },
+        { name: 'userId', type: 'string', description: 'Listener (empty when anonymous)', value: (r) => r.userId },
+        { name: 'startTime', type: 'integer', description: 'Epoch milliseconds of the first event', value: (r) => r.startTime },
+        { name: 'lastEventAt', type: 'integer', description: 'Epoch milliseconds of the latest event', value: (r) => r.lastEventAt },
+        { name: 'eventCount', type: 'integer', description: 'Events recorded', value: (r) => r.eventCount },
+        { name: 'experimentId', type: 'string', description: 'Experiment the session was assigned to', value: (r) => r.experiment?.experimentId },
+        { name: 'armId', type: 'string', description: 'Experiment arm', value: (r) => r.experiment?.armId },
+        { name: 'currentSection', type: 'string', description: 'Last section listened to', value: (r) => r.currentSection },
+        { name: 'currentTime', type: 'number', description: 'Last playback position (seconds)', value: (r) => r.currentTime },
+        { name: 'playbackSpeed', type: 'number', description: 'Last playback speed', value: (r) => r.playbackSpeed }
+    ],
+    events: [
+        ...logColumns,
+        { name: 'eventId', type: 'string', description: 'Event id', value: (r) => r.eventId },
+        { name: 'eventType', type: 'string', description: 'Behavioral event type, e.g. AUDIO_REPLAY', value: (r) => r.eventType },
+        { name: 'bookId', type: 'string', description: 'Book', value: (r) => r.metadata?.bookId },
+        { name: 'chapterId', type: 'string', description: 'Chapter', value: (r) => r.metadata?.chapterId },
+        { name: 'sectionId', type: 'string', description: 'Section', value: (r) => r.metadata?.sectionId },
+        { name: 'segmentId', type: 'string', description: 'Transcript segment at the playback position', value: (r) => r.metadata?.segmentId },
+        { name: 'currentTime', type: 'number', description: 'Playback position (seconds)', value: (r) => r.metadata?.currentTime },
+        { name: 'previousTime', type: 'number', description: 'Position before a seek or replay (seconds)', value: (r) => r.metadata?.previousTime },
+        { name: 'fromTime', type: 'number', description: 'Start of a navigation reversal (seconds)', value: (r) => r.metadata?.fromTime },
+        { name: 'toTime', type: 'number', description: 'Target of a navigation reversal (seconds)', value: (r) => r.metadata?.toTime },
+        { name: 'speed', type: 'number', description: 'Playback speed', value: (r) => r.metadata?.speed },
+        { name: 'duration', type: 'number', description: 'Pause or idle duration (ms)', value: (r) => r.metadata?.duration ?? r.metadata?.idleDuration },
+        { name: 'adaptationId', type: 'string', description: 'Adaptation a feedback event refers to', value: (r) => r.metadata?.adaptationId },
+        { name: 'metadata', type: 'json', description: 'Full event metadata', value: (r) => r.metadata }
+    ],
+    'cognitive-states': [
+        ...logColumns,
+        { name: 'bookId', type: 'string', description: 'Book', value: (r) => r.bookId },
+        { name: 'chapterId', type: 'string', description: 'Chapter', value: (r) => r.chapterId },
+        { name: 'sectionId', type: 'string', description: 'Section', value: (r) => r.sectionId },
+        { name: 'cognitiveLoad', type: 'string', description: 'Smoothed load level: low, medium or high', value: (r) => r.cognitiveLoad },
+        { name: 'instantLoad', type: 'string', description: 'Load level of the window alone', value: (r) => r.instantLoad },
+        { name: 'loadScore', type: 'number', description: 'Load score, 0..1', value: (r) => r.loadScore },
+        { name: 'trend', type: 'string', description: 'rising, falling or stable', value: (r) => r.trend },
+        { name: 'confidence', type: 'number', description: 'Confidence, 0..1', value: (r) => r.confidence },
+        { name: 'engine', type: 'string', description: 'rules or model', value: (r) => r.engine },
+        { name: 'ruleSetId', type: 'string', description: 'Rule set used', value: (r) => r.ruleSetId },
+        { name: 'ruleSetVersion', type: 'integer', description: 'Rule set version', value: (r) => r.ruleSetVersion },
+        { name: 'patterns', type: 'string', description: 'Detected patterns, ";"-separated', value: (r) => joined(r.patterns) },
+        { name: 'pauseFrequency', type: 'number', description: 'Pauses per minute in the window', value: (r) => r.behaviorSummary?.pauseFrequency },
+        { name: 'replayCount', type: 'integer', description: 'Replays in the window', value: (r) => r.behaviorSummary?.replayCount },
+        { name: 'avgSpeed', type: 'number', description: 'Mean playback speed in the window', value: (r) => r.behaviorSummary?.avgSpeed },
+        { name: 'idleTime', type: 'number', description: 'Idle time in the window (ms)', value: (r) => r.behaviorSummary?.idleTime },
+        { name: 'navigationReversals', type: 'integer', description: 'Reversals in the window', value: (r) => r.behaviorSummary?.navigationReversals }
+    ],
+    adaptations: [
+        ...logColumns,
+        { name: 'adaptationId', type: 'string', description: 'Adaptation id', value: (r) => r.adaptationId },
+        { name: 'strategy', type: 'string', description: 'Adaptation strategy, e.g. SMART_PAUSE', value: (r) => r.strategy },
+        { name: 'proactive', type: 'boolean', description: 'Scheduled ahead of a difficult passage', value: (r) => Boolean(r.proactive) },
+        { name: 'delivered', type: 'boolean', description: 'false when an experiment control arm withheld it', value: (r) => r.delivered !== false },
+        { name: 'reason', type: 'string', description: 'Why it was made', value: (r) => r.reason },
+        { name: 'triggeredBy', type: 'string', description: 'Triggering patterns, ";"-separated', value: (r) => joined(r.triggeredBy) },
+        { name: 'policyArm', type: 'string', description: 'Bandit arm, when a bandit chose the variant', value: (r) => r.policy?.arm },
+        { name: 'feedbackOutcome', type: 'string', description: 'accepted, rejected or overridden', value: (r) => r.feedback?.outcome },
+        { name: 'feedbackAt', type: 'integer', description: 'Epoch milliseconds of the feedback', value: (r) => r.feedback?.at },
+        { name: 'reward', type: 'number', description: 'Bandit reward, 0..1', value: (r) => r.reward },
+        { name: 'parameters', type: 'json', description: 'Strategy parameters', value: (r) => r.parameters }
+    ]
+};
+
+/**
+ * Column definitions without the accessors, for GET /export/schema
+ */
+export function describeExportSchemas() {
+    return Object.fromEntries(Object.entries(EXPORT_SCHEMAS).map(([kind, columns]) => [
+        kind,
+        columns.map(({ name, type, description }) => ({ name, type, description }))
+    ]));
+}
+
+/**
+ * Parse an epoch-milliseconds or ISO 8601 bound
+ */
+export function parseTimeBound(value, label) {
+    if (value === undefined || value === '') return undefined;
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    if (!Number.isFinite(time)) throw new ExportError(`${label} must be epoch milliseconds or an ISO 8601 date`);
+    return time;
+}
+
+function csvValue(value, type) {
+    if (value === undefined || value === null) return '';
+    const text = type === 'json' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * Row writer for one kind and format
+ *
+ * @returns { header, row(record, session) } - header is '' for NDJSON
+ */
+export function createRowFormatter(kind, format) {
+    const columns = EXPORT_SCHEMAS[kind];
+    if (!columns) throw new ExportError(`Unknown export "${kind}", expected one of ${Object.keys(EXPORT_SCHEMAS).join(', ')}`);
+    if (!EXPORT_FORMATS[format]) throw new ExportError(`Unknown format "${format}", expected csv or ndjson`);
+
+    if (format === 'csv') {
+        return {
+            header: columns.map(c => c.name).join(',') + '\n',
+            row: (record, session) => columns.map(c => csvValue(c.value(record, session), c.type)).join(',') + '\n'
+        };
+    }
+
+    return {
+        header: '',
+        row: (record, session) => JSON.stringify(Object.fromEntries(
+            columns.map(c => [c.name, c.value(record, session) ?? null])
+        )) + '\n'
+    };
+}
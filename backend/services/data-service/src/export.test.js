@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { EXPORT_SCHEMAS, ExportError, createRowFormatter, parseTimeBound } from './export.js';
+
+const session = { sessionId: 's1', userId: 'u1', experiment: { experimentId: 'e1', armId: 'control' } };
+const adaptation = {
+    sessionId: 's1',
+    adaptationId: 'a1',
+    timestamp: 0,
+    strategy: 'SMART_PAUSE',
+    reason: 'Overload, "high"',
+    triggeredBy: ['FREQUENT_PAUSES', 'struggle'],
+    parameters: { pauseDuration: 3000 },
+    delivered: false
+};
+
+test('CSV rows follow the schema column order and quote where needed', () => {
+    const { header, row } = createRowFormatter('adaptations', 'csv');
+    assert.strictEqual(header, EXPORT_SCHEMAS.adaptations.map(c => c.name).join(',') + '\n');
+    assert.ok(header.startsWith('sessionId,userId,timestamp,time,experimentId,armId,adaptationId,strategy'));
+
+    assert.strictEqual(
+        row(adaptation, session),
+        's1,u1,0,1970-01-01T00:00:00.000Z,e1,control,a1,SMART_PAUSE,false,false,"Overload, ""high""",'
+        + 'FREQUENT_PAUSES;struggle,,,,,"{""pauseDuration"":3000}"\n'
+    );
+});
+
+test('NDJSON rows carry the same columns with nulls for missing values', () => {
+    const { header, row } = createRowFormatter('adaptations', 'ndjson');
+    assert.strictEqual(header, '');
+
+    const parsed = JSON.parse(row(adaptation, session));
+    assert.deepStrictEqual(Object.keys(parsed), EXPORT_SCHEMAS.adaptations.map(c => c.name));
+    assert.strictEqual(parsed.feedbackOutcome, null);
+    assert.deepStrictEqual(parsed.parameters, { pauseDuration: 3000 });
+});
+
+test('unknown exports, formats and dates are rejected', () => {
+    assert.throws(() => createRowFormatter('users', 'csv'), ExportError);
+    assert.throws(() => createRowFormatter('events', 'parquet'), /Unknown format/);
+    assert.strictEqual(parseTimeBound('1700000000000', 'from'), 1700000000000);
+    assert.strictEqual(parseTimeBound('2025-03-01T00:00:00Z', 'from'), Date.UTC(2025, 2, 1));
+    assert.strictEqual(parseTimeBound(undefined, 'from'), undefined);
+    assert.throws(() => parseTimeBound('last week', 'from'), /ISO 8601/);
+});
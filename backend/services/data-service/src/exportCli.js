@@ -0,0 +1,82 @@
+/**
+ * RESEARCH EXPORT CLI
+ *
+ * Download sessions, events, cognitive states or adaptations from a running
+ * data service (or the gateway) as CSV or NDJSON.
+ *
+ * Usage:
+ *   node src/exportCli.js events --from 2025-03-01 --to 2025-04-01 --out events.csv
+ *   node src/exportCli.js adaptations --experiment pacing-1 --format ndjson
+ *   node src/exportCli.js cognitive-states --user listener-1 --user listener-2
+ *   node src/exportCli.js --schema
+ *
+ * Options:
+ *   --format csv | ndjson     Output format (default csv)
+ *   --from, --to <time>       Epoch milliseconds or ISO 8601 date
+ *   --experiment <id>         Only sessions assigned to this experiment
+ *   --user <id>               Only these listeners' sessions (repeatable)
+ *   --out <file>              Write to a file instead of stdout
+ *   --url <base url>          Data service URL (default DATA_SERVICE_URL or http://localhost:3005)
+ *   --schema                  Print the column definitions of every export
+ *
+ * Set INTERNAL_SERVICE_TOKEN to call the data service directly, or API_TOKEN
+ * (a bearer token) to go through the gateway.
+ */
+
+import fs from 'node:fs';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { parseArgs } from 'node:util';
+
+const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        format: { type: 'string', default: 'csv' },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        experiment: { type: 'string' },
+        user: { type: 'string', multiple: true },
+        out: { type: 'string' },
+        url: { type: 'string', default: process.env.DATA_SERVICE_URL || 'http://localhost:3005' },
+        schema: { type: 'boolean', default: false }
+    }
+});
+
+async function request(path) {
+    const response = await fetch(`${values.url.replace(/\/$/, '')}${path}`, {
+        headers: {
+            // Directly against the data service (INTERNAL_SERVICE_TOKEN) or through the gateway (API_TOKEN)
+            ...(process.env.INTERNAL_SERVICE_TOKEN && { 'x-internal-token': process.env.INTERNAL_SERVICE_TOKEN }),
+            ...(process.env.API_TOKEN && { Authorization: `Bearer ${process.env.API_TOKEN}` })
+        }
+    });
+    if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `${path} failed with ${response.status}`);
+    }
+    return response;
+}
+
+try {
+    if (values.schema) {
+        const schema = await (await request('/export/schema')).json();
+        process.stdout.write(`${JSON.stringify(schema, null, 2)}\n`);
+        process.exit(0);
+    }
+
+    const [kind] = positionals;
+    if (!kind) throw new Error('Provide what to export: sessions, events, cognitive-states or adaptations');
+
+    const query = new URLSearchParams({ format: values.format });
+    if (values.from) query.set('from', values.from);
+    if (values.to) query.set('to', values.to);
+    if (values.experiment) query.set('experimentId', values.experiment);
+    if (values.user?.length) query.set('userId', values.user.join(','));
+
+    const response = await request(`/export/${encodeURIComponent(kind)}?${query}`);
+    await pipeline(Readable.fromWeb(response.body), values.out ? fs.createWriteStream(values.out) : process.stdout);
+    if (values.out) console.error(`Exported ${kind} to ${values.out}`);
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,64 @@
+/**
+ * ADAPTATION FEEDBACK
+ *
+ * Listeners accept, reject or undo adaptations (ADAPTATION_ACCEPTED,
+ * ADAPTATION_REJECTED, ADAPTATION_OVERRIDDEN events referencing an
+ * adaptationId). Each outcome is stored on the adaptation record and folded
+ * into per-user counts per strategy, which the adaptation service uses to
+ * back off strategies a listener keeps turning down. The counts are kept as
+ * one item per listener and strategy and only ever changed by atomic
+ * increments, so concurrent feedback is never lost.
+ */
+
+const OUTCOMES = {
+    ADAPTATION_ACCEPTED: 'accepted',
+    ADAPTATION_REJECTED: 'rejected',
+    ADAPTATION_OVERRIDDEN: 'overridden'
+};
+
+/**
+ * Feedback carried by an event, or null for any other event
+ *
+ * @returns { adaptationId, outcome, at }
+ */
+export function feedbackFromEvent(event) {
+    const outcome = OUTCOMES[event.eventType?.toUpperCase()];
+    const adaptationId = event.metadata?.adaptationId;
+    if (!outcome || !adaptationId) return null;
+    return { adaptationId, outcome, at: event.timestamp };
+}
+
+/**
+ * Storage update folding one outcome into a strategy's counts.
+ * `consecutiveNegative` counts rejections and overrides since the last acceptance.
+ *
+ * @returns { fields, increment } for storage.update
+ */
+export function feedbackUpdate({ outcome, at }) {
+    if (outcome === 'accepted') {
+        return { fields: { consecutiveNegative: 0, updatedAt: at }, increment: { accepted: 1 } };
+    }
+    return {
+        fields: { lastNegativeAt: at, updatedAt: at },
+        increment: { [outcome]: 1, consecutiveNegative: 1 }
+    };
+}
+
+/**
+ * Per-strategy counts of a listener from their stored strategy items
+ *
+ * @returns { userId, strategies: { [strategy]: { accepted, rejected, overridden, consecutiveNegative, lastNegativeAt } } }
+ */
+export function feedbackRecord(userId, items) {
+    const strategies = {};
+    for (const { strategy, accepted = 0, rejected = 0, overridden = 0, consecutiveNegative = 0, lastNegativeAt } of items) {
+        strategies[strategy] = {
+            accepted,
+            rejected,
+            overridden,
+            consecutiveNegative,
+            ...(lastNegativeAt !== undefined && { lastNegativeAt })
+        };
+    }
+    return { userId, strategies };
+}
@@ -0,0 +1,166 @@
+/**
+ * PASSAGE DIFFICULTY HEATMAP
+ *
+ * Aggregates replays, pauses and navigation reversals from all sessions into
+ * fixed-width time bins per book chapter. Bins where many listeners struggle
+ * point at hard passages; when events carry a transcript segmentId the same
+ * counts are kept per segment too.
+ */
+
+export const HEATMAP_BIN_SECONDS = Number.parseInt(process.env.HEATMAP_BIN_SECONDS, 10) || 10;
+
+// How much each signal says about difficulty; a pause is weaker evidence than going back
+export const HEATMAP_WEIGHTS = {
+    AUDIO_REPLAY: 1,
+    NAVIGATION_REVERSAL: 1,
+    AUDIO_PAUSE: 0.5
+};
+
+// A chapter needs this much history before its bins are trusted as difficult passages
+export const HEATMAP_MIN_SESSIONS = Number.parseInt(process.env.HEATMAP_MIN_SESSIONS, 10) || 5;
+export const DIFFICULT_PASSAGE_THRESHOLD = 0.6;
+
+const COUNT_FIELDS = {
+    AUDIO_REPLAY: 'replays',
+    NAVIGATION_REVERSAL: 'reversals',
+    AUDIO_PAUSE: 'pauses'
+};
+
+const typeOf = (event) => event.eventType?.toUpperCase();
+
+/**
+ * Chapter position (seconds) an event refers to.
+ * Replays and reversals point at where the listener went back to.
+ */
+export function eventOffset(event) {
+    const metadata = event.metadata || {};
+    const offset = typeOf(event) === 'NAVIGATION_REVERSAL' ? metadata.toTime : metadata.currentTime;
+    return Number.isFinite(offset) && offset >= 0 ? offset : null;
+}
+
+const emptyCounts = () => ({ replays: 0, pauses: 0, reversals: 0, weight: 0 });
+
+function addTo(counts, type) {
+    counts[COUNT_FIELDS[type]] += 1;
+    counts.weight += HEATMAP_WEIGHTS[type];
+}
+
+/**
+ * Key of a chapter's heatmap contributions
+ */
+export const chapterKey = (bookId, chapterId) => `${bookId}#${chapterId}`;
+
+/**
+ * What one session adds to the heatmaps of the chapters it played: its counts
+ * per bin and per segment. Stored per session, so a heatmap can be refreshed
+ * from the sessions that changed instead of from every event ever recorded.
+ *
+ * @returns One contribution per chapter that appears in the events
+ */
+export function sessionContributions(sessionId, events, { binSeconds = HEATMAP_BIN_SECONDS } = {}) {
+    const chapters = new Map();
+
+    for (const event of events) {
+        const type = typeOf(event);
+        const { bookId, chapterId, segmentId } = event.metadata || {};
+        if (!bookId || !chapterId) continue;
+
+        // Every session that played the chapter counts, including the ones that never struggled
+        const key = chapterKey(bookId, chapterId);
+        if (!chapters.has(key)) {
+            chapters.set(key, { chapterKey: key, sessionId, bookId, chapterId, binSeconds, bins: new Map(), segments: new Map() });
+        }
+        const chapter = chapters.get(key);
+
+        const offset = eventOffset(event);
+        if (!COUNT_FIELDS[type] || offset === null) continue;
+
+        const index = Math.floor(offset / binSeconds);
+        if (!chapter.bins.has(index)) chapter.bins.set(index, emptyCounts());
+        addTo(chapter.bins.get(index), type);
+
+        if (segmentId) {
+            if (!chapter.segments.has(segmentId)) chapter.segments.set(segmentId, emptyCounts());
+            addTo(chapter.segments.get(segmentId), type);
+        }
+    }
+
+    return [...chapters.values()].map(({ bins, segments, ...chapter }) => ({
+        ...chapter,
+        bins: [...bins.entries()].map(([index, counts]) => ({ index, ...counts })),
+        segments: [...segments.entries()].map(([segmentId, counts]) => ({ segmentId, ...counts }))
+    }));
+}
+
+function addCounts(total, { replays, pauses, reversals, weight }) {
+    total.replays += replays;
+    total.pauses += pauses;
+    total.reversals += reversals;
+    total.weight += weight;
+}
+
+/**
+ * Heatmap of a chapter from the contributions of the sessions that played it.
+ * `rate` is weighted events per listening session, `difficulty` scales it to
+ * 0..1 against the hardest bin of the chapter.
+ */
+export function chapterHeatmap(bookId, chapterId, contributions, { binSeconds = HEATMAP_BIN_SECONDS, now = Date.now() } = {}) {
+    const bins = new Map();
+    const segments = new Map();
+
+    for (const contribution of contributions) {
+        for (const { index, ...counts } of contribution.bins) {
+            if (!bins.has(index)) bins.set(index, { ...emptyCounts(), listeners: 0 });
+            addCounts(bins.get(index), counts);
+            bins.get(index).listeners += 1;
+        }
+        for (const { segmentId, ...counts } of contribution.segments) {
+            if (!segments.has(segmentId)) segments.set(segmentId, emptyCounts());
+            addCounts(segments.get(segmentId), counts);
+        }
+    }
+
+    const sessionCount = contributions.length;
+    const maxWeight = Math.max(0, ...[...bins.values()].map(bin => bin.weight));
+
+    return {
+        bookId,
+        chapterId,
+        binSeconds,
+        sessionCount,
+        bins: [...bins.entries()]
+            .sort(([a], [b]) => a - b)
+            .map(([index, { weight, ...counts }]) => ({
+                start: index * binSeconds,
+                end: (index + 1) * binSeconds,
+                ...counts,
+                rate: weight / sessionCount,
+                difficulty: maxWeight > 0 ? weight / maxWeight : 0
+            })),
+        segments: [...segments.entries()]
+            .map(([segmentId, { weight, ...counts }]) => ({ segmentId, ...counts, rate: weight / sessionCount }))
+            .sort((a, b) => b.rate - a.rate),
+        updatedAt: now
+    };
+}
+
+/**
+ * Difficult passages of a chapter according to its heatmap: adjacent bins at
+ * or above the threshold are merged, and the passage keeps its hardest score.
+ * Empty until the chapter has HEATMAP_MIN_SESSIONS sessions of history.
+ */
+export function heatmapPassages(heatmap, { minSessions = HEATMAP_MIN_SESSIONS, threshold = DIFFICULT_PASSAGE_THRESHOLD } = {}) {
+    if (!heatmap || heatmap.sessionCount < minSessions) return [];
+
+    const passages = [];
+    for (const bin of heatmap.bins.filter(b => b.difficulty >= threshold)) {
+        const last = passages.at(-1);
+        if (last && last.end === bin.start) {
+            last.end = bin.end;
+            last.difficulty = Math.max(last.difficulty, bin.difficulty);
+        } else {
+            passages.push({ start: bin.start, end: bin.end, difficulty: bin.difficulty, source: 'history' });
+        }
+    }
+    return passages;
+}
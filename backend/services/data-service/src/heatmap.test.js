@@ -0,0 +1,67 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { chapterHeatmap, eventOffset, heatmapPassages, sessionContributions } from './heatmap.js';
+
+const chapter = { bookId: 'book-1', chapterId: 'ch-1' };
+
+const event = (eventType, metadata) => ({ eventType, metadata: { ...chapter, ...metadata } });
+
+test('reversals are placed where the listener went back to', () => {
+    assert.strictEqual(eventOffset(event('NAVIGATION_REVERSAL', { fromTime: 80, toTime: 42 })), 42);
+    assert.strictEqual(eventOffset(event('AUDIO_REPLAY', { currentTime: 30, previousTime: 40 })), 30);
+    assert.strictEqual(eventOffset(event('AUDIO_PAUSE', {})), null);
+});
+
+test('events are binned per chapter across sessions', () => {
+    const contributions = [
+        {
+            sessionId: 's1',
+            events: [
+                event('AUDIO_PLAY', { currentTime: 0 }),
+                event('AUDIO_REPLAY', { currentTime: 31, segmentId: 'p2-s1' }),
+                event('AUDIO_PAUSE', { currentTime: 35 })
+            ]
+        },
+        {
+            sessionId: 's2',
+            events: [
+                event('AUDIO_REPLAY', { currentTime: 33, segmentId: 'p2-s1' }),
+                event('NAVIGATION_REVERSAL', { toTime: 5 })
+            ]
+        },
+        // Played the chapter without struggling
+        { sessionId: 's3', events: [event('AUDIO_PLAY', { currentTime: 0 })] },
+        // Events without a chapter are ignored
+        { sessionId: 's4', events: [{ eventType: 'AUDIO_REPLAY', metadata: { currentTime: 31 } }] }
+    ].flatMap(({ sessionId, events }) => sessionContributions(sessionId, events, { binSeconds: 10 }));
+    assert.deepStrictEqual(contributions.map(c => c.sessionId), ['s1', 's2', 's3']);
+
+    const heatmap = chapterHeatmap('book-1', 'ch-1', contributions, { binSeconds: 10, now: 1000 });
+
+    assert.strictEqual(heatmap.sessionCount, 3);
+    assert.deepStrictEqual(heatmap.bins, [
+        { start: 0, end: 10, replays: 0, pauses: 0, reversals: 1, listeners: 1, rate: 1 / 3, difficulty: 1 / 2.5 },
+        { start: 30, end: 40, replays: 2, pauses: 1, reversals: 0, listeners: 2, rate: 2.5 / 3, difficulty: 1 }
+    ]);
+    assert.deepStrictEqual(heatmap.segments, [
+        { segmentId: 'p2-s1', replays: 2, pauses: 0, reversals: 0, rate: 2 / 3 }
+    ]);
+});
+
+test('adjacent difficult bins merge into passages once enough sessions exist', () => {
+    const heatmap = {
+        sessionCount: 6,
+        bins: [
+            { start: 0, end: 10, difficulty: 0.3 },
+            { start: 30, end: 40, difficulty: 0.7 },
+            { start: 40, end: 50, difficulty: 1 },
+            { start: 70, end: 80, difficulty: 0.6 }
+        ]
+    };
+
+    assert.deepStrictEqual(heatmapPassages(heatmap, { minSessions: 5 }), [
+        { start: 30, end: 50, difficulty: 1, source: 'history' },
+        { start: 70, end: 80, difficulty: 0.6, source: 'history' }
+    ]);
+    assert.deepStrictEqual(heatmapPassages({ ...heatmap, sessionCount: 2 }, { minSessions: 5 }), []);
+});
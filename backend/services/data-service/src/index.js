@@ -1,26 +1,74 @@
+import { timingSafeEqual } from 'node:crypto';
+import { once } from 'node:events';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import {
     getSession,
+    findSession,
     addEvent,
-    getRecentEvents,
+    getEvents,
     updateCognitiveState,
     getCurrentCognitiveState,
+    getCognitiveStates,
     addAdaptation,
     getRecentAdaptations,
+    getAdaptations,
     updateSessionContext,
     getAllSessions,
     saveUserProgress,
     getUserProgress,
+    getUserBaseline,
+    rebuildUserBaseline,
+    deleteUserBaseline,
+    getAdaptationFeedback,
+    getBanditState,
+    recordBanditReward,
+    getExperiments,
+    getExperiment,
+    createExperiment,
+    setExperimentStatus,
+    getExperimentMetrics,
+    exportRecords,
+    getConsent,
+    saveConsent,
+    withdrawConsent,
+    deleteUserData,
     getAllBooks,
     getBookById,
     createOrUpdateBook,
-    deleteBook
+    getChapterRecap,
+    getChapterTranscript,
+    saveChapterTranscript,
+    deleteChapterTranscript,
+    getChapterHeatmap,
+    rebuildHeatmaps,
+    migrateLegacySessions,
+    getChapterDifficulty,
+    deleteBook,
+    getBookAuditLog
 } from './dataStore.js';
+import { TranscriptError } from './transcripts.js';
+import { ExperimentError } from './experiments.js';
+import { ConsentError, CONSENT_SCOPES, consentAllows } from './consent.js';
+import {
+    callerOf,
+    canAccessSession,
+    canAccessUser,
+    canDeleteBooks,
+    canEditCatalog,
+    isResearcher,
+    requireRole,
+    sessionOwner
+} from './access.js';
+import { SCHEMAS, validate } from './schemas/index.js';
+import { EXPORT_FORMATS, ExportError, createRowFormatter, describeExportSchemas, parseTimeBound } from './export.js';
+import { telemetry, log } from './log.js';
 
 const app = express();
 const PORT = 3005;
+// 0 disables the periodic rebuild; POST /heatmaps/rebuild still works
+const HEATMAP_REFRESH_MS = Number.parseInt(process.env.HEATMAP_REFRESH_MS ?? '600000', 10);
 
 // Base Security: Secure headers with Helmet
 app.use(helmet());
@@ -39,15 +87,82 @@ const dataServiceCorsOptions = {
     allowedHeaders: ['Content-Type', 'Authorization']
 };
 app.use(cors(dataServiceCorsOptions));
-app.use(express.json());
+// Chapter transcripts can be well over the default 100kb
+app.use(express.json({ limit: '2mb' }));
+
+app.use(telemetry.middleware);
 
+// Only the gateway and sibling services may call this service; health checks stay open.
+// Without a token nothing could tell them apart from anyone else, so the service does not
+// start, unless ALLOW_DIRECT_SERVICE_CALLS=true (local development only)
+const INTERNAL_SERVICE_TOKEN = process.env.INTERNAL_SERVICE_TOKEN;
+if (!INTERNAL_SERVICE_TOKEN) {
+    if (process.env.ALLOW_DIRECT_SERVICE_CALLS !== 'true') {
+        throw new Error('INTERNAL_SERVICE_TOKEN is not set (ALLOW_DIRECT_SERVICE_CALLS=true accepts direct calls in local development)');
+    }
+    log.warn('INTERNAL_SERVICE_TOKEN is not set - accepting direct calls (ALLOW_DIRECT_SERVICE_CALLS)');
+}
 app.use((req, res, next) => {
-    const method = req.method.replaceAll(/[\r\n]/g, '');
-    const path = req.path.replaceAll(/[\r\n]/g, '');
-    console.log(`[DATA-SERVICE] ${method} ${path}`);
+    if (!INTERNAL_SERVICE_TOKEN || req.path === '/health') return next();
+
+    const given = Buffer.from(String(req.get('x-internal-token') || ''));
+    const expected = Buffer.from(INTERNAL_SERVICE_TOKEN);
+    if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+        return res.status(401).json({ error: 'Direct calls are not allowed' });
+    }
     next();
 });
 
+// Listeners only reach their own sessions and records (see access.js). A claim
+// carries the method the session is claimed for and is checked by its route.
+app.param('sessionId', async (req, res, next, sessionId) => {
+    try {
+        const caller = callerOf(req);
+        if (req.path.endsWith('/claim')) return next();
+        if (caller && !canAccessSession(caller, await findSession(sessionId), req.method)) {
+            return res.status(403).json({ error: 'Session belongs to another listener' });
+        }
+        next();
+    } catch (err) {
+        next(err);
+    }
+});
+
+app.param('userId', (req, res, next, userId) => {
+    if (!canAccessUser(callerOf(req), userId, req.method)) {
+        return res.status(403).json({ error: 'Not allowed for another listener' });
+    }
+    next();
+});
+
+const requireEditor = requireRole(canEditCatalog, 'Changing the catalog needs the editor or admin role');
+const requireResearcher = requireRole(isResearcher, 'Experiments are limited to researchers');
+
+/**
+ * Reject a request body that does not match a shared schema (schemas/),
+ * listing every problem as { path, message }
+ */
+const validateBody = (schemaName, error) => (req, res, next) => {
+    const details = validate(schemaName, req.body);
+    if (details.length > 0) return res.status(400).json({ error, details });
+    next();
+};
+
+/**
+ * Parse ?from=&to=&limit= for session log queries.
+ * Without a time range, the default limit applies; with one, the full range is returned.
+ */
+function parseLogQuery(query, defaultLimit) {
+    const from = Number.parseInt(query.from, 10);
+    const to = Number.parseInt(query.to, 10);
+    const hasRange = !Number.isNaN(from) || !Number.isNaN(to);
+    return {
+        from: Number.isNaN(from) ? undefined : from,
+        to: Number.isNaN(to) ? undefined : to,
+        limit: Number.parseInt(query.limit, 10) || (hasRange ? undefined : defaultLimit)
+    };
+}
+
 
 app.get('/sessions/:sessionId', async (req, res) => {
     const session = await getSession(req.params.sessionId);
@@ -60,24 +175,40 @@ app.post('/sessions/:sessionId/context', async (req, res) => {
 });
 
 app.get('/sessions', async (req, res) => {
+    const caller = callerOf(req);
     const sessions = await getAllSessions();
-    res.json(sessions);
+    res.json(isResearcher(caller) ? sessions : sessions.filter(session => canAccessSession(caller, session)));
+});
+
+/**
+ * Bind a session to the calling listener on first use (userId in the body is
+ * the consented id to record with it, if any, method the one the caller means
+ * to use it with); 403 when another listener owns it
+ */
+app.post('/sessions/:sessionId/claim', async (req, res) => {
+    const caller = callerOf(req);
+    if (!caller) return res.status(400).json({ error: 'Claiming a session needs a verified listener' });
+
+    const session = await getSession(req.params.sessionId, req.body.userId || null, caller.userId);
+    if (!canAccessSession(caller, session, req.body.method || 'POST')) {
+        return res.status(403).json({ error: 'Session belongs to another listener' });
+    }
+    res.json({ sessionId: session.sessionId, ownerId: sessionOwner(session) });
 });
 
 
-app.post('/sessions/:sessionId/events', async (req, res) => {
+app.post('/sessions/:sessionId/events', validateBody('behavioral-event', 'Invalid event'), async (req, res) => {
     const session = await addEvent(req.params.sessionId, req.body);
-    res.json({ success: true, count: session.events.length });
+    res.json({ success: true, count: session.eventCount });
 });
 
 app.get('/sessions/:sessionId/events', async (req, res) => {
-    const limit = Number.parseInt(req.query.limit, 10) || 20;
-    const events = await getRecentEvents(req.params.sessionId, limit);
+    const events = await getEvents(req.params.sessionId, parseLogQuery(req.query, 20));
     res.json(events);
 });
 
 
-app.post('/sessions/:sessionId/cognitive', async (req, res) => {
+app.post('/sessions/:sessionId/cognitive', validateBody('cognitive-state', 'Invalid cognitive state'), async (req, res) => {
     await updateCognitiveState(req.params.sessionId, req.body);
     res.json({ success: true });
 });
@@ -87,21 +218,37 @@ app.get('/sessions/:sessionId/cognitive', async (req, res) => {
     res.json(state || {});
 });
 
+app.get('/sessions/:sessionId/cognitive/history', async (req, res) => {
+    const states = await getCognitiveStates(req.params.sessionId, parseLogQuery(req.query, 20));
+    res.json(states);
+});
+
 
-app.post('/sessions/:sessionId/adaptations', async (req, res) => {
+app.post('/sessions/:sessionId/adaptations', validateBody('adaptation', 'Invalid adaptation'), async (req, res) => {
     await addAdaptation(req.params.sessionId, req.body);
     res.json({ success: true });
 });
 
 app.get('/sessions/:sessionId/adaptations', async (req, res) => {
-    const limit = Number.parseInt(req.query.limit, 10) || 10;
-    const adaptations = await getRecentAdaptations(req.params.sessionId, limit);
+    const adaptations = await getAdaptations(req.params.sessionId, parseLogQuery(req.query, 10));
     res.json(adaptations);
 });
 
+app.post('/sessions/:sessionId/adaptations/:adaptationId/reward', async (req, res) => {
+    const reward = Number(req.body?.reward);
+    if (!Number.isFinite(reward) || reward < 0 || reward > 1) {
+        return res.status(400).json({ error: 'reward must be a number between 0 and 1' });
+    }
+
+    const recorded = await recordBanditReward(req.params.sessionId, req.params.adaptationId, reward);
+    if (recorded === null) return res.status(404).json({ error: 'Adaptation not found' });
+    res.json({ success: true, recorded });
+});
+
 app.get('/sessions/:sessionId/adaptations/active', async (req, res) => {
     const adaptations = await getRecentAdaptations(req.params.sessionId, 5);
-    res.json({ activeAdaptations: adaptations });
+    // Adaptations withheld by an experiment's control arm never reach the player
+    res.json({ activeAdaptations: adaptations.filter(a => a.delivered !== false) });
 });
 
 
@@ -116,6 +263,157 @@ app.get('/users/:userId/progress/:bookId', async (req, res) => {
     res.json(progress || {});
 });
 
+app.get('/users/:userId/baseline', async (req, res) => {
+    const baseline = await getUserBaseline(req.params.userId);
+    res.json(baseline);
+});
+
+app.post('/users/:userId/baseline/rebuild', async (req, res) => {
+    const baseline = await rebuildUserBaseline(req.params.userId);
+    res.json(baseline);
+});
+
+app.delete('/users/:userId/baseline', async (req, res) => {
+    await deleteUserBaseline(req.params.userId);
+    res.json({ success: true });
+});
+
+
+/**
+ * Consent record with what it allows right now ({ behavioral, research })
+ */
+const describeConsent = (consent) => ({
+    ...consent,
+    allows: Object.fromEntries(CONSENT_SCOPES.map(scope => [scope, consentAllows(consent, scope)]))
+});
+
+app.get('/users/:userId/consent', async (req, res) => {
+    const consent = await getConsent(req.params.userId);
+    if (!consent) return res.status(404).json({ error: 'No consent recorded' });
+    res.json(describeConsent(consent));
+});
+
+app.put('/users/:userId/consent', async (req, res) => {
+    try {
+        const consent = await saveConsent(req.params.userId, req.body);
+        res.json(describeConsent(consent));
+    } catch (err) {
+        if (err instanceof ConsentError) return res.status(400).json({ error: err.message });
+        throw err;
+    }
+});
+
+app.delete('/users/:userId/consent', async (req, res) => {
+    const consent = await withdrawConsent(req.params.userId);
+    if (!consent) return res.status(404).json({ error: 'No consent recorded' });
+    res.json(describeConsent(consent));
+});
+
+app.delete('/users/:userId/data', async (req, res) => {
+    const removed = await deleteUserData(req.params.userId);
+    res.json({ success: true, ...removed });
+});
+
+
+app.get('/bandits/:banditKey', async (req, res) => {
+    const state = await getBanditState(req.params.banditKey);
+    res.json(state);
+});
+
+
+app.get('/experiments', requireResearcher, async (req, res) => {
+    const experiments = await getExperiments();
+    res.json(experiments);
+});
+
+app.post('/experiments', requireResearcher, async (req, res) => {
+    try {
+        const experiment = await createExperiment(req.body);
+        res.status(201).json(experiment);
+    } catch (err) {
+        if (err instanceof ExperimentError) return res.status(err.status).json({ error: err.message });
+        throw err;
+    }
+});
+
+app.get('/experiments/:experimentId', requireResearcher, async (req, res) => {
+    const experiment = await getExperiment(req.params.experimentId);
+    if (!experiment) return res.status(404).json({ error: 'Experiment not found' });
+    res.json(experiment);
+});
+
+app.patch('/experiments/:experimentId', requireResearcher, async (req, res) => {
+    try {
+        const experiment = await setExperimentStatus(req.params.experimentId, req.body?.status);
+        if (!experiment) return res.status(404).json({ error: 'Experiment not found' });
+        res.json(experiment);
+    } catch (err) {
+        if (err instanceof ExperimentError) return res.status(err.status).json({ error: err.message });
+        throw err;
+    }
+});
+
+app.get('/experiments/:experimentId/metrics', requireResearcher, async (req, res) => {
+    const metrics = await getExperimentMetrics(req.params.experimentId);
+    if (!metrics) return res.status(404).json({ error: 'Experiment not found' });
+    res.json(metrics);
+});
+
+
+app.get('/export/schema', (req, res) => {
+    res.json(describeExportSchemas());
+});
+
+/**
+ * Stream sessions, events, cognitive states or adaptations as CSV or NDJSON.
+ * ?format=csv|ndjson&from=&to= (epoch ms or ISO 8601)&experimentId=&userId=a,b
+ */
+app.get('/export/:kind', async (req, res) => {
+    if (!isResearcher(callerOf(req))) return res.status(403).json({ error: 'Exports are limited to researchers' });
+
+    const format = req.query.format || 'csv';
+    let formatter;
+    let filters;
+    try {
+        formatter = createRowFormatter(req.params.kind, format);
+        filters = {
+            from: parseTimeBound(req.query.from, 'from'),
+            to: parseTimeBound(req.query.to, 'to'),
+            experimentId: req.query.experimentId || undefined,
+            userIds: req.query.userId ? String(req.query.userId).split(',').filter(Boolean) : undefined
+        };
+    } catch (err) {
+        if (err instanceof ExportError) return res.status(400).json({ error: err.message });
+        throw err;
+    }
+
+    res.setHeader('Content-Type', EXPORT_FORMATS[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${req.params.kind}.${format}"`);
+    res.write(formatter.header);
+
+    let rows = 0;
+    try {
+        for await (const { record, session } of exportRecords(req.params.kind, filters)) {
+            // Stop reading once the client has gone away
+            if (res.destroyed) return;
+            if (!res.write(formatter.row(record, session))) await Promise.race([once(res, 'drain'), once(res, 'close')]);
+            rows++;
+        }
+        res.end();
+        log.info('export finished', { kind: req.params.kind, format, rows });
+    } catch (error) {
+        // Headers and rows are already sent, so the client can only learn of the failure from the cut connection
+        log.error('export failed', { kind: req.params.kind, format, rows, error });
+        res.destroy();
+    }
+});
+
+
+app.get('/users/:userId/adaptation-feedback', async (req, res) => {
+    const feedback = await getAdaptationFeedback(req.params.userId);
+    res.json(feedback);
+});
+
 
 app.get('/books', async (req, res) => {
     const books = await getAllBooks();
@@ -128,29 +426,107 @@ app.get('/books/:id', async (req, res) => {
     res.json(book);
 });
 
-app.post('/books', async (req, res) => {
+app.get('/books/:id/chapters/:chapterId/recap', async (req, res) => {
+    const at = Number.parseFloat(req.query.at);
+    const recap = await getChapterRecap(req.params.id, req.params.chapterId, Number.isNaN(at) ? undefined : at);
+    if (!recap) return res.status(404).json({ error: 'No recap for this chapter' });
+    res.json(recap);
+});
+
+app.get('/books/:id/chapters/:chapterId/transcript', async (req, res) => {
+    const transcript = await getChapterTranscript(req.params.id, req.params.chapterId);
+    if (!transcript) return res.status(404).json({ error: 'No transcript for this chapter' });
+    res.json(transcript);
+});
+
+app.put('/books/:id/chapters/:chapterId/transcript', requireEditor, async (req, res) => {
+    try {
+        const transcript = await saveChapterTranscript(req.params.id, req.params.chapterId, req.body, callerOf(req));
+        if (!transcript) return res.status(404).json({ error: 'Chapter not found' });
+        res.json(transcript);
+    } catch (err) {
+        if (err instanceof TranscriptError) return res.status(400).json({ error: err.message });
+        throw err;
+    }
+});
+
+app.delete('/books/:id/chapters/:chapterId/transcript', requireEditor, async (req, res) => {
+    await deleteChapterTranscript(req.params.id, req.params.chapterId, callerOf(req));
+    res.json({ success: true });
+});
+
+app.get('/books/:id/chapters/:chapterId/heatmap', async (req, res) => {
+    const heatmap = await getChapterHeatmap(req.params.id, req.params.chapterId);
+    if (!heatmap) return res.status(404).json({ error: 'No heatmap for this chapter yet' });
+    res.json(heatmap);
+});
+
+app.get('/books/:id/chapters/:chapterId/difficulty', async (req, res) => {
+    const difficulty = await getChapterDifficulty(req.params.id, req.params.chapterId);
+    if (!difficulty) return res.status(404).json({ error: 'Chapter not found' });
+    res.json(difficulty);
+});
+
+app.post('/heatmaps/rebuild', async (req, res) => {
+    const heatmaps = await rebuildHeatmaps();
+    res.json({ success: true, chapters: heatmaps.length });
+});
+
+app.post('/books', requireEditor, validateBody('audiobook', 'Invalid book'), async (req, res) => {
     try {
-        const sanitizedTitle = String(req.body?.title || '').replaceAll(/[\r\n]/g, '');
-        const sanitizedId = String(req.body?.id || '').replaceAll(/[\r\n]/g, '');
-        console.log(`[DATA-SERVICE] POST /books - Attempting to save book: ${sanitizedTitle} (ID: ${sanitizedId})`);
-        const book = await createOrUpdateBook(req.body);
-        console.log(`[DATA-SERVICE] Successfully saved book: ${sanitizedId}`);
+        const book = await createOrUpdateBook(req.body, callerOf(req));
+        log.info('book saved', { bookId: req.body.id, title: req.body.title });
         res.json(book);
     } catch (err) {
-        console.error(`[DATA-SERVICE] ERROR saving book:`, err);
+        log.error('saving book failed', { bookId: req.body.id, error: err });
         res.status(500).json({ error: 'Failed to save book to database', details: err.message });
     }
 });
 
-app.delete('/books/:id', async (req, res) => {
-    await deleteBook(req.params.id);
+app.delete('/books/:id', requireRole(canDeleteBooks, 'Deleting books needs the admin role'), async (req, res) => {
+    await deleteBook(req.params.id, callerOf(req));
     res.json({ success: true });
 });
 
+/**
+ * Who changed the book and how, oldest first (?from=&to=&limit=)
+ */
+app.get('/books/:id/audit', requireEditor, async (req, res) => {
+    const entries = await getBookAuditLog(req.params.id, parseLogQuery(req.query));
+    res.json(entries);
+});
+
+/**
+ * Shared payload schemas, so clients and services validate against the same definitions
+ */
+app.get('/schemas', (req, res) => {
+    res.json(SCHEMAS);
+});
+
+app.get('/schemas/:name', (req, res) => {
+    if (!Object.hasOwn(SCHEMAS, req.params.name)) {
+        return res.status(404).json({ error: 'Unknown schema', available: Object.keys(SCHEMAS) });
+    }
+    res.json(SCHEMAS[req.params.name]);
+});
+
 app.get('/health', (req, res) => {
     res.json({ status: 'healthy', service: 'data-service' });
 });
 
+// Runs before requests are served, so no event is counted while its session is rewritten
+try {
+    await migrateLegacySessions();
+} catch (error) {
+    log.error('legacy session migration failed', { error });
+}
+
 app.listen(PORT, () => {
-    console.log(`Data Service running on port ${PORT}`);
+    log.info('Data Service running', { port: PORT });
 });
+
+if (HEATMAP_REFRESH_MS > 0) {
+    setInterval(() => {
+        rebuildHeatmaps().catch(error => log.error('heatmap rebuild failed', { error }));
+    }, HEATMAP_REFRESH_MS).unref();
+}
@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { readdirSync, readFileSync } from 'node:fs';
+import { validate } from './index.js';
+
+test('events are checked against the shared event types and metadata', () => {
+    assert.deepStrictEqual(validate('behavioral-event', {
+        sessionId: 's1',
+        eventType: 'AUDIO_PAUSE',
+        metadata: { currentTime: 12.5, speed: 1.25, sectionId: null, fromSection: 'intro' }
+    }), []);
+
+    assert.deepStrictEqual(validate('behavioral-event', {
+        eventType: 'PAUSE',
+        metadata: { speed: 'fast', blob: { nested: true } }
+    }), [
+        { path: '/eventType', message: 'must be one of AUDIO_PLAY, AUDIO_PAUSE, AUDIO_SPEED_CHANGE, AUDIO_REPLAY, AUDIO_SEEK, NAVIGATION_REVERSAL, USER_IDLE, SECTION_COMPLETE, SESSION_START, SESSION_END, ADAPTATION_ACCEPTED, ADAPTATION_REJECTED, ADAPTATION_OVERRIDDEN' },
+        { path: '/metadata/speed', message: 'must be number' },
+        { path: '/metadata/blob', message: 'must be string or number or boolean or null' }
+    ]);
+});
+
+test('books may only hold catalog fields', () => {
+    const book = { id: 'book-1', title: 'Dune', chapters: [{ id: 'ch-1', title: 'One', startTime: 0 }] };
+    assert.deepStrictEqual(validate('audiobook', book), []);
+
+    assert.deepStrictEqual(validate('audiobook', {
+        id: 'book 1',
+        chapters: [{ id: 'ch-1', recaps: [{ endsAt: -1, text: 'x' }] }],
+        constructor: 'x'
+    }), [
+        { path: '/title', message: 'is required' },
+        { path: '/id', message: 'must match ^[\\w.-]{1,128}$' },
+        { path: '/chapters/0/title', message: 'is required' },
+        { path: '/chapters/0/recaps/0/endsAt', message: 'must be >= 0' },
+        { path: '/constructor', message: 'is not allowed' }
+    ]);
+});
+
+test('every seeded book passes the audiobook schema', () => {
+    const { books } = JSON.parse(readFileSync(new URL('../../audiobooks.json', import.meta.url), 'utf8'));
+    assert.ok(books.length > 0);
+    for (const book of books) {
+        assert.deepStrictEqual(validate('audiobook', book), [], `${book.id} in audiobooks.json`);
+    }
+});
+
+test('cognitive states need a load level and behavior summary', () => {
+    const details = validate('cognitive-state', { cognitiveLoad: 'extreme', patterns: [], confidence: 2, timestamp: 1 });
+    assert.deepStrictEqual(details.map(d => d.path), ['/behaviorSummary', '/cognitiveLoad', '/confidence']);
+});
+
+test('adaptations hold the decision only, not the feedback or reward recorded on it', () => {
+    const adaptation = {
+        adaptationId: 'e-1:SLOW_NARRATION:100',
+        sessionId: 's1',
+        strategy: 'SLOW_NARRATION',
+        timestamp: 1000,
+        reason: 'Difficult passage ahead',
+        proactive: true,
+        parameters: { targetSpeed: 0.75, duration: 33000, startAt: 97, sectionId: 'book-1-ch-1' },
+        triggeredBy: ['difficult_passage'],
+        policy: { name: 'bandit', key: 'cohort:default', context: 'high|rising', arm: 'SLOW_NARRATION:0.75x', explored: false, loadScore: 0.9 }
+    };
+    assert.deepStrictEqual(validate('adaptation', adaptation), []);
+
+    assert.deepStrictEqual(validate('adaptation', {
+        ...adaptation,
+        strategy: 'LOUDER',
+        parameters: { targetSpeed: 0, nested: {} },
+        reward: 1
+    }).map(d => d.path), ['/strategy', '/parameters/targetSpeed', '/parameters/nested', '/reward']);
+});
+
+test('event-service and cognitive-service carry identical copies of the schemas', () => {
+    const canonical = new URL('./', import.meta.url);
+    const files = readdirSync(canonical).filter(file => !file.endsWith('.test.js'));
+
+    for (const service of ['event-service', 'cognitive-service']) {
+        const copy = new URL(`../../../${service}/src/schemas/`, import.meta.url);
+        assert.deepStrictEqual(readdirSync(copy).sort(), files.sort(), `${service} schema files`);
+        for (const file of files) {
+            assert.strictEqual(
+                readFileSync(new URL(file, copy), 'utf8'),
+                readFileSync(new URL(file, canonical), 'utf8'),
+                `${service}/src/schemas/${file} differs from the data-service copy`
+            );
+        }
+    }
+});
@@ -0,0 +1,130 @@
+/**
+ * DYNAMODB STORAGE DRIVER
+ *
+ * Production driver backed by AWS DynamoDB.
+ * Region and endpoint are configurable so DynamoDB Local can be used too.
+ */
+
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, ScanCommand, DeleteCommand, QueryCommand } from "@aws-sdk/lib-dynamodb";
+import { getTableSchema, extractKey } from './tables.js';
+import { ConditionalWriteError } from './errors.js';
+
+/**
+ * Create a DynamoDB driver
+ *
+ * @param options.region - AWS region (defaults to us-east-1)
+ * @param options.endpoint - Optional endpoint override (e.g. DynamoDB Local)
+ */
+export function createDynamoDriver({ region = 'us-east-1', endpoint } = {}) {
+    const client = new DynamoDBClient({ region, ...(endpoint ? { endpoint } : {}) });
+    const docClient = DynamoDBDocumentClient.from(client);
+
+    return {
+        name: 'dynamodb',
+
+        async get(table, key) {
+            const { Item } = await docClient.send(new GetCommand({ TableName: table, Key: key }));
+            return Item || null;
+        },
+
+        async put(table, item, { ifNotExists = false } = {}) {
+            const params = { TableName: table, Item: item };
+            if (ifNotExists) {
+                params.ConditionExpression = 'attribute_not_exists(#pk)';
+                params.ExpressionAttributeNames = { '#pk': getTableSchema(table).partitionKey };
+            }
+            try {
+                await docClient.send(new PutCommand(params));
+            } catch (err) {
+                if (err.name === 'ConditionalCheckFailedException') {
+                    throw new ConditionalWriteError(table, extractKey(table, item));
+                }
+                throw err;
+            }
+        },
+
+        async update(table, key, fields, { increment = {} } = {}) {
+            const names = {};
+            const values = {};
+            const assignments = Object.entries(fields).map(([field, value], i) => {
+                names[`#f${i}`] = field;
+                values[`:v${i}`] = value;
+                return `#f${i} = :v${i}`;
+            });
+            // ADD is atomic on the server, so concurrent counters never lose increments
+            const additions = Object.entries(increment).map(([field, amount], i) => {
+                names[`#i${i}`] = field;
+                values[`:i${i}`] = amount;
+                return `#i${i} :i${i}`;
+            });
+
+            const clauses = [];
+            if (assignments.length > 0) clauses.push(`set ${assignments.join(', ')}`);
+            if (additions.length > 0) clauses.push(`add ${additions.join(', ')}`);
+            if (clauses.length === 0) return this.get(table, key);
+
+            const { Attributes } = await docClient.send(new UpdateCommand({
+                TableName: table,
+                Key: key,
+                UpdateExpression: clauses.join(' '),
+                ExpressionAttributeNames: names,
+                ExpressionAttributeValues: values,
+                ReturnValues: 'ALL_NEW'
+            }));
+            return Attributes || null;
+        },
+
+        async delete(table, key) {
+            await docClient.send(new DeleteCommand({ TableName: table, Key: key }));
+        },
+
+        async scan(table) {
+            const items = [];
+            let ExclusiveStartKey;
+            do {
+                const page = await docClient.send(new ScanCommand({ TableName: table, ExclusiveStartKey }));
+                items.push(...(page.Items || []));
+                ExclusiveStartKey = page.LastEvaluatedKey;
+            } while (ExclusiveStartKey);
+            return items;
+        },
+
+        async query(table, partitionValue, { from, to, limit, descending = false } = {}) {
+            const { partitionKey, sortKey } = getTableSchema(table);
+            const names = { '#pk': partitionKey };
+            const values = { ':pk': partitionValue };
+            let condition = '#pk = :pk';
+
+            if (from !== undefined || to !== undefined) names['#sk'] = sortKey;
+            if (from !== undefined && to !== undefined) {
+                condition += ' AND #sk BETWEEN :from AND :to';
+                values[':from'] = from;
+                values[':to'] = to;
+            } else if (from !== undefined) {
+                condition += ' AND #sk >= :from';
+                values[':from'] = from;
+            } else if (to !== undefined) {
+                condition += ' AND #sk <= :to';
+                values[':to'] = to;
+            }
+
+            const items = [];
+            let ExclusiveStartKey;
+            do {
+                const page = await docClient.send(new QueryCommand({
+                    TableName: table,
+                    KeyConditionExpression: condition,
+                    ExpressionAttributeNames: names,
+                    ExpressionAttributeValues: values,
+                    ScanIndexForward: !descending,
+                    ...(limit ? { Limit: limit - items.length } : {}),
+                    ExclusiveStartKey
+                }));
+                items.push(...(page.Items || []));
+                ExclusiveStartKey = page.LastEvaluatedKey;
+            } while (ExclusiveStartKey && (!limit || items.length < limit));
+            return items;
+        }
+    };
+}
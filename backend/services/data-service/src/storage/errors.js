@@ -0,0 +1,12 @@
+/**
+ * Raised when a conditional write (e.g. create-if-absent) fails because
+ * the item already exists. Drivers translate their native errors into this.
+ */
+export class ConditionalWriteError extends Error {
+    constructor(table, key) {
+        super(`Conditional write failed on ${table} for key ${JSON.stringify(key)}`);
+        this.name = 'ConditionalWriteError';
+        this.table = table;
+        this.key = key;
+    }
+}
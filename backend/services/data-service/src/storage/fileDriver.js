@@ -0,0 +1,46 @@
+/**
+ * FILE STORAGE DRIVER
+ *
+ * In-memory driver that persists a JSON snapshot to disk after every write.
+ * Lets the whole pipeline run offline (docker-compose, integration tests)
+ * while keeping data across restarts.
+ */
+
+import fs from 'node:fs/promises';
+import { existsSync, readFileSync } from 'node:fs';
+import path from 'node:path';
+import { createMemoryDriver } from './memoryDriver.js';
+import { log } from '../log.js';
+
+/**
+ * Create a file-backed driver
+ *
+ * @param filePath - Location of the JSON snapshot
+ */
+export function createFileDriver(filePath) {
+    const resolvedPath = path.resolve(filePath);
+    const initialData = existsSync(resolvedPath)
+        ? JSON.parse(readFileSync(resolvedPath, 'utf8'))
+        : {};
+
+    let pendingWrite = Promise.resolve();
+
+    // Writes are chained so snapshots never interleave, and go through a
+    // temp file + rename so a crash mid-write cannot corrupt the store.
+    // A failed write only fails its own caller; the next one stores everything again.
+    const persist = () => {
+        pendingWrite = pendingWrite.catch(() => {}).then(async () => {
+            await fs.mkdir(path.dirname(resolvedPath), { recursive: true });
+            const tmpPath = `${resolvedPath}.tmp`;
+            await fs.writeFile(tmpPath, JSON.stringify(driver.snapshot()));
+            await fs.rename(tmpPath, resolvedPath);
+        });
+        return pendingWrite;
+    };
+
+    const driver = createMemoryDriver(initialData, persist);
+
+    log.info('file storage', { path: resolvedPath });
+
+    return { ...driver, name: 'file' };
+}
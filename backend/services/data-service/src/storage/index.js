@@ -0,0 +1,47 @@
+/**
+ * STORAGE ADAPTER
+ *
+ * Selects the storage driver for the data service from STORAGE_DRIVER:
+ * - dynamodb (default): AWS DynamoDB
+ * - memory: in-process Maps, nothing persisted
+ * - file: JSON snapshot on disk (STORAGE_FILE)
+ *
+ * Every driver implements the same table-level interface:
+ *   get(table, key)                              -> item | null
+ *   put(table, item, { ifNotExists })            -> throws ConditionalWriteError if the key exists
+ *   update(table, key, fields, { increment })    -> sets attributes / atomically adds to counters,
+ *                                                   creating the item if needed; returns the new item
+ *   delete(table, key)
+ *   scan(table)                                  -> item[]
+ *   query(table, partitionValue, { from, to, limit, descending })
+ *                                                -> items of one partition ordered by sort key
+ */
+
+import { createMemoryDriver } from './memoryDriver.js';
+import { createFileDriver } from './fileDriver.js';
+
+export { ConditionalWriteError } from './errors.js';
+
+export const STORAGE_DRIVERS = ['dynamodb', 'memory', 'file'];
+
+/**
+ * Create a storage driver by name
+ */
+export async function createStorage(driverName = 'dynamodb', env = process.env) {
+    switch (driverName) {
+        case 'memory':
+            return createMemoryDriver();
+        case 'file':
+            return createFileDriver(env.STORAGE_FILE || 'data/store.json');
+        case 'dynamodb': {
+            // Imported lazily so offline drivers don't need the AWS SDK installed
+            const { createDynamoDriver } = await import('./dynamoDriver.js');
+            return createDynamoDriver({
+                region: env.AWS_REGION || 'us-east-1',
+                endpoint: env.DYNAMODB_ENDPOINT
+            });
+        }
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER "${driverName}". Expected one of: ${STORAGE_DRIVERS.join(', ')}`);
+    }
+}
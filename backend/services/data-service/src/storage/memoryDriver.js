@@ -0,0 +1,105 @@
+/**
+ * IN-MEMORY STORAGE DRIVER
+ *
+ * Keeps every table in a Map. Used for local development and tests
+ * where no AWS account is available. Data is lost on restart.
+ */
+
+import { getTableSchema, extractKey } from './tables.js';
+import { ConditionalWriteError } from './errors.js';
+
+function keyString(table, key) {
+    const { partitionKey, sortKey } = getTableSchema(table);
+    const parts = [key[partitionKey]];
+    if (sortKey) parts.push(key[sortKey]);
+    return JSON.stringify(parts);
+}
+
+/**
+ * Create an in-memory driver
+ *
+ * @param initialData - Optional { [table]: item[] } snapshot to start from
+ * @param onChange - Optional callback invoked after every write
+ */
+export function createMemoryDriver(initialData = {}, onChange = null) {
+    const tables = new Map();
+
+    const tableFor = (table) => {
+        getTableSchema(table);
+        if (!tables.has(table)) tables.set(table, new Map());
+        return tables.get(table);
+    };
+
+    for (const [table, items] of Object.entries(initialData)) {
+        for (const item of items) {
+            tableFor(table).set(keyString(table, item), item);
+        }
+    }
+
+    const changed = async () => {
+        if (onChange) await onChange();
+    };
+
+    return {
+        name: 'memory',
+
+        async get(table, key) {
+            const item = tableFor(table).get(keyString(table, key));
+            return item ? structuredClone(item) : null;
+        },
+
+        async put(table, item, { ifNotExists = false } = {}) {
+            const id = keyString(table, item);
+            if (ifNotExists && tableFor(table).has(id)) {
+                throw new ConditionalWriteError(table, extractKey(table, item));
+            }
+            tableFor(table).set(id, structuredClone(item));
+            await changed();
+        },
+
+        async update(table, key, fields, { increment = {} } = {}) {
+            const id = keyString(table, key);
+            const updated = { ...(tableFor(table).get(id) || extractKey(table, key)), ...structuredClone(fields) };
+            for (const [field, amount] of Object.entries(increment)) {
+                updated[field] = (updated[field] || 0) + amount;
+            }
+            tableFor(table).set(id, updated);
+            await changed();
+            return structuredClone(updated);
+        },
+
+        async delete(table, key) {
+            tableFor(table).delete(keyString(table, key));
+            await changed();
+        },
+
+        async scan(table) {
+            return Array.from(tableFor(table).values(), item => structuredClone(item));
+        },
+
+        async query(table, partitionValue, { from, to, limit, descending = false } = {}) {
+            const { partitionKey, sortKey } = getTableSchema(table);
+            const items = Array.from(tableFor(table).values())
+                .filter(item => item[partitionKey] === partitionValue)
+                .filter(item => from === undefined || item[sortKey] >= from)
+                .filter(item => to === undefined || item[sortKey] <= to)
+                .sort((a, b) => {
+                    if (a[sortKey] === b[sortKey]) return 0;
+                    return a[sortKey] < b[sortKey] ? -1 : 1;
+                });
+            if (descending) items.reverse();
+            return items.slice(0, limit ?? items.length).map(item => structuredClone(item));
+        },
+
+        /**
+         * Plain snapshot of every table (used by the file driver)
+         */
+        snapshot() {
+            const data = {};
+            for (const [table, items] of tables) {
+                data[table] = Array.from(items.values());
+            }
+            return data;
+        }
+    };
+}
@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createStorage } from './index.js';
+
+test('memory driver supports get/put/update/delete/scan', async () => {
+    const storage = await createStorage('memory');
+
+    await storage.put('UserProgress', { userId: 'u1', bookId: 'b1', progress: 'ch-1' });
+    await storage.update('UserProgress', { userId: 'u1', bookId: 'b1' }, { progress: 'ch-2' });
+
+    const item = await storage.get('UserProgress', { userId: 'u1', bookId: 'b1' });
+    assert.strictEqual(item.progress, 'ch-2');
+    assert.strictEqual((await storage.scan('UserProgress')).length, 1);
+
+    await storage.delete('UserProgress', { userId: 'u1', bookId: 'b1' });
+    assert.strictEqual(await storage.get('UserProgress', { userId: 'u1', bookId: 'b1' }), null);
+});
+
+test('memory driver returns copies, not live references', async () => {
+    const storage = await createStorage('memory');
+    await storage.put('CognitiveSessions', { sessionId: 's1', events: [] });
+
+    const session = await storage.get('CognitiveSessions', { sessionId: 's1' });
+    session.events.push({ eventType: 'AUDIO_PAUSE' });
+
+    const reread = await storage.get('CognitiveSessions', { sessionId: 's1' });
+    assert.deepStrictEqual(reread.events, []);
+});
+
+test('file driver persists across instances', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-service-'));
+    const env = { STORAGE_FILE: path.join(dir, 'store.json') };
+
+    const first = await createStorage('file', env);
+    await first.put('Audiobooks', { id: 'book-1', title: 'The Great Gatsby' });
+
+    const second = await createStorage('file', env);
+    const book = await second.get('Audiobooks', { id: 'book-1' });
+    assert.strictEqual(book.title, 'The Great Gatsby');
+
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('file driver keeps writing after a failed write', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-service-'));
+    const blocker = path.join(dir, 'data');
+    fs.writeFileSync(blocker, '');
+    const env = { STORAGE_FILE: path.join(blocker, 'store.json') };
+
+    const storage = await createStorage('file', env);
+    await assert.rejects(storage.put('Audiobooks', { id: 'book-1' }));
+    fs.rmSync(blocker);
+    await storage.put('Audiobooks', { id: 'book-2' });
+
+    const reopened = await createStorage('file', env);
+    assert.strictEqual((await reopened.scan('Audiobooks')).length, 2);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('unknown drivers and tables are rejected', async () => {
+    await assert.rejects(() => createStorage('postgres'), /Unknown STORAGE_DRIVER/);
+
+    const storage = await createStorage('memory');
+    await assert.rejects(() => storage.get('Nope', { id: 'x' }), /Unknown table/);
+});
@@ -0,0 +1,58 @@
+/**
+ * TABLE DEFINITIONS
+ *
+ * Key schema for every logical table the data service uses.
+ * Drivers use this to address items the same way DynamoDB does,
+ * so the in-memory and file drivers behave like the real tables.
+ */
+
+export const TABLES = {
+    CognitiveSessions: { partitionKey: 'sessionId' },
+    UserProgress: { partitionKey: 'userId', sortKey: 'bookId' },
+    Audiobooks: { partitionKey: 'id' },
+    UserBaselines: { partitionKey: 'userId' },
+    // Sessions recorded with a listener's id, oldest first (sessionKey = "<padded startTime>#<sessionId>")
+    UserSessions: { partitionKey: 'userId', sortKey: 'sessionKey' },
+    // One item per listener and strategy, so feedback counters are updated atomically
+    UserStrategyFeedback: { partitionKey: 'userId', sortKey: 'strategy' },
+    UserConsents: { partitionKey: 'userId' },
+    // One item per bandit, context and arm (armKey = "<context>#<arm>"), updated by atomic increments
+    BanditArms: { partitionKey: 'banditKey', sortKey: 'armKey' },
+    Experiments: { partitionKey: 'experimentId' },
+    ExperimentAssignments: { partitionKey: 'experimentId', sortKey: 'unitId' },
+    BookTranscripts: { partitionKey: 'bookId', sortKey: 'chapterId' },
+    PassageHeatmaps: { partitionKey: 'bookId', sortKey: 'chapterId' },
+    // Each session's counts per chapter (chapterKey = "<bookId>#<chapterId>"), folded into PassageHeatmaps
+    HeatmapContributions: { partitionKey: 'chapterKey', sortKey: 'sessionId' },
+    // Append-only, time-ordered session logs (recordKey = "<padded timestamp>#<id>")
+    SessionEvents: { partitionKey: 'sessionId', sortKey: 'recordKey' },
+    SessionCognitiveStates: { partitionKey: 'sessionId', sortKey: 'recordKey' },
+    SessionAdaptations: { partitionKey: 'sessionId', sortKey: 'recordKey' },
+    // recordKey of each adaptation, to find it from its adaptationId
+    SessionAdaptationIndex: { partitionKey: 'sessionId', sortKey: 'adaptationId' },
+    // recordKey of each state stored with a stateId, so a retried analysis is stored once
+    SessionCognitiveStateIndex: { partitionKey: 'sessionId', sortKey: 'stateId' },
+    // Who changed which book, kept after the book is deleted
+    BookAuditLog: { partitionKey: 'bookId', sortKey: 'recordKey' }
+};
+
+/**
+ * Get key schema for a table, failing loudly on unknown names
+ */
+export function getTableSchema(table) {
+    const schema = TABLES[table];
+    if (!schema) {
+        throw new Error(`Unknown table: ${table}`);
+    }
+    return schema;
+}
+
+/**
+ * Pick only the key attributes of an item
+ */
+export function extractKey(table, item) {
+    const { partitionKey, sortKey } = getTableSchema(table);
+    const key = { [partitionKey]: item[partitionKey] };
+    if (sortKey) key[sortKey] = item[sortKey];
+    return key;
+}
@@ -0,0 +1,111 @@
+/**
+ * CHAPTER TRANSCRIPTS
+ *
+ * Timed text for a chapter, stored as segments:
+ *   { id, start, end, text, paragraphId? }   (start/end in seconds)
+ *
+ * Transcripts can be uploaded as JSON segments or as WebVTT; both are
+ * normalized to segments so the player and the research data can refer to
+ * stable segment ids instead of raw playback positions.
+ */
+
+export class TranscriptError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TranscriptError';
+    }
+}
+
+/**
+ * Parse "hh:mm:ss.ttt" or "mm:ss.ttt" into seconds
+ */
+function parseTimestamp(value, lineNumber) {
+    const match = /^(?:(\d+):)?(\d{2}):(\d{2})[.,](\d{3})$/.exec(value.trim());
+    if (!match) throw new TranscriptError(`Line ${lineNumber}: invalid timestamp "${value.trim()}"`);
+    const [, hours = '0', minutes, seconds, millis] = match;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis) / 1000;
+}
+
+/**
+ * Parse a WebVTT document into segments.
+ * Cue identifiers become segment ids; the header and NOTE/STYLE/REGION blocks are skipped.
+ */
+export function parseWebVtt(text) {
+    const lines = String(text).replaceAll('\r\n', '\n').split('\n');
+    if (!lines[0]?.startsWith('WEBVTT')) {
+        throw new TranscriptError('WebVTT must start with "WEBVTT"');
+    }
+
+    // Header lines (e.g. "Kind: captions") run up to the first blank line
+    const segments = [];
+    let i = 1;
+    while (i < lines.length && lines[i].trim()) i++;
+    while (i < lines.length) {
+        if (!lines[i].trim()) {
+            i++;
+            continue;
+        }
+
+        const blockStart = i;
+        const block = [];
+        while (i < lines.length && lines[i].trim()) {
+            block.push(lines[i]);
+            i++;
+        }
+
+        if (/^(NOTE|STYLE|REGION)\b/.test(block[0])) continue;
+
+        const timingIndex = block[0].includes('-->') ? 0 : 1;
+        const timing = block[timingIndex];
+        if (!timing?.includes('-->')) {
+            throw new TranscriptError(`Line ${blockStart + 1}: cue without timing`);
+        }
+
+        const [startText, rest] = timing.split('-->');
+        const endText = rest.trim().split(/\s+/)[0];
+        segments.push({
+            id: timingIndex === 1 ? block[0].trim() : `s${segments.length + 1}`,
+            start: parseTimestamp(startText, blockStart + timingIndex + 1),
+            end: parseTimestamp(endText, blockStart + timingIndex + 1),
+            text: block.slice(timingIndex + 1).join('\n').replaceAll(/<[^>]+>/g, '').trim()
+        });
+    }
+
+    return segments;
+}
+
+/**
+ * Validate and normalize an uploaded transcript
+ *
+ * @param body - { vtt: "WEBVTT..." } or { segments: [...] }
+ * @returns Segments sorted by start time
+ */
+export function normalizeTranscript(body = {}) {
+    let segments;
+    if (typeof body.vtt === 'string') {
+        segments = parseWebVtt(body.vtt);
+    } else if (Array.isArray(body.segments)) {
+        segments = body.segments.map((segment, i) => ({
+            id: String(segment.id ?? `s${i + 1}`),
+            start: Number(segment.start),
+            end: Number(segment.end),
+            text: String(segment.text ?? '').trim(),
+            ...(segment.paragraphId !== undefined && { paragraphId: String(segment.paragraphId) })
+        }));
+    } else {
+        throw new TranscriptError('Provide "vtt" (WebVTT text) or "segments" (JSON array)');
+    }
+
+    if (segments.length === 0) throw new TranscriptError('Transcript has no segments');
+
+    const ids = new Set();
+    segments.forEach((segment, i) => {
+        if (!Number.isFinite(segment.start) || !Number.isFinite(segment.end) || segment.start < 0 || segment.end <= segment.start) {
+            throw new TranscriptError(`Segment ${i + 1} (${segment.id}): needs 0 <= start < end`);
+        }
+        if (ids.has(segment.id)) throw new TranscriptError(`Duplicate segment id "${segment.id}"`);
+        ids.add(segment.id);
+    });
+
+    return segments.sort((a, b) => a.start - b.start);
+}
@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { parseWebVtt, normalizeTranscript, TranscriptError } from './transcripts.js';
+
+const VTT = `WEBVTT
+
+NOTE chapter 1, paragraph 1
+
+p1-s1
+00:00:00.000 --> 00:00:04.500 align:start
+In my younger and more vulnerable years
+
+00:04.500 --> 00:09.250
+my father gave me some <i>advice</i>
+that I've been turning over in my mind ever since.
+`;
+
+test('WebVTT cues become segments with cue ids or generated ids', () => {
+    assert.deepStrictEqual(parseWebVtt(VTT), [
+        { id: 'p1-s1', start: 0, end: 4.5, text: 'In my younger and more vulnerable years' },
+        { id: 's2', start: 4.5, end: 9.25, text: "my father gave me some advice\nthat I've been turning over in my mind ever since." }
+    ]);
+});
+
+test('WebVTT header lines after the signature are skipped', () => {
+    const withHeader = VTT.replace('WEBVTT\n', 'WEBVTT - The Great Gatsby\nKind: captions\nLanguage: en\n');
+    assert.deepStrictEqual(parseWebVtt(withHeader), parseWebVtt(VTT));
+});
+
+test('JSON segments are validated and sorted', () => {
+    const segments = normalizeTranscript({
+        segments: [
+            { id: 'b', start: 5, end: 9, text: 'second', paragraphId: 1 },
+            { id: 'a', start: 0, end: 5, text: 'first' }
+        ]
+    });
+    assert.deepStrictEqual(segments.map(s => s.id), ['a', 'b']);
+    assert.strictEqual(segments[1].paragraphId, '1');
+
+    assert.throws(() => normalizeTranscript({ segments: [{ id: 'x', start: 3, end: 2 }] }), TranscriptError);
+    assert.throws(() => normalizeTranscript({ segments: [{ id: 'x', start: 0, end: 1 }, { id: 'x', start: 1, end: 2 }] }), /Duplicate/);
+    assert.throws(() => normalizeTranscript({ vtt: 'not vtt' }), /WEBVTT/);
+    assert.throws(() => normalizeTranscript({}), TranscriptError);
+});
@@ -0,0 +1,13 @@
+/**
+ * Telemetry of the event-service. Its own module, so that modules logging while they
+ * are imported already get the service's logger.
+ */
+
+import { createTelemetry } from './telemetry.js';
+
+export const telemetry = createTelemetry({
+    service: 'event-service',
+    exporterUrl: process.env.OTEL_EXPORTER_OTLP_ENDPOINT
+});
+
+export const { log } = telemetry;
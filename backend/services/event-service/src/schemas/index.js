@@ -0,0 +1,126 @@
+/**
+ * SHARED PAYLOAD SCHEMAS
+ *
+ * JSON Schemas for what crosses the service boundaries: behavioral events,
+ * catalog books, cognitive states and adaptation decisions. The data service holds the canonical
+ * files and publishes them at GET /schemas; event-service and
+ * cognitive-service carry identical copies of this directory (each image
+ * only contains its own src/), which schemas.test.js keeps in sync.
+ *
+ * validate() covers the subset of JSON Schema these files use:
+ * type, enum, required, properties, additionalProperties, items,
+ * minLength / maxLength, pattern, minimum / maximum, minItems / maxItems,
+ * maxProperties and local $ref ("#/$defs/<name>").
+ */
+
+import { readFileSync } from 'node:fs';
+
+const load = (file) => JSON.parse(readFileSync(new URL(`./${file}`, import.meta.url), 'utf8'));
+
+export const SCHEMAS = {
+    'behavioral-event': load('behavioral-event.json'),
+    audiobook: load('audiobook.json'),
+    'cognitive-state': load('cognitive-state.json'),
+    adaptation: load('adaptation.json')
+};
+
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    object: value => typeof value === 'object' && value !== null && !Array.isArray(value),
+    array: value => Array.isArray(value),
+    null: value => value === null
+};
+
+// JSON pointer segment (RFC 6901)
+const pointer = (path, key) => `${path}/${String(key).replaceAll('~', '~0').replaceAll('/', '~1')}`;
+
+function resolveRef(root, ref) {
+    const match = /^#\/\$defs\/([\w-]+)$/.exec(ref);
+    const schema = match && root.$defs?.[match[1]];
+    if (!schema) throw new Error(`Unsupported schema reference: ${ref}`);
+    return schema;
+}
+
+function check(schema, value, path, root, errors) {
+    if (schema.$ref) return check(resolveRef(root, schema.$ref), value, path, root, errors);
+
+    if (schema.type) {
+        const types = [schema.type].flat();
+        if (!types.some(type => TYPE_CHECKS[type](value))) {
+            errors.push({ path, message: `must be ${types.join(' or ')}` });
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+        return;
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            errors.push({ path, message: `must match ${schema.pattern}` });
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `must be >= ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path, message: `must be <= ${schema.maximum}` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `must have at least ${schema.minItems} items` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+        }
+        if (schema.items) value.forEach((item, i) => check(schema.items, item, pointer(path, i), root, errors));
+    }
+
+    if (TYPE_CHECKS.object(value)) {
+        const keys = Object.keys(value);
+        if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+            errors.push({ path, message: `must have at most ${schema.maxProperties} properties` });
+        }
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push({ path: pointer(path, key), message: 'is required' });
+        }
+        for (const key of keys) {
+            if (schema.properties && Object.hasOwn(schema.properties, key)) {
+                check(schema.properties[key], value[key], pointer(path, key), root, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: pointer(path, key), message: 'is not allowed' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                check(schema.additionalProperties, value[key], pointer(path, key), root, errors);
+            }
+        }
+    }
+}
+
+/**
+ * Check a value against a schema (or the name of one in SCHEMAS)
+ *
+ * @returns [{ path, message }] - path is a JSON pointer into the value; empty when valid
+ */
+export function validate(schema, value) {
+    const root = typeof schema === 'string' ? (Object.hasOwn(SCHEMAS, schema) && SCHEMAS[schema]) : schema;
+    if (!root) throw new Error(`Unknown schema: ${schema}`);
+
+    const errors = [];
+    check(root, value, '', root, errors);
+    return errors;
+}
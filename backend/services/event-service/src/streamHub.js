@@ -0,0 +1,74 @@
+/**
+ * SESSION STREAM HUB
+ *
+ * Server-Sent Events fan-out for adaptations and cognitive states.
+ * The orchestrator publishes here as soon as a result is stored, so the
+ * player receives a SMART_PAUSE immediately instead of on its next poll.
+ */
+
+/**
+ * Create a stream hub
+ *
+ * @param options.heartbeatMs - Interval of keep-alive comments (stops proxies closing idle streams)
+ */
+export function createStreamHub({ heartbeatMs = 25000 } = {}) {
+    const subscribers = new Map();
+
+    const heartbeat = setInterval(() => {
+        for (const clients of subscribers.values()) {
+            for (const res of clients) res.write(': ping\n\n');
+        }
+    }, heartbeatMs);
+    heartbeat.unref();
+
+    return {
+        /**
+         * Attach an HTTP response as a subscriber of a session stream
+         */
+        subscribe(sessionId, req, res) {
+            res.set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache, no-transform',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+            res.flushHeaders();
+            res.write('retry: 3000\n\n');
+
+            if (!subscribers.has(sessionId)) subscribers.set(sessionId, new Set());
+            subscribers.get(sessionId).add(res);
+
+            req.on('close', () => {
+                const clients = subscribers.get(sessionId);
+                if (!clients) return;
+                clients.delete(res);
+                if (clients.size === 0) subscribers.delete(sessionId);
+            });
+        },
+
+        /**
+         * Push a named event to every subscriber of a session
+         */
+        publish(sessionId, type, data) {
+            const clients = subscribers.get(sessionId);
+            if (!clients) return 0;
+            const message = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+            for (const res of clients) res.write(message);
+            return clients.size;
+        },
+
+        stats() {
+            let connections = 0;
+            for (const clients of subscribers.values()) connections += clients.size;
+            return { sessions: subscribers.size, connections };
+        },
+
+        close() {
+            clearInterval(heartbeat);
+            for (const clients of subscribers.values()) {
+                for (const res of clients) res.end();
+            }
+            subscribers.clear();
+        }
+    };
+}
@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { EventEmitter } from 'node:events';
+import { createStreamHub } from './streamHub.js';
+
+// A subscriber's request and the stream written to its response
+function client() {
+    const req = new EventEmitter();
+    const res = {
+        headers: {},
+        chunks: [],
+        ended: false,
+        set(headers) { Object.assign(this.headers, headers); },
+        flushHeaders() {},
+        write(chunk) { this.chunks.push(chunk); },
+        end() { this.ended = true; }
+    };
+    return { req, res };
+}
+
+test('published events reach every subscriber of the session, and only them', () => {
+    const hub = createStreamHub();
+    const [a, b, other] = [client(), client(), client()];
+    hub.subscribe('s1', a.req, a.res);
+    hub.subscribe('s1', b.req, b.res);
+    hub.subscribe('s2', other.req, other.res);
+
+    assert.strictEqual(a.res.headers['Content-Type'], 'text/event-stream');
+    assert.strictEqual(hub.publish('s1', 'adaptation', { strategy: 'SMART_PAUSE' }), 2);
+    assert.strictEqual(hub.publish('nobody', 'adaptation', {}), 0);
+
+    const message = 'event: adaptation\ndata: {"strategy":"SMART_PAUSE"}\n\n';
+    assert.deepStrictEqual(a.res.chunks, ['retry: 3000\n\n', message]);
+    assert.deepStrictEqual(b.res.chunks, ['retry: 3000\n\n', message]);
+    assert.deepStrictEqual(other.res.chunks, ['retry: 3000\n\n']);
+    hub.close();
+});
+
+test('disconnected subscribers are dropped and close ends the rest', () => {
+    const hub = createStreamHub();
+    const [a, b] = [client(), client()];
+    hub.subscribe('s1', a.req, a.res);
+    hub.subscribe('s2', b.req, b.res);
+    assert.deepStrictEqual(hub.stats(), { sessions: 2, connections: 2 });
+
+    a.req.emit('close');
+    assert.deepStrictEqual(hub.stats(), { sessions: 1, connections: 1 });
+    assert.strictEqual(hub.publish('s1', 'adaptation', {}), 0);
+
+    hub.close();
+    assert.strictEqual(b.res.ended, true);
+    assert.deepStrictEqual(hub.stats(), { sessions: 0, connections: 0 });
+});
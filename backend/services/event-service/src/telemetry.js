@@ -0,0 +1,357 @@
+/**
+ * TELEMETRY
+ *
+ * Trace context, structured logs and optional span export, shared by all five
+ * services. The event-service holds the canonical file; gateway, data-service,
+ * cognitive-service and adaptation-service carry identical copies (each image
+ * only contains its own src/), which telemetry.test.js keeps in sync.
+ *
+ * - Context travels between services in the W3C `traceparent` header. The
+ *   gateway starts a new trace for every API request; the services continue
+ *   the trace of the request they were called with.
+ * - Inside a service the current span lives in AsyncLocalStorage, so log lines
+ *   and outgoing axios calls pick it up without passing it around.
+ * - Every line on stdout is one JSON object ({ time, level, service, msg,
+ *   traceId, spanId, ... }); requests and outgoing calls log their durationMs.
+ *   Each service creates its telemetry in src/log.js, which its other modules
+ *   import instead of using console.
+ * - With an OTLP endpoint (e.g. an OpenTelemetry collector on :4318) finished
+ *   spans are batched to <endpoint>/v1/traces as OTLP/HTTP JSON.
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomBytes } from 'node:crypto';
+import { performance } from 'node:perf_hooks';
+
+// OTLP span kinds
+export const SPAN_KIND = { INTERNAL: 1, SERVER: 2, CLIENT: 3, CONSUMER: 5 };
+
+const STATUS = { OK: 1, ERROR: 2 };
+
+const TRACEPARENT = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+/**
+ * Trace context from a traceparent header, or null when missing or malformed
+ *
+ * @returns { traceId, spanId, flags }
+ */
+export function parseTraceparent(header) {
+    const match = TRACEPARENT.exec(String(header || '').trim().toLowerCase());
+    if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) return null;
+    return { traceId: match[1], spanId: match[2], flags: match[3] };
+}
+
+export const formatTraceparent = ({ traceId, spanId, flags = '01' }) => `00-${traceId}-${spanId}-${flags}`;
+
+const round = (ms) => Math.round(ms * 100) / 100;
+
+// OTLP wants epoch nanoseconds; 64-bit integers are sent as strings
+const nanos = (ms) => String(BigInt(Math.round(ms * 1000)) * 1000n);
+
+function otlpValue(value) {
+    if (typeof value === 'boolean') return { boolValue: value };
+    if (Number.isInteger(value)) return { intValue: String(value) };
+    if (typeof value === 'number') return { doubleValue: value };
+    return { stringValue: String(value) };
+}
+
+const otlpAttributes = (attributes) => Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ key, value: otlpValue(value) }));
+
+/**
+ * Create the telemetry of a service
+ *
+ * @param options.service - service.name on logs and spans
+ * @param options.exporterUrl - OTLP/HTTP base URL; spans are only kept when set
+ * @param options.trustIncoming - Continue traces from incoming traceparent headers (false at the edge)
+ * @param options.flushIntervalMs - How often buffered spans are exported
+ * @param options.maxQueuedSpans - Spans buffered while the collector is unreachable; the oldest are dropped
+ * @param options.write - Sink for log lines (console.log); setWrite() swaps it later
+ * @param options.fetch - HTTP client behind tracedFetch and the exporter, injectable for tests
+ * @param options.now - Clock in epoch milliseconds, injectable for tests
+ */
+export function createTelemetry({
+    service,
+    exporterUrl = null,
+    trustIncoming = true,
+    flushIntervalMs = 5000,
+    maxQueuedSpans = 2048,
+    write = (line) => console.log(line),
+    fetch = globalThis.fetch,
+    now = () => performance.timeOrigin + performance.now()
+}) {
+    const storage = new AsyncLocalStorage();
+    const tracesUrl = exporterUrl ? `${exporterUrl.replace(/\/+$/, '')}/v1/traces` : null;
+    let queued = [];
+    let timer = null;
+
+    function emit(level, msg, fields = {}) {
+        const span = storage.getStore();
+        const { error, ...rest } = fields;
+        write(JSON.stringify({
+            time: new Date().toISOString(),
+            level,
+            service,
+            msg,
+            ...(span && { traceId: span.traceId, spanId: span.spanId }),
+            ...rest,
+            ...(error && { error: String(error.message || error) })
+        }));
+    }
+
+    const log = {
+        info: (msg, fields) => emit('info', msg, fields),
+        warn: (msg, fields) => emit('warn', msg, fields),
+        error: (msg, fields) => emit('error', msg, fields)
+    };
+
+    /**
+     * Start a span under the given parent context (a new trace without one).
+     * end() records it once; the returned duration is in milliseconds.
+     */
+    function startSpan(name, kind, parent, attributes = {}) {
+        const span = {
+            name,
+            kind,
+            traceId: parent?.traceId || randomBytes(16).toString('hex'),
+            spanId: randomBytes(8).toString('hex'),
+            parentSpanId: parent?.spanId || null,
+            flags: parent?.flags || '01',
+            start: now(),
+            attributes: { ...attributes },
+            ended: false
+        };
+        span.end = (extra = {}, error = null) => {
+            if (span.ended) return 0;
+            span.ended = true;
+            const end = now();
+            Object.assign(span.attributes, extra);
+            if (tracesUrl && span.flags.endsWith('1')) {
+                queued.push({
+                    traceId: span.traceId,
+                    spanId: span.spanId,
+                    ...(span.parentSpanId && { parentSpanId: span.parentSpanId }),
+                    name: span.name,
+                    kind: span.kind,
+                    startTimeUnixNano: nanos(span.start),
+                    endTimeUnixNano: nanos(end),
+                    attributes: otlpAttributes(span.attributes),
+                    status: error
+                        ? { code: STATUS.ERROR, message: String(error.message || error).slice(0, 500) }
+                        : { code: STATUS.OK }
+                });
+                if (queued.length > maxQueuedSpans) queued = queued.slice(-maxQueuedSpans);
+            }
+            return round(end - span.start);
+        };
+        return span;
+    }
+
+    /**
+     * Express middleware: opens the server span of the request and logs it when the response is done.
+     * Requests forwarded by a proxy carry this span as their parent.
+     */
+    function middleware(req, res, next) {
+        const parent = trustIncoming ? parseTraceparent(req.get('traceparent')) : null;
+        const span = startSpan(req.method, SPAN_KIND.SERVER, parent, {
+            'http.request.method': req.method,
+            'url.path': req.path
+        });
+
+        if (!trustIncoming) delete req.headers.tracestate;
+        req.headers.traceparent = formatTraceparent(span);
+        res.setHeader('x-trace-id', span.traceId);
+
+        res.once('close', () => {
+            // Route templates keep span names low-cardinality (session ids stay in url.path)
+            const route = req.route ? `${req.baseUrl}${req.route.path}` : null;
+            if (route) span.name = `${req.method} ${route}`;
+            const status = res.statusCode;
+            const durationMs = span.end(
+                { 'http.response.status_code': status, ...(route && { 'http.route': route }) },
+                status >= 500 ? `HTTP ${status}` : null
+            );
+            const fields = {
+                traceId: span.traceId,
+                spanId: span.spanId,
+                method: req.method,
+                path: req.path,
+                status,
+                durationMs,
+                ...(!res.writableFinished && { aborted: true })
+            };
+            emit(status >= 500 ? 'error' : 'info', 'request', fields);
+        });
+
+        storage.run(span, next);
+    }
+
+    /**
+     * Run fn inside a new span, a child of the current one or of a traceparent
+     * carried elsewhere (e.g. on a queued job). Failures mark the span and are rethrown.
+     *
+     * @param options.parent - traceparent header value to continue instead of the current span
+     * @param options.kind - SPAN_KIND, INTERNAL by default
+     * @param options.attributes - Span attributes
+     */
+    async function withSpan(name, fn, { parent, kind = SPAN_KIND.INTERNAL, attributes } = {}) {
+        const context = parent === undefined ? storage.getStore() : parseTraceparent(parent);
+        const span = startSpan(name, kind, context, attributes);
+        try {
+            const result = await storage.run(span, () => fn(span));
+            span.end();
+            return result;
+        } catch (error) {
+            span.end({}, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Client span of an outgoing call under the current span. Query strings may
+     * hold user data, so they are kept out of logs and spans.
+     */
+    function startClientSpan(method, target) {
+        const url = new URL(target);
+        return startSpan(`${method} ${url.pathname}`, SPAN_KIND.CLIENT, storage.getStore(), {
+            'http.request.method': method,
+            'url.full': `${url.origin}${url.pathname}`,
+            'server.address': url.hostname
+        });
+    }
+
+    function endClientSpan(span, status, error) {
+        const failed = !status || status >= 500;
+        const durationMs = span.end({ 'http.response.status_code': status }, failed ? error || `HTTP ${status}` : null);
+        emit(failed ? 'warn' : 'info', 'outgoing request', {
+            traceId: span.traceId,
+            spanId: span.spanId,
+            method: span.attributes['http.request.method'],
+            url: span.attributes['url.full'],
+            status: status ?? null,
+            durationMs,
+            ...(!status && error && { error })
+        });
+    }
+
+    /**
+     * Trace the calls of an axios instance: each becomes a client span of the current
+     * span, sends its traceparent and logs its status and durationMs.
+     */
+    function instrumentAxios(instance) {
+        const SPAN = Symbol('telemetry span');
+
+        instance.interceptors.request.use((config) => {
+            const method = String(config.method || 'get').toUpperCase();
+            const span = startClientSpan(method, new URL(config.url, config.baseURL || 'http://localhost').href);
+            config.headers.traceparent = formatTraceparent(span);
+            config[SPAN] = span;
+            return config;
+        });
+
+        instance.interceptors.response.use(
+            (response) => {
+                endClientSpan(response.config[SPAN], response.status, null);
+                return response;
+            },
+            (error) => {
+                const span = error.config?.[SPAN];
+                if (span) endClientSpan(span, error.response?.status, error);
+                throw error;
+            }
+        );
+        return instance;
+    }
+
+    /**
+     * fetch() traced like an instrumented axios call
+     */
+    async function tracedFetch(url, init = {}) {
+        const span = startClientSpan(String(init.method || 'GET').toUpperCase(), String(url));
+        try {
+            const response = await fetch(url, {
+                ...init,
+                headers: { ...init.headers, traceparent: formatTraceparent(span) }
+            });
+            endClientSpan(span, response.status, null);
+            return response;
+        } catch (error) {
+            endClientSpan(span, undefined, error);
+            throw error;
+        }
+    }
+
+    /**
+     * traceparent of the current span, to carry the trace across a queue or timer
+     */
+    function currentTraceparent() {
+        const span = storage.getStore();
+        return span ? formatTraceparent(span) : null;
+    }
+
+    /**
+     * Send the buffered spans to the collector. Failures drop the batch and are logged, never thrown.
+     */
+    async function flush() {
+        if (!tracesUrl || queued.length === 0) return;
+        const spans = queued;
+        queued = [];
+
+        const body = {
+            resourceSpans: [{
+                resource: { attributes: otlpAttributes({ 'service.name': service }) },
+                scopeSpans: [{ scope: { name: 'adaptive-cognitive-audio' }, spans }]
+            }]
+        };
+        try {
+            const response = await fetch(tracesUrl, {
+                method: 'POST',
+                headers: { 'content-type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            if (!response.ok) throw new Error(`collector answered ${response.status}`);
+        } catch (error) {
+            // Not emitted under a span: a failing collector must not spawn more spans to export
+            write(JSON.stringify({
+                time: new Date().toISOString(),
+                level: 'warn',
+                service,
+                msg: 'span export failed',
+                dropped: spans.length,
+                error: String(error.message || error)
+            }));
+        }
+    }
+
+    if (tracesUrl && flushIntervalMs > 0) {
+        timer = setInterval(flush, flushIntervalMs);
+        timer.unref();
+    }
+
+    return {
+        log,
+        middleware,
+        withSpan,
+        instrumentAxios,
+        tracedFetch,
+        currentTraceparent,
+        flush,
+
+        /**
+         * Send log lines to another sink (e.g. a silent one during offline replays)
+         *
+         * @returns The previous sink, to restore it afterwards
+         */
+        setWrite(sink) {
+            const previous = write;
+            write = sink;
+            return previous;
+        },
+
+        async shutdown() {
+            if (timer) clearInterval(timer);
+            await flush();
+        }
+    };
+}
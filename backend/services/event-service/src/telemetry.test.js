@@ -0,0 +1,212 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { readdirSync, readFileSync } from 'node:fs';
+import express from 'express';
+import axios from 'axios';
+import { createTelemetry, formatTraceparent, parseTraceparent } from './telemetry.js';
+
+function listen(app) {
+    return new Promise((resolve) => {
+        const server = app.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+const urlOf = (server) => `http://127.0.0.1:${server.address().port}`;
+
+function collector() {
+    const batches = [];
+    return {
+        batches,
+        spans: () => batches.flatMap(batch => batch.resourceSpans[0].scopeSpans[0].spans),
+        fetch: async (url, { body }) => {
+            batches.push(JSON.parse(body));
+            return { ok: true, status: 200 };
+        }
+    };
+}
+
+test('traceparent headers are parsed strictly', () => {
+    const context = { traceId: '4bf92f3577b34da6a3ce929d0e0e4736', spanId: '00f067aa0ba902b7', flags: '01' };
+    assert.deepStrictEqual(parseTraceparent(formatTraceparent(context)), context);
+    assert.strictEqual(parseTraceparent('00-00000000000000000000000000000000-00f067aa0ba902b7-01'), null);
+    assert.strictEqual(parseTraceparent('01-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01'), null);
+    assert.strictEqual(parseTraceparent('garbage'), null);
+    assert.strictEqual(parseTraceparent(undefined), null);
+});
+
+test('one trace follows a request from the edge through the services it calls', async () => {
+    const lines = [];
+    const write = (line) => lines.push(JSON.parse(line));
+    const spans = collector();
+
+    const service = createTelemetry({ service: 'data-service', write, exporterUrl: 'http://collector:4318', fetch: spans.fetch });
+    const downstream = express();
+    downstream.use(service.middleware);
+    downstream.get('/sessions/:sessionId', (req, res) => {
+        service.log.info('loaded session');
+        res.json({ sessionId: req.params.sessionId });
+    });
+    const downstreamServer = await listen(downstream);
+
+    const edge = createTelemetry({ service: 'gateway', write, trustIncoming: false, exporterUrl: 'http://collector:4318', fetch: spans.fetch });
+    const client = edge.instrumentAxios(axios.create({ baseURL: urlOf(downstreamServer) }));
+    const upstream = express();
+    upstream.use(edge.middleware);
+    upstream.get('/api/sessions/:sessionId', async (req, res) => {
+        const { data } = await client.get(`/sessions/${req.params.sessionId}?token=secret`);
+        res.json(data);
+    });
+    const upstreamServer = await listen(upstream);
+
+    try {
+        // A client-chosen trace is not continued at the edge
+        const spoofed = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+        const response = await axios.get(`${urlOf(upstreamServer)}/api/sessions/s1`, { headers: { traceparent: spoofed } });
+        assert.deepStrictEqual(response.data, { sessionId: 's1' });
+        const traceId = response.headers['x-trace-id'];
+        assert.match(traceId, /^[0-9a-f]{32}$/);
+        assert.notStrictEqual(traceId, '4bf92f3577b34da6a3ce929d0e0e4736');
+
+        // Server spans are logged once their response has closed
+        await new Promise(resolve => setImmediate(resolve));
+        assert.ok(lines.every(line => line.traceId === traceId), 'every line carries the trace');
+
+        const requests = lines.filter(line => line.msg === 'request');
+        assert.deepStrictEqual(requests.map(({ service: name, path, status }) => ({ service: name, path, status })), [
+            { service: 'data-service', path: '/sessions/s1', status: 200 },
+            { service: 'gateway', path: '/api/sessions/s1', status: 200 }
+        ]);
+        assert.ok(requests.every(line => typeof line.durationMs === 'number'));
+
+        const outgoing = lines.find(line => line.msg === 'outgoing request');
+        assert.strictEqual(outgoing.url, `${urlOf(downstreamServer)}/sessions/s1`, 'query strings are not logged');
+        assert.strictEqual(lines.find(line => line.msg === 'loaded session').service, 'data-service');
+
+        await service.flush();
+        await edge.flush();
+        const byName = Object.fromEntries(spans.spans().map(span => [span.name, span]));
+        assert.deepStrictEqual(Object.keys(byName).sort(), ['GET /api/sessions/:sessionId', 'GET /sessions/:sessionId', 'GET /sessions/s1']);
+        // gateway server span -> gateway client span -> data-service server span
+        assert.strictEqual(byName['GET /api/sessions/:sessionId'].parentSpanId, undefined);
+        assert.strictEqual(byName['GET /sessions/s1'].parentSpanId, byName['GET /api/sessions/:sessionId'].spanId);
+        assert.strictEqual(byName['GET /sessions/:sessionId'].parentSpanId, byName['GET /sessions/s1'].spanId);
+        assert.strictEqual(byName['GET /sessions/s1'].kind, 3);
+        assert.deepStrictEqual(spans.batches[0].resourceSpans[0].resource.attributes, [
+            { key: 'service.name', value: { stringValue: 'data-service' } }
+        ]);
+    } finally {
+        upstreamServer.close();
+        downstreamServer.close();
+    }
+});
+
+test('work carried across a queue continues the trace that started it', async () => {
+    const lines = [];
+    const spans = collector();
+    const telemetry = createTelemetry({
+        service: 'event-service',
+        write: (line) => lines.push(JSON.parse(line)),
+        exporterUrl: 'http://collector:4318/',
+        fetch: spans.fetch
+    });
+
+    const trace = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+    await telemetry.withSpan('orchestrate', async () => {
+        telemetry.log.info('analyzing');
+        assert.match(telemetry.currentTraceparent(), /^00-4bf92f3577b34da6a3ce929d0e0e4736-[0-9a-f]{16}-01$/);
+    }, { parent: trace });
+
+    await assert.rejects(telemetry.withSpan('orchestrate', async () => {
+        throw new Error('cognitive-service unavailable');
+    }, { parent: null }));
+
+    assert.strictEqual(lines[0].traceId, '4bf92f3577b34da6a3ce929d0e0e4736');
+    assert.strictEqual(telemetry.currentTraceparent(), null);
+
+    await telemetry.flush();
+    const [ok, failed] = spans.spans();
+    assert.strictEqual(ok.parentSpanId, '00f067aa0ba902b7');
+    assert.deepStrictEqual(ok.status, { code: 1 });
+    assert.notStrictEqual(failed.traceId, ok.traceId);
+    assert.deepStrictEqual(failed.status, { code: 2, message: 'cognitive-service unavailable' });
+});
+
+test('fetch calls are traced like axios calls', async () => {
+    const lines = [];
+    const sent = [];
+    const telemetry = createTelemetry({
+        service: 'adaptation-service',
+        write: (line) => lines.push(JSON.parse(line)),
+        fetch: async (url, init) => {
+            sent.push(init.headers);
+            return { ok: false, status: 503 };
+        }
+    });
+
+    await telemetry.withSpan('decide', () => telemetry.tracedFetch('http://data-service:3005/bandits/user%3Au1?x=1', {
+        headers: { 'x-internal-token': 't' }
+    }), { parent: '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01' });
+
+    assert.strictEqual(sent[0]['x-internal-token'], 't');
+    assert.match(sent[0].traceparent, /^00-4bf92f3577b34da6a3ce929d0e0e4736-[0-9a-f]{16}-01$/);
+    const [line] = lines;
+    assert.deepStrictEqual(
+        { level: line.level, msg: line.msg, url: line.url, status: line.status, traceId: line.traceId },
+        {
+            level: 'warn',
+            msg: 'outgoing request',
+            url: 'http://data-service:3005/bandits/user%3Au1',
+            status: 503,
+            traceId: '4bf92f3577b34da6a3ce929d0e0e4736'
+        }
+    );
+    assert.strictEqual(sent[0].traceparent.split('-')[2], line.spanId);
+});
+
+test('an unreachable collector drops the batch with a warning', async () => {
+    const lines = [];
+    const telemetry = createTelemetry({
+        service: 'event-service',
+        write: (line) => lines.push(JSON.parse(line)),
+        exporterUrl: 'http://collector:4318',
+        fetch: async () => { throw new Error('connect ECONNREFUSED'); }
+    });
+
+    await telemetry.withSpan('orchestrate', async () => {});
+    await telemetry.shutdown();
+    await telemetry.flush();
+
+    assert.deepStrictEqual(lines.map(({ level, msg, dropped, error }) => ({ level, msg, dropped, error })), [
+        { level: 'warn', msg: 'span export failed', dropped: 1, error: 'connect ECONNREFUSED' }
+    ]);
+});
+
+test('log lines can be sent to another sink and back', () => {
+    const lines = [];
+    const telemetry = createTelemetry({ service: 'adaptation-service', write: (line) => lines.push(JSON.parse(line).msg) });
+
+    telemetry.log.info('before');
+    const previous = telemetry.setWrite(() => {});
+    telemetry.log.info('silenced');
+    telemetry.setWrite(previous);
+    telemetry.log.info('after');
+
+    assert.deepStrictEqual(lines, ['before', 'after']);
+});
+
+test('every service carries an identical copy of telemetry.js', () => {
+    const canonical = readFileSync(new URL('./telemetry.js', import.meta.url), 'utf8');
+    // Every service directory, so a new service cannot ship without its copy
+    const services = readdirSync(new URL('../../', import.meta.url), { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && entry.name !== 'event-service')
+        .map(entry => entry.name);
+    assert.deepStrictEqual(services.sort(), ['adaptation-service', 'cognitive-service', 'data-service', 'gateway']);
+
+    for (const service of services) {
+        assert.strictEqual(
+            readFileSync(new URL(`../../${service}/src/telemetry.js`, import.meta.url), 'utf8'),
+            canonical,
+            `${service}/src/telemetry.js differs from the event-service copy`
+        );
+    }
+});
@@ -0,0 +1,267 @@
+/**
+ * DURABLE WORK QUEUE
+ *
+ * File-backed job queue between event ingestion and the cognitive pipeline.
+ * Every accepted job is written to disk before enqueue() resolves, so a crash
+ * or a downstream outage never loses work:
+ * - Failed jobs are retried with exponential backoff
+ * - Jobs that exhaust their attempts move to a dead-letter store
+ * - Dead letters are kept until they are requeued once the downstream problem is fixed
+ *
+ * Jobs can be partitioned by key (e.g. sessionId). Jobs with the same key never
+ * run concurrently and run in the order they were queued, and while a job for a key
+ * is waiting, newer jobs for that key are coalesced into it - a burst of events
+ * becomes a single run over the latest payload. Jobs queued with `coalesce: false`
+ * (e.g. a session ending) always get a run of their own.
+ *
+ * A job can carry the trace context (W3C traceparent) of the request that queued it,
+ * so its run, even after a restart, is traced as part of that request.
+ */
+
+import fs from 'node:fs/promises';
+import { existsSync, readFileSync } from 'node:fs';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { log } from './log.js';
+import { parseTraceparent } from './telemetry.js';
+
+// Log fields tying a job's messages to the trace of the request that queued it
+function traceOf(job) {
+    const context = parseTraceparent(job.trace);
+    return context ? { traceId: context.traceId } : {};
+}
+
+/**
+ * Create a work queue
+ *
+ * @param options.filePath - JSON file the queue persists to (omit for in-memory only)
+ * @param options.handler - async (payload, job) => void; throwing marks the attempt failed
+ * @param options.maxAttempts - Attempts before a job is dead-lettered
+ * @param options.baseDelayMs - Backoff after the first failure (doubles per attempt)
+ * @param options.maxDelayMs - Upper bound for the backoff
+ * @param options.pollIntervalMs - How often the consumer looks for due jobs
+ * @param options.deadLetterAlertAt - Dead letters from which every new one raises an alert;
+ *   none are ever dropped
+ * @param options.keyOf - payload => key; jobs sharing a key are serialized and coalesced
+ * @param options.coalesceWindowMs - Delay before a new keyed job runs, so bursts collapse into it
+ * @param options.concurrency - Max jobs running at once (always one per key)
+ * @param options.now - Clock, injectable for tests
+ */
+export function createWorkQueue({
+    filePath,
+    handler,
+    maxAttempts = 8,
+    baseDelayMs = 1000,
+    maxDelayMs = 5 * 60 * 1000,
+    pollIntervalMs = 250,
+    deadLetterAlertAt = 1000,
+    keyOf = null,
+    coalesceWindowMs = 0,
+    concurrency = 1,
+    now = Date.now
+}) {
+    const resolvedPath = filePath ? path.resolve(filePath) : null;
+    const state = resolvedPath && existsSync(resolvedPath)
+        ? JSON.parse(readFileSync(resolvedPath, 'utf8'))
+        : { pending: [], deadLetter: [] };
+
+    const inFlight = new Set();
+    const inFlightKeys = new Set();
+    let coalescedTotal = 0;
+    let timer = null;
+    let running = false;
+    let stopped = false;
+    let pendingWrite = Promise.resolve();
+
+    // Writes are chained so snapshots never interleave. A failed write is reported to
+    // its caller only; the next write starts afresh and stores the whole state again.
+    const persist = () => {
+        if (!resolvedPath) return Promise.resolve();
+        const write = pendingWrite.catch(() => {}).then(async () => {
+            await fs.mkdir(path.dirname(resolvedPath), { recursive: true });
+            const tmpPath = `${resolvedPath}.tmp`;
+            await fs.writeFile(tmpPath, JSON.stringify(state));
+            await fs.rename(tmpPath, resolvedPath);
+        });
+        pendingWrite = write;
+        return write;
+    };
+
+    // Unkeyed jobs lock only themselves
+    const lockKey = (job) => job.key ?? job.id;
+
+    const backoff = (attempts) => Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1));
+
+    async function runJob(job) {
+        inFlight.add(job.id);
+        inFlightKeys.add(lockKey(job));
+        try {
+            await handler(job.payload, job);
+            state.pending = state.pending.filter(j => j.id !== job.id);
+        } catch (error) {
+            job.attempts += 1;
+            job.lastError = String(error.message || error).replaceAll(/[\r\n]/g, '').slice(0, 500);
+
+            if (job.attempts >= maxAttempts) {
+                state.pending = state.pending.filter(j => j.id !== job.id);
+                state.deadLetter.push({ ...job, failedAt: now() });
+                log.error('job dead-lettered', {
+                    ...traceOf(job),
+                    jobId: job.id,
+                    attempts: job.attempts,
+                    error: job.lastError
+                });
+                if (state.deadLetter.length >= deadLetterAlertAt) {
+                    log.error('dead letters piling up, requeue or clear them', {
+                        deadLetter: state.deadLetter.length,
+                        alertAt: deadLetterAlertAt
+                    });
+                }
+            } else {
+                job.nextAttemptAt = now() + backoff(job.attempts);
+                log.warn('job failed, retrying', {
+                    ...traceOf(job),
+                    jobId: job.id,
+                    attempt: job.attempts,
+                    maxAttempts,
+                    retryInMs: backoff(job.attempts),
+                    error: job.lastError
+                });
+            }
+        } finally {
+            inFlight.delete(job.id);
+            inFlightKeys.delete(lockKey(job));
+        }
+        await persist();
+    }
+
+    // A key's jobs run in queue order: one that is not due yet holds back the ones behind it
+    const nextDueJob = () => {
+        const blocked = new Set(inFlightKeys);
+        for (const job of state.pending) {
+            if (blocked.has(lockKey(job))) continue;
+            if (job.nextAttemptAt <= now()) return job;
+            blocked.add(lockKey(job));
+        }
+        return undefined;
+    };
+
+    // Start due jobs while slots are free. Every job that finishes starts the next due one,
+    // so a slow job holds only its own slot (and key), never the jobs queued after it.
+    const active = new Set();
+    const fill = () => {
+        if (stopped) return;
+        let job = nextDueJob();
+        while (job && inFlight.size < concurrency) {
+            const run = runJob(job)
+                .catch(error => log.error('queue consumer error', { error }))
+                .finally(() => {
+                    active.delete(run);
+                    fill();
+                });
+            active.add(run);
+            job = nextDueJob();
+        }
+    };
+
+    /**
+     * Run every job that is currently due, up to `concurrency` at a time;
+     * resolves once no job is running
+     */
+    async function processDue() {
+        fill();
+        while (active.size > 0) await Promise.race(active);
+    }
+
+    const schedule = () => {
+        if (!running) return;
+        timer = setTimeout(() => {
+            fill();
+            schedule();
+        }, pollIntervalMs);
+    };
+
+    return {
+        /**
+         * Add a job; resolves once it is durably stored
+         *
+         * @param options.trace - traceparent to run the job under; a coalesced job takes the newest
+         * @param options.coalesce - false to never merge this job with another one of its key
+         */
+        async enqueue(payload, { trace = null, coalesce = true } = {}) {
+            const key = keyOf ? keyOf(payload) : null;
+
+            // Newer payloads replace the payload of the key's last job while it is still waiting
+            const last = key === null ? null : state.pending.findLast(j => j.key === key);
+            const waiting = coalesce && last && !inFlight.has(last.id) && last.coalesce !== false ? last : null;
+            if (waiting) {
+                waiting.payload = payload;
+                waiting.trace = trace;
+                waiting.coalesced = (waiting.coalesced || 0) + 1;
+                coalescedTotal += 1;
+                await persist();
+                return waiting.id;
+            }
+
+            const job = {
+                id: randomUUID(),
+                key,
+                payload,
+                trace,
+                ...(!coalesce && { coalesce: false }),
+                attempts: 0,
+                coalesced: 0,
+                enqueuedAt: now(),
+                nextAttemptAt: now() + (key === null ? 0 : coalesceWindowMs)
+            };
+            state.pending.push(job);
+            await persist();
+            return job.id;
+        },
+
+        start() {
+            if (running) return;
+            running = true;
+            stopped = false;
+            log.info('queue consumer started', { pending: state.pending.length, ...(resolvedPath && { path: resolvedPath }) });
+            schedule();
+        },
+
+        stop() {
+            running = false;
+            stopped = true;
+            if (timer) clearTimeout(timer);
+            return pendingWrite.catch(() => {});
+        },
+
+        processDue,
+
+        /**
+         * Move every dead-lettered job back to the pending queue
+         */
+        async requeueDeadLetters() {
+            const jobs = state.deadLetter.map(({ failedAt: _failedAt, ...job }) => ({
+                ...job,
+                attempts: 0,
+                nextAttemptAt: now()
+            }));
+            state.pending.push(...jobs);
+            state.deadLetter = [];
+            await persist();
+            return jobs.length;
+        },
+
+        status() {
+            const oldest = state.pending.reduce((min, j) => Math.min(min, j.enqueuedAt), Infinity);
+            return {
+                pending: state.pending.length,
+                inFlight: inFlight.size,
+                retrying: state.pending.filter(j => j.attempts > 0).length,
+                deadLetter: state.deadLetter.length,
+                coalescedTotal,
+                oldestPendingAt: Number.isFinite(oldest) ? oldest : null,
+                recentDeadLetters: state.deadLetter.slice(-20)
+            };
+        }
+    };
+}
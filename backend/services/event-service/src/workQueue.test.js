@@ -0,0 +1,226 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createWorkQueue } from './workQueue.js';
+
+function tempQueueFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-queue-'));
+    return path.join(dir, 'queue.json');
+}
+
+test('failed jobs are retried with backoff until they succeed', async () => {
+    let clock = 0;
+    let calls = 0;
+    const queue = createWorkQueue({
+        handler: async () => {
+            calls += 1;
+            if (calls < 3) throw new Error('cognitive-service unavailable');
+        },
+        baseDelayMs: 100,
+        now: () => clock
+    });
+
+    await queue.enqueue({ eventId: 'e1' });
+    await queue.processDue();
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(queue.status().retrying, 1);
+
+    // Not due yet
+    clock = 50;
+    await queue.processDue();
+    assert.strictEqual(calls, 1);
+
+    clock = 100;
+    await queue.processDue();
+    clock = 300;
+    await queue.processDue();
+    assert.strictEqual(calls, 3);
+    assert.strictEqual(queue.status().pending, 0);
+});
+
+test('jobs that exhaust their attempts are dead-lettered and can be requeued', async () => {
+    let clock = 0;
+    let healthy = false;
+    const queue = createWorkQueue({
+        handler: async () => {
+            if (!healthy) throw new Error('down');
+        },
+        maxAttempts: 2,
+        baseDelayMs: 10,
+        now: () => clock
+    });
+
+    await queue.enqueue({ eventId: 'e1' });
+    await queue.processDue();
+    clock = 10;
+    await queue.processDue();
+
+    assert.strictEqual(queue.status().pending, 0);
+    assert.strictEqual(queue.status().deadLetter, 1);
+    assert.strictEqual(queue.status().recentDeadLetters[0].lastError, 'down');
+
+    healthy = true;
+    assert.strictEqual(await queue.requeueDeadLetters(), 1);
+    await queue.processDue();
+    assert.strictEqual(queue.status().pending, 0);
+    assert.strictEqual(queue.status().deadLetter, 0);
+});
+
+test('dead letters past the alert threshold are kept', async () => {
+    const queue = createWorkQueue({
+        handler: async () => { throw new Error('down'); },
+        maxAttempts: 1,
+        deadLetterAlertAt: 2
+    });
+
+    for (const eventId of ['e1', 'e2', 'e3']) {
+        await queue.enqueue({ eventId });
+    }
+    await queue.processDue();
+
+    assert.strictEqual(queue.status().deadLetter, 3);
+    assert.strictEqual(await queue.requeueDeadLetters(), 3);
+});
+
+test('pending jobs survive a restart', async () => {
+    const filePath = tempQueueFile();
+    const first = createWorkQueue({ filePath, handler: async () => { throw new Error('crash'); } });
+    await first.enqueue({ eventId: 'e1' });
+    await first.stop();
+
+    const processed = [];
+    const second = createWorkQueue({ filePath, handler: async (payload) => { processed.push(payload.eventId); } });
+    assert.strictEqual(second.status().pending, 1);
+    await second.processDue();
+    await second.stop();
+
+    assert.deepStrictEqual(processed, ['e1']);
+    fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+});
+
+test('a failed write does not block the writes after it', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-queue-'));
+    // A file where the queue's directory should be makes the write fail
+    const blocker = path.join(dir, 'queue');
+    fs.writeFileSync(blocker, '');
+    const queue = createWorkQueue({ filePath: path.join(blocker, 'queue.json'), handler: async () => {} });
+
+    await assert.rejects(queue.enqueue({ eventId: 'e1' }));
+    fs.rmSync(blocker);
+    await queue.enqueue({ eventId: 'e2' });
+
+    const stored = JSON.parse(fs.readFileSync(path.join(blocker, 'queue.json'), 'utf8'));
+    assert.deepStrictEqual(stored.pending.map(job => job.payload.eventId), ['e1', 'e2']);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('jobs for the same key never overlap and bursts coalesce', async () => {
+    let active = 0;
+    let maxActive = 0;
+    const runs = [];
+    const queue = createWorkQueue({
+        handler: async (payload) => {
+            active += 1;
+            maxActive = Math.max(maxActive, active);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            runs.push(payload);
+            active -= 1;
+        },
+        keyOf: (payload) => payload.sessionId,
+        concurrency: 4
+    });
+
+    for (let i = 0; i < 10; i++) {
+        await queue.enqueue({ sessionId: 's1', seq: i });
+    }
+    await queue.enqueue({ sessionId: 's2', seq: 0 });
+
+    assert.strictEqual(queue.status().pending, 2);
+    assert.strictEqual(queue.status().coalescedTotal, 9);
+
+    await queue.processDue();
+    assert.deepStrictEqual(runs.filter(r => r.sessionId === 's1').map(r => r.seq), [9]);
+    assert.strictEqual(runs.length, 2);
+    assert.strictEqual(maxActive, 2);
+});
+
+test('a slow job does not hold back the jobs queued after it', async () => {
+    let release;
+    const slow = new Promise(resolve => { release = resolve; });
+    const runs = [];
+    const queue = createWorkQueue({
+        handler: async (payload) => {
+            if (payload.sessionId === 'slow') await slow;
+            runs.push(payload.sessionId);
+        },
+        keyOf: (payload) => payload.sessionId,
+        concurrency: 2
+    });
+
+    for (const sessionId of ['slow', 'a', 'b', 'c']) {
+        await queue.enqueue({ sessionId });
+    }
+    const processing = queue.processDue();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.deepStrictEqual(runs, ['a', 'b', 'c']);
+
+    release();
+    await processing;
+    assert.deepStrictEqual(runs, ['a', 'b', 'c', 'slow']);
+});
+
+test('events arriving during a run queue one follow-up run for that key', async () => {
+    const runs = [];
+    const queue = createWorkQueue({
+        handler: async (payload) => {
+            runs.push(payload.seq);
+            if (payload.seq === 0) {
+                await queue.enqueue({ sessionId: 's1', seq: 1 });
+                await queue.enqueue({ sessionId: 's1', seq: 2 });
+            }
+        },
+        keyOf: (payload) => payload.sessionId,
+        concurrency: 4
+    });
+
+    await queue.enqueue({ sessionId: 's1', seq: 0 });
+    await queue.processDue();
+
+    assert.deepStrictEqual(runs, [0, 2]);
+});
+
+test('jobs queued without coalescing keep their own run, in order', async () => {
+    const runs = [];
+    const queue = createWorkQueue({
+        handler: async (payload) => { runs.push(payload.seq); },
+        keyOf: (payload) => payload.sessionId
+    });
+
+    await queue.enqueue({ sessionId: 's1', seq: 0 });
+    await queue.enqueue({ sessionId: 's1', seq: 1 }, { coalesce: false });
+    await queue.enqueue({ sessionId: 's1', seq: 2 });
+    await queue.enqueue({ sessionId: 's1', seq: 3 });
+    await queue.processDue();
+
+    assert.deepStrictEqual(runs, [0, 1, 3]);
+});
+
+test('jobs keep the trace of the newest request that queued them, across restarts', async () => {
+    const filePath = tempQueueFile();
+    const first = createWorkQueue({ filePath, handler: async () => {}, keyOf: (payload) => payload.sessionId });
+    await first.enqueue({ sessionId: 's1', seq: 0 }, { trace: '00-aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa-1111111111111111-01' });
+    await first.enqueue({ sessionId: 's1', seq: 1 }, { trace: '00-bbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb-2222222222222222-01' });
+    await first.enqueue({ sessionId: 's2', seq: 0 });
+
+    const traces = {};
+    const restarted = createWorkQueue({
+        filePath,
+        handler: async (payload, job) => { traces[payload.sessionId] = job.trace; },
+        keyOf: (payload) => payload.sessionId
+    });
+    await restarted.processDue();
+
+    assert.deepStrictEqual(traces, { s1: '00-bbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb-2222222222222222-01', s2: null });
+});
@@ -0,0 +1,17 @@
+/**
+ * Local JWKS server for running the gateway without Cognito.
+ *
+ *   node dev-jwks-server.js [port]     (default 4005)
+ *   JWKS_URI=http://127.0.0.1:4005/.well-known/jwks.json npm start
+ *   curl "http://127.0.0.1:4005/token?sub=listener-1&roles=researcher"
+ *
+ * Keys are generated on start, so tokens stop working after a restart.
+ */
+
+import { createDevIdentityProvider } from './src/devJwks.js';
+
+const port = Number.parseInt(process.argv[2], 10) || 4005;
+const { url } = await createDevIdentityProvider().listen(port);
+
+console.log(`JWKS:   ${url}/.well-known/jwks.json`);
+console.log(`Tokens: ${url}/token?sub=<user id>&roles=<comma-separated roles>`);
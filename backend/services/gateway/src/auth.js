@@ -0,0 +1,107 @@
+/**
+ * GATEWAY AUTHENTICATION
+ *
+ * Verifies RS256 bearer tokens against a JWKS endpoint (Cognito in
+ * production; a local key server in tests and development, see
+ * dev-jwks-server.js) and forwards the verified identity to the services:
+ *
+ *   x-user-id         token `sub`
+ *   x-user-roles      comma-separated `cognito:groups` (or `roles`) claim
+ *   x-internal-token  shared secret the services require (INTERNAL_SERVICE_TOKEN)
+ *
+ * Identity headers sent by clients are always dropped, so the services can
+ * trust them. EventSource cannot set headers, so stream requests may pass the
+ * token as ?access_token= instead.
+ */
+
+import jwt from 'jsonwebtoken';
+import jwksClient from 'jwks-rsa';
+import { log } from './log.js';
+
+export const IDENTITY_HEADERS = ['x-user-id', 'x-user-roles', 'x-internal-token'];
+
+/**
+ * JWKS URL from JWKS_URI, or derived from the Cognito user pool; null when neither is configured
+ */
+export function resolveJwksUri(env = process.env) {
+    if (env.JWKS_URI) return env.JWKS_URI;
+    if (env.COGNITO_USER_POOL_ID && env.AWS_REGION) {
+        return `https://cognito-idp.${env.AWS_REGION}.amazonaws.com/${env.COGNITO_USER_POOL_ID}/.well-known/jwks.json`;
+    }
+    return null;
+}
+
+function tokenFrom(req, allowQueryToken) {
+    const header = req.headers.authorization;
+    if (header?.startsWith('Bearer ')) return header.slice('Bearer '.length).trim();
+    if (allowQueryToken(req) && typeof req.query?.access_token === 'string') return req.query.access_token;
+    return null;
+}
+
+function rolesOf(claims) {
+    const roles = claims['cognito:groups'] ?? claims.roles ?? [];
+    return (Array.isArray(roles) ? roles : String(roles).split(','))
+        .map(role => String(role).trim())
+        .filter(role => /^[\w-]+$/.test(role));
+}
+
+/**
+ * Build the authentication middleware.
+ *
+ * @param options - { jwksUri, issuer?, audience?, internalToken?, devUser?, allowQueryToken? }
+ *                  Without a jwksUri every request is treated as devUser (local development only);
+ *                  allowQueryToken(req) says whether ?access_token= is accepted for a request.
+ */
+export function createAuthenticator({
+    jwksUri,
+    issuer,
+    audience,
+    internalToken,
+    devUser = null,
+    allowQueryToken = () => false
+}) {
+    const client = jwksUri
+        ? jwksClient({ jwksUri, cache: true, cacheMaxAge: 10 * 60 * 1000, rateLimit: true, jwksRequestsPerMinute: 10 })
+        : null;
+
+    const getKey = (header, callback) => {
+        client.getSigningKey(header.kid, (err, key) => {
+            if (err) return callback(err, null);
+            callback(null, key.getPublicKey());
+        });
+    };
+
+    const forward = (req, user) => {
+        req.user = user;
+        req.headers['x-user-id'] = user.sub;
+        req.headers['x-user-roles'] = user.roles.join(',');
+        if (internalToken) req.headers['x-internal-token'] = internalToken;
+    };
+
+    return (req, res, next) => {
+        for (const header of IDENTITY_HEADERS) delete req.headers[header];
+
+        if (!client) {
+            if (!devUser) return res.status(503).json({ error: 'Authentication is not configured' });
+            forward(req, devUser);
+            return next();
+        }
+
+        const token = tokenFrom(req, allowQueryToken);
+        if (!token) return res.status(401).json({ error: 'No token provided' });
+
+        jwt.verify(token, getKey, {
+            algorithms: ['RS256'],
+            ...(issuer && { issuer }),
+            ...(audience && { audience })
+        }, (err, claims) => {
+            if (err || !claims?.sub) {
+                log.warn('token rejected', { error: err || 'missing sub' });
+                return res.status(401).json({ error: 'Invalid token' });
+            }
+
+            forward(req, { sub: claims.sub, roles: rolesOf(claims) });
+            next();
+        });
+    };
+}
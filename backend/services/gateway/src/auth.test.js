@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import express from 'express';
+import { createAuthenticator, resolveJwksUri } from './auth.js';
+import { DEV_ISSUER, createDevIdentityProvider } from './devJwks.js';
+
+const idp = createDevIdentityProvider();
+
+async function startGateway(options) {
+    const app = express();
+    app.use(createAuthenticator(options));
+    app.get('/*', (req, res) => res.json({
+        userId: req.get('x-user-id'),
+        roles: req.get('x-user-roles'),
+        internalToken: req.get('x-internal-token')
+    }));
+    const server = await new Promise(resolve => {
+        const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(done => server.close(done))
+    };
+}
+
+test('verified tokens become trusted identity headers', async (t) => {
+    const keys = await idp.listen();
+    const gateway = await startGateway({
+        jwksUri: `${keys.url}/.well-known/jwks.json`,
+        issuer: DEV_ISSUER,
+        internalToken: 'service-secret',
+        allowQueryToken: req => req.path.startsWith('/stream/')
+    });
+    t.after(async () => { await gateway.close(); await keys.close(); });
+
+    const token = idp.sign({ sub: 'listener-1', 'cognito:groups': ['researcher'] });
+    const ok = await fetch(`${gateway.url}/sessions`, {
+        headers: { Authorization: `Bearer ${token}`, 'x-user-id': 'someone-else' }
+    });
+    assert.strictEqual(ok.status, 200);
+    assert.deepStrictEqual(await ok.json(), { userId: 'listener-1', roles: 'researcher', internalToken: 'service-secret' });
+
+    const missing = await fetch(`${gateway.url}/sessions`, { headers: { 'x-internal-token': 'service-secret' } });
+    assert.strictEqual(missing.status, 401);
+
+    const forged = createDevIdentityProvider().sign({ sub: 'listener-1' });
+    const invalid = await fetch(`${gateway.url}/sessions`, { headers: { Authorization: `Bearer ${forged}` } });
+    assert.strictEqual(invalid.status, 401);
+
+    const expired = idp.sign({ sub: 'listener-1' }, { expiresIn: -10 });
+    assert.strictEqual((await fetch(`${gateway.url}/sessions`, { headers: { Authorization: `Bearer ${expired}` } })).status, 401);
+
+    // Query tokens only where allowed (EventSource streams)
+    assert.strictEqual((await fetch(`${gateway.url}/stream/s1?access_token=${token}`)).status, 200);
+    assert.strictEqual((await fetch(`${gateway.url}/sessions?access_token=${token}`)).status, 401);
+});
+
+test('without a JWKS the gateway uses the dev user or refuses', async (t) => {
+    const dev = await startGateway({ devUser: { sub: 'dev-user-id', roles: ['admin'] } });
+    const unconfigured = await startGateway({});
+    t.after(async () => { await dev.close(); await unconfigured.close(); });
+
+    assert.deepStrictEqual(await (await fetch(`${dev.url}/sessions`)).json(), { userId: 'dev-user-id', roles: 'admin' });
+    assert.strictEqual((await fetch(`${unconfigured.url}/sessions`)).status, 503);
+});
+
+test('JWKS URI comes from config or the Cognito pool', () => {
+    assert.strictEqual(resolveJwksUri({ JWKS_URI: 'http://keys' }), 'http://keys');
+    assert.strictEqual(
+        resolveJwksUri({ AWS_REGION: 'us-east-1', COGNITO_USER_POOL_ID: 'pool' }),
+        'https://cognito-idp.us-east-1.amazonaws.com/pool/.well-known/jwks.json'
+    );
+    assert.strictEqual(resolveJwksUri({}), null);
+});
@@ -0,0 +1,54 @@
+/**
+ * LOCAL IDENTITY PROVIDER
+ *
+ * Stand-in for Cognito in tests and local development: an RSA key pair
+ * served as a JWKS, and a signer for tokens the gateway accepts when
+ * JWKS_URI points at it. Never use it in production.
+ */
+
+import http from 'node:http';
+import { generateKeyPairSync, randomUUID } from 'node:crypto';
+import jwt from 'jsonwebtoken';
+
+export const DEV_ISSUER = 'http://localhost/dev-identity';
+
+/**
+ * @returns { jwks, sign(claims, options?), listen(port?) -> Promise<{ url, close() }> }
+ */
+export function createDevIdentityProvider() {
+    const kid = randomUUID();
+    const { publicKey, privateKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] };
+
+    const sign = (claims, { expiresIn = '1h' } = {}) => jwt.sign(claims, privateKey, {
+        algorithm: 'RS256',
+        keyid: kid,
+        issuer: DEV_ISSUER,
+        expiresIn
+    });
+
+    const listen = (port = 0) => new Promise((resolve) => {
+        const server = http.createServer((req, res) => {
+            const url = new URL(req.url, 'http://localhost');
+            if (url.pathname === '/.well-known/jwks.json') {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify(jwks));
+            }
+            // Development convenience: /token?sub=listener-1&roles=researcher
+            if (url.pathname === '/token') {
+                const roles = (url.searchParams.get('roles') || '').split(',').filter(Boolean);
+                res.writeHead(200, { 'Content-Type': 'text/plain' });
+                return res.end(sign({ sub: url.searchParams.get('sub') || 'dev-user-id', 'cognito:groups': roles }));
+            }
+            res.writeHead(404).end();
+        });
+        server.listen(port, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+
+    return { jwks, sign, listen };
+}
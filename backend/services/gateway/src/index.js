@@ -3,10 +3,14 @@ import cors from 'cors';
 import proxy from 'express-http-proxy';
 import helmet from 'helmet';
 import { rateLimit } from 'express-rate-limit';
+import { createAuthenticator, resolveJwksUri } from './auth.js';
+import { telemetry, log } from './log.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+app.use(telemetry.middleware);
+
 // Base Security: Secure headers with Helmet
 app.use(helmet());
 
@@ -26,6 +30,31 @@ app.use('/api/', limiter);
 const EVENT_SERVICE_URL = process.env.EVENT_SERVICE_URL || 'http://localhost:3002';
 const DATA_SERVICE_URL = process.env.DATA_SERVICE_URL || 'http://localhost:3005';
 
+const JWKS_URI = resolveJwksUri();
+// Local development without an identity provider: every request acts as this user
+const AUTH_DEV_USER = process.env.AUTH_DEV_USER;
+if (!JWKS_URI) {
+    log.warn(AUTH_DEV_USER
+        ? 'No JWKS_URI or Cognito pool configured - authenticating every request as AUTH_DEV_USER'
+        : 'No JWKS_URI or Cognito pool configured - API requests will be refused');
+}
+// The services refuse to start without it, so a gateway without it could not reach them
+if (!process.env.INTERNAL_SERVICE_TOKEN) {
+    if (process.env.ALLOW_DIRECT_SERVICE_CALLS !== 'true') {
+        throw new Error('INTERNAL_SERVICE_TOKEN is not set (ALLOW_DIRECT_SERVICE_CALLS=true runs without it in local development)');
+    }
+    log.warn('INTERNAL_SERVICE_TOKEN is not set - services accept direct calls (ALLOW_DIRECT_SERVICE_CALLS)');
+}
+
+const authenticate = createAuthenticator({
+    jwksUri: JWKS_URI,
+    issuer: process.env.JWT_ISSUER,
+    audience: process.env.JWT_AUDIENCE,
+    internalToken: process.env.INTERNAL_SERVICE_TOKEN,
+    devUser: AUTH_DEV_USER ? { sub: AUTH_DEV_USER, roles: (process.env.AUTH_DEV_ROLES || '').split(',').filter(Boolean) } : null,
+    // EventSource cannot send an Authorization header
+    allowQueryToken: (req) => req.method === 'GET' && req.path.startsWith('/stream/')
+});
 
 import { createProxyMiddleware } from 'http-proxy-middleware';
 
@@ -37,24 +66,22 @@ app.use(cors({
         process.env.FRONTEND_URL
     ].filter(Boolean),
     credentials: true,
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization'],
+    // Lets the frontend report the trace of a failed or slow request
+    exposedHeaders: ['x-trace-id']
 }));
 
-app.use((req, res, next) => {
-    const method = req.method.replaceAll(/[\r\n]/g, '');
-    const path = req.path.replaceAll(/[\r\n]/g, '');
-    console.log(`[GATEWAY] ${method} ${path}`);
-    next();
-});
-
 app.get('/health', (req, res) => {
     res.json({
         status: 'healthy',
         service: 'api-gateway',
-        routes: ['/api/events', '/api/cognitive', '/api/adaptations']
+        routes: ['/api/events', '/api/cognitive', '/api/adaptations', '/api/stream', '/api/users']
     });
 });
 
+// Everything behind /api requires a verified token
+app.use('/api/', authenticate);
+
 
 
 app.post('/api/events/ingest', createProxyMiddleware({
@@ -69,6 +96,22 @@ app.post('/api/events/batch', createProxyMiddleware({
     pathRewrite: { '^/api/events/batch': '/batch' }
 }));
 
+// Server-Sent Events: adaptations and cognitive states pushed by the orchestrator
+app.get('/api/stream/:sessionId', (req, res, next) => {
+    createProxyMiddleware({
+        target: EVENT_SERVICE_URL,
+        changeOrigin: true,
+        pathRewrite: () => `/stream/${encodeURIComponent(req.params.sessionId)}`
+    })(req, res, next);
+});
+
+// The caller's own sessions; researchers see all of them
+app.get('/api/sessions', createProxyMiddleware({
+    target: DATA_SERVICE_URL,
+    changeOrigin: true,
+    pathRewrite: { '^/api/sessions': '/sessions' }
+}));
+
 app.get('/api/events/:sessionId', (req, res, next) => {
     const query = req.url.includes('?') ? '?' + req.url.split('?')[1] : '';
     createProxyMiddleware({
@@ -104,13 +147,45 @@ app.get('/api/adaptations/:sessionId', (req, res, next) => {
 });
 
 app.use('/api/books', proxy(DATA_SERVICE_URL, {
+    // Chapter transcripts are uploaded through this route
+    limit: '2mb',
     proxyReqPathResolver: (req) => {
         return '/books' + (req.url === '/' ? '' : req.url);
     }
 }));
 
+// Research exports are streamed, so they bypass the buffering proxy
+app.get('/api/export/:kind', (req, res, next) => {
+    const query = req.url.includes('?') ? '?' + req.url.split('?')[1] : '';
+    createProxyMiddleware({
+        target: DATA_SERVICE_URL,
+        changeOrigin: true,
+        pathRewrite: () => `/export/${req.params.kind}${query}`
+    })(req, res, next);
+});
+
+// Shared payload schemas (events, books, cognitive states)
+app.get(['/api/schemas', '/api/schemas/:name'], proxy(DATA_SERVICE_URL, {
+    proxyReqPathResolver: (req) => req.url.replace(/^\/api/, '')
+}));
+
+// Experiment definitions, start/end and per-arm outcome metrics (researchers only,
+// checked by the data-service against the forwarded roles)
+app.use('/api/experiments', proxy(DATA_SERVICE_URL, {
+    proxyReqPathResolver: (req) => '/experiments' + (req.url === '/' ? '' : req.url)
+}));
+
+// Per-user behavioral baseline (inspect, rebuild or reset), adaptation feedback counts,
+// consent (grant, inspect, withdraw) and erasure of all the user's data
+app.use('/api/users', proxy(DATA_SERVICE_URL, {
+    filter: (req) => /^\/[^/]+\/(baseline(\/rebuild)?|consent)$/.test(req.path)
+        || (req.method === 'GET' && /^\/[^/]+\/adaptation-feedback$/.test(req.path))
+        || (req.method === 'DELETE' && /^\/[^/]+\/data$/.test(req.path)),
+    proxyReqPathResolver: (req) => '/users' + req.url
+}));
+
 app.use((err, req, res, _next) => {
-    console.error('[GATEWAY ERROR]', err);
+    log.error('proxy error', { error: err });
     res.status(500).json({ error: 'Gateway Proxy Error', details: err.message });
 });
 
@@ -119,5 +194,5 @@ app.use((req, res) => {
 });
 
 app.listen(PORT, () => {
-    console.log(`API Gateway running on port ${PORT}`);
+    log.info('API Gateway running', { port: PORT });
 });
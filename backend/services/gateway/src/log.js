@@ -0,0 +1,15 @@
+/**
+ * Telemetry of the gateway. Its own module, so that modules logging while they
+ * are imported already get the service's logger.
+ */
+
+import { createTelemetry } from './telemetry.js';
+
+export const telemetry = createTelemetry({
+    service: 'gateway',
+    exporterUrl: process.env.OTEL_EXPORTER_OTLP_ENDPOINT,
+    // Every API request starts a new trace here; client-sent trace headers are not continued
+    trustIncoming: false
+});
+
+export const { log } = telemetry;
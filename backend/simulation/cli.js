@@ -0,0 +1,132 @@
+/**
+ * SIMULATION CLI
+ *
+ * Replay recorded or synthetic sessions through the cognitive engine and
+ * adaptation logic on a virtual clock.
+ *
+ * Usage:
+ *   node simulation/cli.js --persona confused [--persona fatigued] [--seed 7] [--minutes 10]
+ *   node simulation/cli.js --events recorded.json        (JSON array or NDJSON; grouped by sessionId)
+ *
+ * Options:
+ *   --rule-set <id | id@version | file.json>   Rule set to run (default: the engine default)
+ *   --compare <id | id@version | file.json>    Diff against a second rule set on the same corpus
+ *   --passages <file.json>                     Difficult passages ([{ start, end, difficulty }]) for proactive adaptations
+ *   --format json | csv                        Output format (default json; csv is the timeline only)
+ *   --out <file>                               Write to a file instead of stdout
+ *   --list-personas                            Show the available personas
+ *
+ * Rule set ids resolve against RULE_SETS_DIR (default: the cognitive service's src/ruleSets).
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { PERSONAS, generatePersonaSession } from './personas.js';
+import { simulateSession, compareRuns, runsToCsv } from './simulator.js';
+import {
+    loadRuleSetsFromDir,
+    resolveRuleSet,
+    validateRuleSet
+} from '../services/cognitive-service/src/ruleSets.js';
+
+const DEFAULT_RULE_SETS_DIR = fileURLToPath(new URL('../services/cognitive-service/src/ruleSets', import.meta.url));
+
+function loadRuleSet(reference) {
+    if (!reference) return undefined;
+
+    if (reference.endsWith('.json')) {
+        const ruleSet = JSON.parse(fs.readFileSync(reference, 'utf8'));
+        const errors = validateRuleSet(ruleSet);
+        if (errors.length > 0) throw new Error(`Invalid rule set ${reference}: ${errors.join('; ')}`);
+        return ruleSet;
+    }
+
+    const ruleSet = resolveRuleSet(loadRuleSetsFromDir(process.env.RULE_SETS_DIR || DEFAULT_RULE_SETS_DIR), reference);
+    if (!ruleSet) throw new Error(`Unknown rule set "${reference}"`);
+    return ruleSet;
+}
+
+function readRecordedSessions(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8').trim();
+    const events = text.startsWith('[')
+        ? JSON.parse(text)
+        : text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+
+    const sessions = new Map();
+    for (const event of events) {
+        const sessionId = event.sessionId || path.basename(filePath);
+        if (!sessions.has(sessionId)) sessions.set(sessionId, []);
+        sessions.get(sessionId).push(event);
+    }
+    return [...sessions.values()];
+}
+
+const { values } = parseArgs({
+    options: {
+        persona: { type: 'string', multiple: true },
+        events: { type: 'string' },
+        seed: { type: 'string', default: '1' },
+        minutes: { type: 'string', default: '10' },
+        'rule-set': { type: 'string' },
+        compare: { type: 'string' },
+        passages: { type: 'string' },
+        format: { type: 'string', default: 'json' },
+        out: { type: 'string' },
+        'list-personas': { type: 'boolean', default: false }
+    }
+});
+
+try {
+    if (values['list-personas']) {
+        for (const [name, persona] of Object.entries(PERSONAS)) {
+            console.log(`${name.padEnd(12)} ${persona.description}`);
+        }
+        process.exit(0);
+    }
+
+    if (!['json', 'csv'].includes(values.format)) throw new Error('--format must be json or csv');
+
+    let corpus;
+    if (values.events) {
+        corpus = readRecordedSessions(values.events);
+    } else if (values.persona?.length) {
+        corpus = values.persona.map(persona => generatePersonaSession(persona, {
+            seed: Number(values.seed),
+            durationMinutes: Number(values.minutes)
+        }));
+    } else {
+        throw new Error('Provide --persona <name> or --events <file> (see --list-personas)');
+    }
+
+    const ruleSet = loadRuleSet(values['rule-set']);
+    const passages = values.passages ? JSON.parse(fs.readFileSync(values.passages, 'utf8')) : [];
+    const runs = corpus.map(events => simulateSession(events, { ruleSet, passages }));
+
+    let output;
+    if (values.compare) {
+        const candidateRuleSet = loadRuleSet(values.compare);
+        const candidateRuns = corpus.map(events => simulateSession(events, { ruleSet: candidateRuleSet, passages }));
+        output = values.format === 'csv'
+            ? runsToCsv([...runs, ...candidateRuns])
+            : JSON.stringify(runs.map((run, i) => ({
+                sessionId: run.sessionId,
+                ...compareRuns(run, candidateRuns[i])
+            })), null, 2);
+    } else {
+        output = values.format === 'csv'
+            ? runsToCsv(runs)
+            : JSON.stringify(runs.map(({ states: _states, ...run }) => run), null, 2);
+    }
+
+    if (values.out) {
+        fs.writeFileSync(values.out, output.endsWith('\n') ? output : `${output}\n`);
+        console.error(`Simulated ${runs.length} session(s), written to ${values.out}`);
+    } else {
+        process.stdout.write(output.endsWith('\n') ? output : `${output}\n`);
+    }
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,144 @@
+/**
+ * SYNTHETIC LISTENER PERSONAS
+ *
+ * Seeded generators for behavioral event streams, shaped like what
+ * AudioPlayer emits. The same persona, seed and duration always produce the
+ * same events, so simulation runs are reproducible across rule-set versions.
+ */
+
+/**
+ * Deterministic PRNG (mulberry32)
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Per-tick behavior probabilities. `drift` scales the rates linearly from
+ * the start (x1) to the end (x(1 + drift)) of the session, and `speedDrift`
+ * moves the chosen speed the same way.
+ */
+export const PERSONAS = {
+    engaged: {
+        description: 'Listens steadily at or above normal speed and skims ahead',
+        speed: 1.1,
+        rates: { pause: 0.02, replay: 0.005, reversal: 0, forwardSeek: 0.03, idle: 0 },
+        drift: 0,
+        speedDrift: 0
+    },
+    confused: {
+        description: 'Keeps rewinding and jumping back to earlier sections',
+        speed: 1,
+        rates: { pause: 0.06, replay: 0.14, reversal: 0.05, forwardSeek: 0, idle: 0.01 },
+        drift: 0.5,
+        speedDrift: 0
+    },
+    fatigued: {
+        description: 'Starts fine, then slows down and drifts off more and more',
+        speed: 1,
+        rates: { pause: 0.03, replay: 0.01, reversal: 0, forwardSeek: 0, idle: 0.02 },
+        drift: 4,
+        speedDrift: -0.3
+    },
+    overloaded: {
+        description: 'Slows narration right away and pauses constantly',
+        speed: 0.85,
+        rates: { pause: 0.25, replay: 0.06, reversal: 0.01, forwardSeek: 0, idle: 0.01 },
+        drift: 0.5,
+        speedDrift: -0.1
+    }
+};
+
+const TICK_MS = 5000;
+
+/**
+ * Generate one session of events for a persona
+ *
+ * @param personaName - Key of PERSONAS
+ * @param options.seed - PRNG seed
+ * @param options.durationMinutes - Session length in virtual minutes
+ * @param options.startTime - Virtual clock start (ms)
+ * @returns Events in time order
+ */
+export function generatePersonaSession(personaName, options = {}) {
+    const persona = PERSONAS[personaName];
+    if (!persona) {
+        throw new Error(`Unknown persona "${personaName}". Expected one of: ${Object.keys(PERSONAS).join(', ')}`);
+    }
+
+    const {
+        seed = 1,
+        durationMinutes = 10,
+        startTime = Date.UTC(2024, 0, 1),
+        sessionId = `sim-${personaName}-${seed}`,
+        sectionId = 'sim-book-chapter-1'
+    } = options;
+
+    const random = createRandom(seed);
+    const durationMs = durationMinutes * 60000;
+    const events = [];
+    let currentTime = 0;
+    let speed = 1;
+
+    const emit = (eventType, timestamp, metadata = {}) => {
+        events.push({
+            eventId: `${sessionId}-${events.length}`,
+            sessionId,
+            eventType,
+            timestamp,
+            metadata: { currentTime, sectionId, ...metadata }
+        });
+    };
+
+    emit('SESSION_START', startTime);
+    emit('AUDIO_PLAY', startTime);
+
+    for (let elapsed = TICK_MS; elapsed < durationMs; elapsed += TICK_MS) {
+        const progress = elapsed / durationMs;
+        const scale = 1 + persona.drift * progress;
+        const timestamp = startTime + elapsed + Math.floor(random() * 1000);
+        currentTime += (TICK_MS / 1000) * speed;
+
+        const targetSpeed = Math.round((persona.speed + persona.speedDrift * progress) * 20) / 20;
+        if (targetSpeed !== speed) {
+            const previousSpeed = speed;
+            speed = targetSpeed;
+            emit('AUDIO_SPEED_CHANGE', timestamp, { speed, previousSpeed });
+            continue;
+        }
+
+        const roll = random();
+        let threshold = 0;
+        const hit = (rate) => {
+            threshold += rate * scale;
+            return roll < threshold;
+        };
+
+        if (hit(persona.rates.pause)) {
+            emit('AUDIO_PAUSE', timestamp);
+            emit('AUDIO_PLAY', timestamp + 2000 + Math.floor(random() * 6000));
+        } else if (hit(persona.rates.replay)) {
+            const previousTime = currentTime;
+            currentTime = Math.max(0, currentTime - 10);
+            emit('AUDIO_REPLAY', timestamp, { previousTime, seekDuration: currentTime - previousTime });
+        } else if (hit(persona.rates.reversal)) {
+            emit('NAVIGATION_REVERSAL', timestamp, { fromSection: sectionId });
+        } else if (hit(persona.rates.forwardSeek)) {
+            const previousTime = currentTime;
+            currentTime += 30;
+            emit('AUDIO_SEEK', timestamp, { previousTime, seekDuration: 30 });
+        } else if (hit(persona.rates.idle)) {
+            emit('USER_IDLE', timestamp, { idleDuration: 30000 + Math.floor(random() * 30000) });
+        }
+    }
+
+    emit('SESSION_END', startTime + durationMs);
+    return events.sort((a, b) => a.timestamp - b.timestamp);
+}
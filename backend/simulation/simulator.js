@@ -0,0 +1,203 @@
+/**
+ * COGNITIVE FEEDBACK LOOP SIMULATOR
+ *
+ * Replays an event stream on a virtual clock through the real cognitive
+ * engine and adaptation decision code, mirroring the event-service
+ * orchestrator: every event triggers an analysis of the latest window of
+ * its section, then the adaptation cooldowns decide what would be applied.
+ *
+ * No services, storage or network are involved, so a run is deterministic
+ * for a given event stream and rule set. Book recaps are not available
+ * offline, so SUMMARY adaptations never fire in a simulation. Proactive
+ * adaptations only fire when difficult passages are passed in.
+ */
+
+import { inferCognitiveState } from '../services/cognitive-service/src/cognitiveEngine.js';
+import {
+    recommendAdaptations,
+    shouldApplyAdaptation,
+    executeAdaptations,
+    planProactiveAdaptations
+} from '../services/adaptation-service/src/adaptationService.js';
+import { telemetry as adaptationTelemetry } from '../services/adaptation-service/src/log.js';
+
+// Same windows the orchestrator reads from the data service
+const ANALYSIS_WINDOW = 20;
+const STATE_HISTORY = 5;
+const ADAPTATION_HISTORY = 10;
+
+/**
+ * Recorded events may carry their time at the top level (data service)
+ * or in metadata (frontend batches)
+ */
+function normalizeEvents(events) {
+    return events
+        .map(event => ({ ...event, timestamp: event.timestamp ?? event.metadata?.timestamp }))
+        .filter(event => Number.isFinite(event.timestamp))
+        .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Replay one session
+ *
+ * @param events - Recorded or synthetic events of a single session
+ * @param options.ruleSet - Rule set to evaluate (engine default when omitted)
+ * @param options.model - Optional load model
+ * @param options.baseline - Optional listener baseline
+ * @param options.passages - Optional difficult passages ([{ start, end, difficulty }], seconds)
+ * @returns { sessionId, ruleSet, timeline, states, adaptations, summary }
+ */
+export function simulateSession(events, options = {}) {
+    const { ruleSet, model = null, baseline = null, passages = [] } = options;
+    const stream = normalizeEvents(events);
+    const sessionId = options.sessionId || stream[0]?.sessionId || 'simulated-session';
+
+    const seen = [];
+    const states = [];
+    const adaptations = [];
+    const timeline = [];
+
+    // Silence the per-adaptation decision logging of the service code during replay
+    const write = adaptationTelemetry.setWrite(() => {});
+    try {
+        for (const event of stream) {
+            const now = event.timestamp;
+            seen.push(event);
+
+            const sectionId = event.metadata?.sectionId;
+            const window = seen
+                .filter(e => !sectionId || e.metadata?.sectionId === sectionId)
+                .slice(-ANALYSIS_WINDOW);
+
+            const previousStates = states.slice(-STATE_HISTORY);
+            const state = {
+                ...inferCognitiveState(window, sessionId, {
+                    ...(ruleSet && { ruleSet }),
+                    model,
+                    baseline,
+                    previousStates,
+                    now
+                }),
+                ...(sectionId && { sectionId })
+            };
+            states.push(state);
+
+            const context = {
+                currentTime: event.metadata?.currentTime,
+                currentSpeed: event.metadata?.speed,
+                currentSection: sectionId,
+                recentEvents: window,
+                previousStates,
+                passages
+            };
+            const recentAdaptations = adaptations.slice(-ADAPTATION_HISTORY);
+            const strategies = recommendAdaptations(state, context)
+                .filter(strategy => shouldApplyAdaptation(recentAdaptations, strategy, now));
+            const proactive = planProactiveAdaptations(state, context, recentAdaptations, now)
+                .filter(adaptation => !strategies.includes(adaptation.strategy));
+            const applied = [...executeAdaptations(state, strategies, context, now), ...proactive];
+            adaptations.push(...applied);
+
+            timeline.push({
+                timestamp: now,
+                elapsedMs: now - stream[0].timestamp,
+                eventType: event.eventType,
+                cognitiveLoad: state.cognitiveLoad,
+                instantLoad: state.instantLoad,
+                loadScore: state.loadScore,
+                trend: state.trend,
+                patterns: state.patterns,
+                adaptations: applied.map(a => (a.proactive ? `${a.strategy} (proactive)` : a.strategy))
+            });
+        }
+    } finally {
+        adaptationTelemetry.setWrite(write);
+    }
+
+    const finalState = states.at(-1);
+    return {
+        sessionId,
+        ruleSet: finalState ? `${finalState.ruleSetId}@${finalState.ruleSetVersion}` : null,
+        timeline,
+        states,
+        adaptations,
+        summary: summarizeTimeline(timeline)
+    };
+}
+
+/**
+ * Share of steps at each load level and number of adaptations per strategy
+ */
+export function summarizeTimeline(timeline) {
+    const loadSteps = { low: 0, medium: 0, high: 0 };
+    const adaptationCounts = {};
+    let levelChanges = 0;
+
+    timeline.forEach((step, i) => {
+        loadSteps[step.cognitiveLoad] = (loadSteps[step.cognitiveLoad] || 0) + 1;
+        if (i > 0 && step.cognitiveLoad !== timeline[i - 1].cognitiveLoad) levelChanges++;
+        for (const strategy of step.adaptations) {
+            adaptationCounts[strategy] = (adaptationCounts[strategy] || 0) + 1;
+        }
+    });
+
+    return { steps: timeline.length, loadSteps, levelChanges, adaptationCounts };
+}
+
+/**
+ * Diff two runs over the same event stream (e.g. two rule-set versions)
+ *
+ * @returns Summary of both runs plus every step where the load level or adaptations differ
+ */
+export function compareRuns(baseRun, candidateRun) {
+    if (baseRun.timeline.length !== candidateRun.timeline.length) {
+        throw new Error('Runs must replay the same event stream');
+    }
+
+    const differences = [];
+    baseRun.timeline.forEach((base, i) => {
+        const candidate = candidateRun.timeline[i];
+        const sameLoad = base.cognitiveLoad === candidate.cognitiveLoad;
+        const sameAdaptations = base.adaptations.join() === candidate.adaptations.join();
+        if (!sameLoad || !sameAdaptations) {
+            differences.push({
+                step: i,
+                timestamp: base.timestamp,
+                eventType: base.eventType,
+                base: { cognitiveLoad: base.cognitiveLoad, adaptations: base.adaptations },
+                candidate: { cognitiveLoad: candidate.cognitiveLoad, adaptations: candidate.adaptations }
+            });
+        }
+    });
+
+    return {
+        base: { ruleSet: baseRun.ruleSet, summary: baseRun.summary },
+        candidate: { ruleSet: candidateRun.ruleSet, summary: candidateRun.summary },
+        differingSteps: differences.length,
+        differences
+    };
+}
+
+export const TIMELINE_COLUMNS = [
+    'sessionId', 'ruleSet', 'timestamp', 'elapsedMs', 'eventType',
+    'cognitiveLoad', 'instantLoad', 'loadScore', 'trend', 'patterns', 'adaptations'
+];
+
+function csvCell(value) {
+    const text = Array.isArray(value) ? value.join(';') : String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * Flatten one or more runs into CSV rows (one row per replayed event)
+ */
+export function runsToCsv(runs) {
+    const rows = [TIMELINE_COLUMNS.join(',')];
+    for (const run of runs) {
+        for (const step of run.timeline) {
+            const row = { sessionId: run.sessionId, ruleSet: run.ruleSet, ...step };
+            rows.push(TIMELINE_COLUMNS.map(column => csvCell(row[column])).join(','));
+        }
+    }
+    return `${rows.join('\n')}\n`;
+}
@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert';
+import { generatePersonaSession } from './personas.js';
+import { simulateSession, compareRuns, runsToCsv, TIMELINE_COLUMNS } from './simulator.js';
+import { DEFAULT_RULE_SET } from '../services/cognitive-service/src/cognitiveEngine.js';
+
+test('persona sessions are reproducible for a seed', () => {
+    const first = generatePersonaSession('confused', { seed: 7, durationMinutes: 5 });
+    const second = generatePersonaSession('confused', { seed: 7, durationMinutes: 5 });
+    assert.deepStrictEqual(first, second);
+    assert.notDeepStrictEqual(first, generatePersonaSession('confused', { seed: 8, durationMinutes: 5 }));
+});
+
+test('personas drive the loop to different outcomes on the virtual clock', () => {
+    const engaged = simulateSession(generatePersonaSession('engaged', { seed: 3 }));
+    const overloaded = simulateSession(generatePersonaSession('overloaded', { seed: 3 }));
+
+    assert.strictEqual(engaged.summary.loadSteps.high, 0);
+    assert.deepStrictEqual(engaged.adaptations, []);
+    assert.ok(overloaded.summary.loadSteps.high > 0);
+    assert.ok(overloaded.adaptations.length > 0);
+
+    // Adaptations are stamped with virtual time, not wall-clock time
+    const replayed = new Set(overloaded.timeline.map(step => step.timestamp));
+    assert.ok(overloaded.adaptations.every(a => replayed.has(a.timestamp)));
+});
+
+test('comparing rule sets reports the steps that change', () => {
+    const events = generatePersonaSession('confused', { seed: 1 });
+    const lenient = {
+        ...DEFAULT_RULE_SET,
+        version: 99,
+        load: [],
+        defaultLevel: 'low'
+    };
+
+    const diff = compareRuns(simulateSession(events), simulateSession(events, { ruleSet: lenient }));
+    assert.strictEqual(diff.candidate.ruleSet, 'default@99');
+    assert.ok(diff.differingSteps > 0);
+    assert.ok(diff.differences.every(d => d.candidate.cognitiveLoad === 'low'));
+
+    const csv = runsToCsv([simulateSession(events)]).trim().split('\n');
+    assert.strictEqual(csv[0], TIMELINE_COLUMNS.join(','));
+    assert.strictEqual(csv.length, events.length + 1);
+});
@@ -18,6 +18,9 @@ import { eventEmitter } from './services/EventEmitter';
 import type { Audiobook } from './types/audiobook';
 import audiobooksData from './data/audiobooks.json';
 import { AuthPage } from './components/auth/AuthPage';
+import { ConsentPanel } from './components/ConsentPanel';
+import { getConsent } from './services/apiClient';
+import type { ParticipantConsent } from './types';
 import { useAuth } from './contexts/AuthContext';
 import './styles/audible-theme.css';
 import './App.css';
@@ -41,15 +44,34 @@ function App() {
     const [currentAudioUrl, setCurrentAudioUrl] = useState<string>('');
     const [currentChapterIndex, setCurrentChapterIndex] = useState<number>(0);
 
+    const userId = user?.userId ?? null;
+    const [consent, setConsent] = useState<ParticipantConsent | null>(null);
+    const [showConsent, setShowConsent] = useState(false);
+
     useEffect(() => {
         if (isAuthenticated) {
+            eventEmitter.setUserId(userId);
             eventEmitter.startSession();
         }
 
         return () => {
             eventEmitter.endSession();
         };
-    }, [isAuthenticated]);
+    }, [isAuthenticated, userId]);
+
+    // Ask for consent once per sign-in if none is on record
+    useEffect(() => {
+        if (!isAuthenticated || !userId) return;
+        let cancelled = false;
+        getConsent(userId).then((stored) => {
+            if (cancelled) return;
+            setConsent(stored);
+            setShowConsent(!stored);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [isAuthenticated, userId]);
 
     if (isLoading) {
         return (
@@ -170,6 +192,23 @@ function App() {
                 <span style={{ color: 'var(--text-secondary)', fontSize: '0.9rem', fontWeight: 500 }}>
                     Hello, {user?.username || 'User'}
                 </span>
+                {userId && (
+                    <button
+                        onClick={() => setShowConsent(true)}
+                        style={{
+                            background: 'rgba(0,0,0,0.05)',
+                            border: '1px solid var(--border-color)',
+                            color: 'var(--text-primary)',
+                            padding: '6px 12px',
+                            borderRadius: '4px',
+                            cursor: 'pointer',
+                            fontSize: '0.85rem',
+                            fontWeight: 600
+                        }}
+                    >
+                        Privacy
+                    </button>
+                )}
                 <button
                     onClick={() => logout()}
                     style={{
@@ -187,6 +226,15 @@ function App() {
                 </button>
             </div>
 
+            {showConsent && userId && (
+                <ConsentPanel
+                    userId={userId}
+                    consent={consent}
+                    onChange={setConsent}
+                    onClose={() => setShowConsent(false)}
+                />
+            )}
+
             {/* Library View */}
             {currentView === 'library' && (
                 <BookLibrary
@@ -240,6 +288,8 @@ function App() {
                                     audioSrc={currentAudioUrl || selectedBook.audioUrl}
                                     sectionId={`${selectedBook.id}-${selectedBook.chapters[currentChapterIndex].id}`}
                                     sectionTitle={`${selectedBook.title} - ${selectedBook.chapters[currentChapterIndex].title}`}
+                                    bookId={selectedBook.id}
+                                    chapterId={selectedBook.chapters[currentChapterIndex].id}
                                     onSeekToTime={seekToTime}
                                     onNextChapter={handleNextChapter}
                                     onPreviousChapter={handlePreviousChapter}
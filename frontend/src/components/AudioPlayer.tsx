@@ -9,18 +9,24 @@
  * - ARIA labels and live regions
  * - Automatic event emission
  * - Adaptation reception and execution
+ * - Synchronized captions from the chapter transcript
+ * - Progress bar with a passage difficulty heatmap
  */
 
-import React, { useRef, useState, useEffect, useCallback } from 'react';
+import React, { useRef, useState, useEffect, useCallback, useMemo } from 'react';
 import { eventEmitter } from '../services/EventEmitter';
-import { getActiveAdaptations } from '../services/apiClient';
-import type { AdaptationDecision } from '../types';
+import { getChapterHeatmap, getChapterTranscript, subscribeToSession } from '../services/apiClient';
+import type { AdaptationDecision, BehavioralEventType } from '../types';
+import type { ChapterHeatmap, TranscriptSegment } from '../types/audiobook';
+import { HeatmapStrip } from './HeatmapStrip';
 import './AudioPlayer.css';
 
 interface AudioPlayerProps {
     audioSrc: string;
     sectionId: string;
     sectionTitle: string;
+    bookId?: string;
+    chapterId?: string;
     onSeekToTime?: number;
     onNextChapter?: () => void;
     onPreviousChapter?: () => void;
@@ -28,12 +34,35 @@ interface AudioPlayerProps {
 }
 
 
+// Changing speed this soon after an automatic slow-down counts as undoing it
+const OVERRIDE_WINDOW_MS = 30000;
+
+type FeedbackEventType = Extract<BehavioralEventType, `ADAPTATION_${string}`>;
+
 function formatTime(seconds: number): string {
     const mins = Math.floor(seconds / 60);
     const secs = Math.floor(seconds % 60);
     return `${mins}:${secs.toString().padStart(2, '00')}`;
 }
 
+/** Segment playing at `time` (segments are sorted by start). */
+function findSegmentAt(segments: TranscriptSegment[], time: number): TranscriptSegment | null {
+    let low = 0;
+    let high = segments.length - 1;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        const segment = segments[mid];
+        if (time < segment.start) {
+            high = mid - 1;
+        } else if (time >= segment.end) {
+            low = mid + 1;
+        } else {
+            return segment;
+        }
+    }
+    return null;
+}
+
 function safePlay(audio: HTMLAudioElement): Promise<void> {
     return audio.play().catch((err: unknown) => {
         console.warn('[SYSTEM] Playback failed:', err);
@@ -45,6 +74,8 @@ export const AudioPlayer: React.FC<AudioPlayerProps> = ({
     audioSrc,
     sectionId,
     sectionTitle,
+    bookId,
+    chapterId,
     onSeekToTime,
     onNextChapter,
     onPreviousChapter,
@@ -59,6 +90,11 @@ export const AudioPlayer: React.FC<AudioPlayerProps> = ({
     const [announcement, setAnnouncement] = useState('');
     const [activeAlert, setActiveAlert] = useState<{ message: string; strategy: string } | null>(null);
     const [pendingAdaptation, setPendingAdaptation] = useState<AdaptationDecision | null>(null);
+    const [pendingRepeat, setPendingRepeat] = useState<{ rewindTo: number; replaySeconds: number; secondsLeft: number } | null>(null);
+    const [sessionId, setSessionId] = useState(() => eventEmitter.getSessionId());
+    const [transcript, setTranscript] = useState<TranscriptSegment[]>([]);
+    const [showCaptions, setShowCaptions] = useState(true);
+    const [heatmap, setHeatmap] = useState<ChapterHeatmap | null>(null);
 
     const idleTimerRef = useRef<ReturnType<typeof setTimeout> | null>(null);
     const seenAdaptationIds = useRef<Set<string>>(new Set());
@@ -67,7 +103,33 @@ export const AudioPlayer: React.FC<AudioPlayerProps> = ({
     const isSmartPaused = useRef<boolean>(false);
     const smartPauseTimeoutRef = useRef<ReturnType<typeof setTimeout> | null>(null);
     const reinforcementTimeoutRef = useRef<ReturnType<typeof setTimeout> | null>(null);
+    const repeatCountdownRef = useRef<ReturnType<typeof setInterval> | null>(null);
+    // Proactive adaptations waiting for playback to reach their startAt
+    const scheduledAdaptationsRef = useRef<AdaptationDecision[]>([]);
+    // Last adaptation applied without asking, so an immediate undo can be reported
+    const appliedAdaptationRef = useRef<{ adaptation: AdaptationDecision; appliedAt: number } | null>(null);
+    const pendingRepeatAdaptationRef = useRef<AdaptationDecision | null>(null);
     const currentSectionIdRef = useRef<string>(sectionId);
+    const activeCaptionRef = useRef<HTMLLIElement>(null);
+    const transcriptRef = useRef<TranscriptSegment[]>([]);
+
+    // Sent with every behavioral event; bookId/chapterId let the backend look up chapter recaps
+    const sectionContext = useMemo(() => ({ sectionId, bookId, chapterId }), [sectionId, bookId, chapterId]);
+    // Read by the autoplay effect, which only re-runs when the audio source changes
+    const sectionContextRef = useRef(sectionContext);
+
+    const activeSegment = useMemo(() => findSegmentAt(transcript, currentTime), [transcript, currentTime]);
+
+    // Ties an event to the transcript passage at `time`, so research data can name the passage.
+    // Reads through a ref so a transcript arriving late does not re-run the seek effect.
+    const describePosition = useCallback((time: number) => {
+        const segment = findSegmentAt(transcriptRef.current, time);
+        if (!segment) return {};
+        return {
+            segmentId: segment.id,
+            ...(segment.paragraphId && { paragraphId: segment.paragraphId }),
+        };
+    }, []);
 
 
     const announce = useCallback((message: string) => {
@@ -85,6 +147,20 @@ export const AudioPlayer: React.FC<AudioPlayerProps> = ({
     );
 
 
+    /** Report how the listener reacted to an adaptation. */
+    const emitFeedback = useCallback(
+        (eventType: FeedbackEventType, adaptation: AdaptationDecision, metadata: Record<string, unknown> = {}) => {
+            eventEmitter.emit(eventType, {
+                adaptationId: adaptation.adaptationId,
+                strategy: adaptation.strategy,
+                currentTime: audioRef.current?.currentTime,
+                ...sectionContext,
+                ...metadata,
+            });
+        },
+        [sectionContext],
+    );
+
     /** Handle SLOW_NARRATION adaptation. */
     const handleSlowNarration = useCallback(
         (adaptation: AdaptationDecision): void => {
@@ -103,6 +179,7 @@ export const AudioPlayer: React.FC<AudioPlayerProps> = ({
             }
 
             seenAdaptationIds.current.add(adaptation.adaptationId);
+            appliedAdaptationRef.current = { adaptation, appliedAt: Date.now() };
             setPlaybackSpeed(targetSpeed);
             if (audioRef.current) {
                 audioRef.current.playbackRate = targetSpeed;
@@ -134,6 +211,7 @@ export const AudioPlayer: React.FC<AudioPlayerProps> = ({
             const audio = audioRef.current;
             if (audio) {
                 isSmartPaused.current = true;
+                appliedAdaptationRef.current = { adaptation, appliedAt: Date.now() };
                 if (!audio.paused) {
                     audio.pause();
                     setIsPlaying(false);
@@ -159,6 +237,92 @@ export const AudioPlayer: React.FC<AudioPlayerProps> = ({
         [announce, showAlert],
     );
 
+    /** Handle SUMMARY adaptation: show and read out a recap of what was just heard. */
+    const handleSummary = useCallback(
+        (adaptation: AdaptationDecision): void => {
+            seenAdaptationIds.current.add(adaptation.adaptationId);
+
+            const summaryText = adaptation.parameters.summaryText;
+            if (!summaryText) return;
+
+            showAlert(`Recap: ${summaryText}`, 'SUMMARY', adaptation.parameters.displayDuration ?? 20000);
+        },
+        [showAlert],
+    );
+
+    /** Stop a pending AUTO_REPEAT countdown; `byListener` reports it as rejected. */
+    const cancelAutoRepeat = useCallback(
+        (byListener: boolean = true) => {
+            if (!repeatCountdownRef.current) return;
+            clearInterval(repeatCountdownRef.current);
+            repeatCountdownRef.current = null;
+            setPendingRepeat(null);
+            if (byListener) {
+                announce('Repeat cancelled');
+                if (pendingRepeatAdaptationRef.current) {
+                    emitFeedback('ADAPTATION_REJECTED', pendingRepeatAdaptationRef.current);
+                }
+            }
+            pendingRepeatAdaptationRef.current = null;
+        },
+        [announce, emitFeedback],
+    );
+
+    /** Handle AUTO_REPEAT adaptation: count down, then rewind unless cancelled. */
+    const handleAutoRepeat = useCallback(
+        (adaptation: AdaptationDecision): void => {
+            seenAdaptationIds.current.add(adaptation.adaptationId);
+
+            const rewindTo: number | undefined = adaptation.parameters.rewindTo;
+            if (typeof rewindTo !== 'number' || repeatCountdownRef.current) {
+                console.log('[ADAPTATION] Skipping AUTO_REPEAT – no target or already pending');
+                return;
+            }
+
+            pendingRepeatAdaptationRef.current = adaptation;
+            const replaySeconds = Math.round(adaptation.parameters.replayDuration ?? 0);
+            let secondsLeft = Math.max(1, Math.round((adaptation.parameters.countdownMs ?? 3000) / 1000));
+            setPendingRepeat({ rewindTo, replaySeconds, secondsLeft });
+            announce(
+                `Repeating the last ${replaySeconds} seconds in ${secondsLeft} seconds. Press Escape to cancel.`,
+            );
+
+            repeatCountdownRef.current = setInterval(() => {
+                secondsLeft -= 1;
+                if (secondsLeft > 0) {
+                    setPendingRepeat((current) => (current ? { ...current, secondsLeft } : current));
+                    return;
+                }
+
+                if (repeatCountdownRef.current) clearInterval(repeatCountdownRef.current);
+                repeatCountdownRef.current = null;
+                pendingRepeatAdaptationRef.current = null;
+                setPendingRepeat(null);
+                if (audioRef.current) {
+                    audioRef.current.currentTime = rewindTo;
+                }
+                showAlert(`Repeating from ${formatTime(rewindTo)}`, 'AUTO_REPEAT', 4000);
+            }, 1000);
+        },
+        [announce, showAlert],
+    );
+
+    /** Dispatch an adaptation to its strategy handler. */
+    const runAdaptation = useCallback(
+        (adaptation: AdaptationDecision) => {
+            if (adaptation.strategy === 'SLOW_NARRATION') {
+                handleSlowNarration(adaptation);
+            } else if (adaptation.strategy === 'SMART_PAUSE') {
+                handleSmartPause(adaptation);
+            } else if (adaptation.strategy === 'AUTO_REPEAT') {
+                handleAutoRepeat(adaptation);
+            } else if (adaptation.strategy === 'SUMMARY') {
+                handleSummary(adaptation);
+            }
+        },
+        [handleAutoRepeat, handleSlowNarration, handleSmartPause, handleSummary],
+    );
+
     /**
      * Apply adaptation decisions automatically.
      * Extracted per-strategy handlers keep cognitive complexity low.
@@ -173,18 +337,36 @@ export const AudioPlayer: React.FC<AudioPlayerProps> = ({
                     return;
                 }
 
-                console.log('[ADAPTATION RECEIVED]', adaptation.strategy);
+                console.log('[ADAPTATION RECEIVED]', adaptation.strategy, adaptation.proactive ? '(proactive)' : '');
 
-                if (adaptation.strategy === 'SLOW_NARRATION') {
-                    handleSlowNarration(adaptation);
-                } else if (adaptation.strategy === 'SMART_PAUSE') {
-                    handleSmartPause(adaptation);
+                const startAt = adaptation.parameters.startAt;
+                if (typeof startAt === 'number' && (audioRef.current?.currentTime ?? 0) < startAt) {
+                    seenAdaptationIds.current.add(adaptation.adaptationId);
+                    scheduledAdaptationsRef.current.push(adaptation);
+                    return;
                 }
+
+                runAdaptation(adaptation);
             });
         },
-        [handleSlowNarration, handleSmartPause],
+        [runAdaptation],
     );
 
+    // Run scheduled adaptations once playback reaches them; drop the ones whose passage was skipped
+    useEffect(() => {
+        if (scheduledAdaptationsRef.current.length === 0) return;
+
+        const due: AdaptationDecision[] = [];
+        scheduledAdaptationsRef.current = scheduledAdaptationsRef.current.filter((adaptation) => {
+            const { startAt, passageEnd } = adaptation.parameters;
+            if (typeof passageEnd === 'number' && currentTime >= passageEnd) return false;
+            if (currentTime < (startAt ?? 0)) return true;
+            due.push(adaptation);
+            return false;
+        });
+        due.forEach(runAdaptation);
+    }, [currentTime, runAdaptation]);
+
 
     useEffect(() => {
         if (currentSectionIdRef.current === sectionId) return;
@@ -202,18 +384,55 @@ export const AudioPlayer: React.FC<AudioPlayerProps> = ({
         isSmartPaused.current = false;
         if (smartPauseTimeoutRef.current) clearTimeout(smartPauseTimeoutRef.current);
         if (reinforcementTimeoutRef.current) clearTimeout(reinforcementTimeoutRef.current);
+        cancelAutoRepeat(false);
+        scheduledAdaptationsRef.current = [];
         currentSectionIdRef.current = sectionId;
-    }, [sectionId]);
+    }, [sectionId, cancelAutoRepeat]);
+
+    useEffect(
+        () => () => {
+            if (repeatCountdownRef.current) clearInterval(repeatCountdownRef.current);
+        },
+        [],
+    );
+
+
+    useEffect(() => eventEmitter.onSessionChange(setSessionId), []);
+
+    // Adaptations are pushed by the backend as soon as they are decided (polling fallback)
+    useEffect(
+        () => subscribeToSession(sessionId, { onAdaptations: applyAdaptations }),
+        [sessionId, applyAdaptations],
+    );
 
+    useEffect(() => {
+        setTranscript([]);
+        setHeatmap(null);
+        if (!bookId || !chapterId) return;
+
+        let cancelled = false;
+        getChapterTranscript(bookId, chapterId).then((result) => {
+            if (!cancelled) setTranscript(result?.segments ?? []);
+        });
+        getChapterHeatmap(bookId, chapterId).then((result) => {
+            if (!cancelled) setHeatmap(result);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [bookId, chapterId]);
 
     useEffect(() => {
-        const adaptationInterval = setInterval(async () => {
-            const adaptations = await getActiveAdaptations(eventEmitter.getSessionId());
-            applyAdaptations(adaptations);
-        }, 2000);
+        transcriptRef.current = transcript;
+    }, [transcript]);
 
-        return () => clearInterval(adaptationInterval);
-    }, [applyAdaptations]);
+    useEffect(() => {
+        sectionContextRef.current = sectionContext;
+    }, [sectionContext]);
+
+    useEffect(() => {
+        activeCaptionRef.current?.scrollIntoView?.({ block: 'nearest', behavior: 'smooth' });
+    }, [activeSegment]);
 
     // Initialize the idle timer interaction base without violating React render purity
     useEffect(() => {
@@ -233,14 +452,16 @@ export const AudioPlayer: React.FC<AudioPlayerProps> = ({
                     audioRef.current.playbackRate = targetSpeed;
                 }
                 showAlert('Applying requested speed reduction', 'SLOW_NARRATION');
+                appliedAdaptationRef.current = { adaptation: pendingAdaptation, appliedAt: Date.now() };
             } else {
                 announce('Speed reduction declined');
             }
+            emitFeedback(accepted ? 'ADAPTATION_ACCEPTED' : 'ADAPTATION_REJECTED', pendingAdaptation);
 
             setPendingAdaptation(null);
             setLastInteractionTime(Date.now());
         },
-        [announce, pendingAdaptation, showAlert],
+        [announce, emitFeedback, pendingAdaptation, showAlert],
     );
 
 
@@ -250,14 +471,19 @@ export const AudioPlayer: React.FC<AudioPlayerProps> = ({
         idleTimerRef.current = setTimeout(() => {
             const idleDuration = Date.now() - lastInteractionTime;
             if (idleDuration > 10000) {
-                eventEmitter.emit('USER_IDLE', { idleDuration, currentTime, sectionId });
+                eventEmitter.emit('USER_IDLE', {
+                    idleDuration,
+                    currentTime,
+                    ...sectionContext,
+                    ...describePosition(currentTime),
+                });
             }
         }, 10000);
 
         return () => {
             if (idleTimerRef.current) clearTimeout(idleTimerRef.current);
         };
-    }, [lastInteractionTime, currentTime, sectionId]);
+    }, [lastInteractionTime, currentTime, sectionContext, describePosition]);
 
 
     useEffect(() => {
@@ -271,12 +497,23 @@ export const AudioPlayer: React.FC<AudioPlayerProps> = ({
 
 
     useEffect(() => {
-        if (!audioRef.current) return;
+        const audio = audioRef.current;
+        if (!audio) return;
         console.log('[AUDIO] Source changed, attempting autoplay');
-        safePlay(audioRef.current)
-            .then(() => setIsPlaying(true))
+        safePlay(audio)
+            .then(() => {
+                setIsPlaying(true);
+                // A chapter starting counts as playback starting: the backend schedules its difficult passages
+                if (audio.paused) return;
+                eventEmitter.emit('AUDIO_PLAY', {
+                    currentTime: audio.currentTime,
+                    ...sectionContextRef.current,
+                    ...describePosition(audio.currentTime),
+                    speed: audio.playbackRate,
+                });
+            })
             .catch(() => setIsPlaying(false));
-    }, [audioSrc]);
+    }, [audioSrc, describePosition]);
 
 
     useEffect(() => {
@@ -311,11 +548,12 @@ export const AudioPlayer: React.FC<AudioPlayerProps> = ({
             eventEmitter.emit('NAVIGATION_REVERSAL', {
                 fromTime: previousTime,
                 toTime: onSeekToTime,
-                sectionId,
+                ...sectionContext,
+                ...describePosition(onSeekToTime),
             });
         }
         audioRef.current.currentTime = onSeekToTime;
-    }, [onSeekToTime, sectionId]);
+    }, [onSeekToTime, sectionContext, describePosition]);
 
 
     const handlePlayPause = useCallback(() => {
@@ -327,16 +565,28 @@ export const AudioPlayer: React.FC<AudioPlayerProps> = ({
             setIsPlaying(false);
             eventEmitter.emit('AUDIO_PAUSE', {
                 currentTime: audio.currentTime,
-                sectionId,
+                ...sectionContext,
+                ...describePosition(audio.currentTime),
                 speed: playbackSpeed,
             });
             announce('Audio paused');
         } else {
+            // Resuming during a smart pause cuts it short
+            if (isSmartPaused.current) {
+                isSmartPaused.current = false;
+                if (smartPauseTimeoutRef.current) clearTimeout(smartPauseTimeoutRef.current);
+                const applied = appliedAdaptationRef.current;
+                if (applied?.adaptation.strategy === 'SMART_PAUSE') {
+                    emitFeedback('ADAPTATION_OVERRIDDEN', applied.adaptation);
+                    appliedAdaptationRef.current = null;
+                }
+            }
             safePlay(audio).then(() => {
                 setIsPlaying(true);
                 eventEmitter.emit('AUDIO_PLAY', {
                     currentTime: audio.currentTime,
-                    sectionId,
+                    ...sectionContext,
+                    ...describePosition(audio.currentTime),
                     speed: playbackSpeed,
                 });
                 announce('Audio playing');
@@ -344,7 +594,7 @@ export const AudioPlayer: React.FC<AudioPlayerProps> = ({
         }
 
         setLastInteractionTime(Date.now());
-    }, [announce, isPlaying, playbackSpeed, sectionId]);
+    }, [announce, emitFeedback, isPlaying, playbackSpeed, sectionContext, describePosition]);
 
     const handleSpeedChange = useCallback(
         (newSpeed: number) => {
@@ -360,17 +610,28 @@ export const AudioPlayer: React.FC<AudioPlayerProps> = ({
             setPlaybackSpeed(newSpeed);
             audio.playbackRate = newSpeed;
 
+            const applied = appliedAdaptationRef.current;
+            if (
+                applied?.adaptation.strategy === 'SLOW_NARRATION' &&
+                newSpeed > previousSpeed &&
+                Date.now() - applied.appliedAt < OVERRIDE_WINDOW_MS
+            ) {
+                emitFeedback('ADAPTATION_OVERRIDDEN', applied.adaptation, { speed: newSpeed, previousSpeed });
+                appliedAdaptationRef.current = null;
+            }
+
             eventEmitter.emit('AUDIO_SPEED_CHANGE', {
                 speed: newSpeed,
                 previousSpeed,
                 currentTime: audio.currentTime,
-                sectionId,
+                ...sectionContext,
+                ...describePosition(audio.currentTime),
             });
 
             announce(`Playback speed set to ${Math.round(newSpeed * 100)}%`);
             setLastInteractionTime(Date.now());
         },
-        [announce, playbackSpeed, sectionId],
+        [announce, emitFeedback, playbackSpeed, sectionContext, describePosition],
     );
 
     const handleSeek = useCallback(
@@ -387,7 +648,8 @@ export const AudioPlayer: React.FC<AudioPlayerProps> = ({
                     currentTime: newTime,
                     previousTime,
                     replayDuration: Math.abs(seconds),
-                    sectionId,
+                    ...sectionContext,
+                    ...describePosition(newTime),
                 });
                 announce(`Replayed ${Math.abs(seconds)} seconds`);
             } else {
@@ -395,14 +657,15 @@ export const AudioPlayer: React.FC<AudioPlayerProps> = ({
                     currentTime: newTime,
                     previousTime,
                     seekDuration: seconds,
-                    sectionId,
+                    ...sectionContext,
+                    ...describePosition(newTime),
                 });
                 announce(`Skipped forward ${seconds} seconds`);
             }
 
             setLastInteractionTime(Date.now());
         },
-        [announce, sectionId],
+        [announce, sectionContext, describePosition],
     );
 
 
@@ -430,11 +693,23 @@ export const AudioPlayer: React.FC<AudioPlayerProps> = ({
                     e.preventDefault();
                     handleSpeedChange(Math.max(0.5, playbackSpeed - 0.25));
                     break;
+                case 'c':
+                    if (transcript.length > 0) {
+                        e.preventDefault();
+                        setShowCaptions((shown) => !shown);
+                    }
+                    break;
+                case 'Escape':
+                    if (repeatCountdownRef.current) {
+                        e.preventDefault();
+                        cancelAutoRepeat();
+                    }
+                    break;
                 default:
                     break;
             }
         },
-        [handlePlayPause, handleSeek, handleSpeedChange, playbackSpeed],
+        [cancelAutoRepeat, handlePlayPause, handleSeek, handleSpeedChange, playbackSpeed, transcript.length],
     );
 
 
@@ -475,6 +750,26 @@ export const AudioPlayer: React.FC<AudioPlayerProps> = ({
                 </div>
             )}
 
+            {pendingRepeat && (
+                <div className="adaptation-alert auto_repeat">
+                    <span className="alert-icon">🔁</span>
+                    <div className="alert-content">
+                        <strong>ADAPTATION PENDING:</strong>
+                        <p>
+                            Repeating the last {pendingRepeat.replaySeconds} seconds in {pendingRepeat.secondsLeft}…
+                        </p>
+                    </div>
+                    <button
+                        type="button"
+                        className="alert-action"
+                        onClick={() => cancelAutoRepeat()}
+                        aria-label="Cancel automatic repeat"
+                    >
+                        Cancel
+                    </button>
+                </div>
+            )}
+
             {pendingAdaptation && (
                 <div className="adaptation-confirmation-overlay">
                     <div className="confirmation-dialog">
@@ -510,8 +805,35 @@ export const AudioPlayer: React.FC<AudioPlayerProps> = ({
                     {' • '}
                     {Math.round(playbackSpeed * 100)}% speed
                 </p>
+                <div className="progress-track" aria-hidden="true">
+                    <div
+                        className="progress-fill"
+                        style={{ width: `${duration > 0 ? Math.min(100, (currentTime / duration) * 100) : 0}%` }}
+                    />
+                </div>
+                {heatmap && <HeatmapStrip heatmap={heatmap} duration={duration} />}
             </div>
 
+            {transcript.length > 0 && showCaptions && (
+                <section className="captions-panel" aria-label="Transcript">
+                    <ol className="caption-list">
+                        {transcript.map((segment) => {
+                            const isActive = segment.id === activeSegment?.id;
+                            return (
+                                <li
+                                    key={segment.id}
+                                    ref={isActive ? activeCaptionRef : undefined}
+                                    className={isActive ? 'caption active' : 'caption'}
+                                    aria-current={isActive ? 'true' : undefined}
+                                >
+                                    {segment.text}
+                                </li>
+                            );
+                        })}
+                    </ol>
+                </section>
+            )}
+
             <div className="player-controls">
                 <button
                     onClick={onPreviousChapter}
@@ -556,6 +878,19 @@ export const AudioPlayer: React.FC<AudioPlayerProps> = ({
                 </button>
             </div>
 
+            {transcript.length > 0 && (
+                <div className="caption-toggle">
+                    <button
+                        type="button"
+                        className="alert-action"
+                        onClick={() => setShowCaptions((shown) => !shown)}
+                        aria-pressed={showCaptions}
+                    >
+                        {showCaptions ? 'Hide captions' : 'Show captions'}
+                    </button>
+                </div>
+            )}
+
             <div className="speed-controls">
                 <label htmlFor="speed-select">Playback Speed:</label>
                 <select
@@ -583,7 +918,7 @@ export const AudioPlayer: React.FC<AudioPlayerProps> = ({
             </div>
 
             <div className="keyboard-hints" aria-label="Keyboard shortcuts">
-                <p>Keyboard shortcuts: Space/K = Play/Pause • ← = -10s • → = +10s • ↑↓ = Speed</p>
+                <p>Keyboard shortcuts: Space/K = Play/Pause • ← = -10s • → = +10s • ↑↓ = Speed • C = Captions • Esc = Cancel repeat</p>
             </div>
         </section>
     );
@@ -12,6 +12,7 @@ import React, { useState, useEffect } from 'react';
 import { BookCard } from './BookCard';
 import type { Audiobook } from '../types/audiobook';
 import { getAllBooks, createBook, updateBook, deleteBook } from '../services/apiClient';
+import { useAuth } from '../contexts/AuthContext';
 import './BookLibrary.css';
 
 interface BookLibraryProps {
@@ -24,6 +25,11 @@ export const BookLibrary: React.FC<BookLibraryProps> = ({ onSelectBook, onToggle
     const [searchQuery, setSearchQuery] = useState('');
     const [isEditing, setIsEditing] = useState(false);
     const [currentBook, setCurrentBook] = useState<Partial<Audiobook> | null>(null);
+    const { roles } = useAuth();
+
+    // Same rules as the data service: editors change the catalog, admins may also delete books
+    const canEditCatalog = roles.includes('editor') || roles.includes('admin');
+    const canDeleteBooks = roles.includes('admin');
 
     const [userProgress] = useState<{ [key: string]: number }>({
         'book-1': 45,
@@ -77,7 +83,10 @@ export const BookLibrary: React.FC<BookLibraryProps> = ({ onSelectBook, onToggle
                 console.error('Response data:', err.response.data);
                 console.error('Response status:', err.response.status);
             }
-            const msg = err.response?.data?.error || err.response?.data?.details || 'Unknown server error';
+            const details: { path: string; message: string }[] | undefined = err.response?.data?.details;
+            const msg = Array.isArray(details)
+                ? `${err.response.data.error}: ${details.map(d => `${d.path} ${d.message}`).join('; ')}`
+                : err.response?.data?.error || err.response?.data?.details || 'Unknown server error';
             alert(`Failed to save book: ${msg}`);
         }
     };
@@ -119,16 +128,18 @@ export const BookLibrary: React.FC<BookLibraryProps> = ({ onSelectBook, onToggle
                     </div>
                 </div>
 
-                <button className="btn btn-primary library-btn" onClick={() => { setCurrentBook({}); setIsEditing(true); }}>
-                    ➕ Add Book
-                </button>
+                {canEditCatalog && (
+                    <button className="btn btn-primary library-btn" onClick={() => { setCurrentBook({}); setIsEditing(true); }}>
+                        ➕ Add Book
+                    </button>
+                )}
                 <button className="btn btn-secondary library-btn" onClick={loadBooks}>
                     ↻ Refresh
                 </button>
             </header>
 
             {/* Edit/Add Modal */}
-            {isEditing && (
+            {isEditing && canEditCatalog && (
                 <div className="modal-overlay">
                     <div className="modal-content">
                         <h2>{currentBook?.id ? 'Edit Book' : 'Add New Book'}</h2>
@@ -232,8 +243,8 @@ export const BookLibrary: React.FC<BookLibraryProps> = ({ onSelectBook, onToggle
                                 book={book}
                                 progress={userProgress[book.id]}
                                 onPlay={onSelectBook}
-                                onEdit={(book) => { setCurrentBook(book); setIsEditing(true); }}
-                                onDelete={handleDeleteBook}
+                                onEdit={canEditCatalog ? (book) => { setCurrentBook(book); setIsEditing(true); } : undefined}
+                                onDelete={canDeleteBooks ? handleDeleteBook : undefined}
                                 showProgress={!!userProgress[book.id]}
                             />
                         ))}
@@ -0,0 +1,122 @@
+/**
+ * CONSENT PANEL
+ *
+ * Lets the listener choose what is recorded about their listening, withdraw
+ * consent, or erase everything stored about them. Without behavioral consent
+ * the backend keeps events unlinked from the account (or refuses them,
+ * depending on CONSENT_ENFORCEMENT).
+ */
+
+import React, { useState } from 'react';
+import type { ConsentScope, ParticipantConsent } from '../types';
+import { deleteUserData, saveConsent, withdrawConsent } from '../services/apiClient';
+import './ConsentPanel.css';
+
+const STUDY_ID = import.meta.env.VITE_STUDY_ID || 'default';
+
+const SCOPE_DESCRIPTIONS: Record<ConsentScope, string> = {
+    behavioral: 'Record how I listen (pauses, replays, speed changes) to adapt narration to me',
+    research: 'Include my listening data, under a pseudonym, in research exports'
+};
+
+interface ConsentPanelProps {
+    userId: string;
+    consent: ParticipantConsent | null;
+    onChange: (consent: ParticipantConsent | null) => void;
+    onClose: () => void;
+}
+
+export const ConsentPanel: React.FC<ConsentPanelProps> = ({ userId, consent, onChange, onClose }) => {
+    const active = Boolean(consent && (consent.allows.behavioral || consent.allows.research));
+    const [scopes, setScopes] = useState<ConsentScope[]>(
+        active && consent ? consent.scopes : ['behavioral', 'research']
+    );
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState<string | null>(null);
+
+    const run = async (action: () => Promise<void>) => {
+        setBusy(true);
+        setError(null);
+        try {
+            await action();
+        } catch {
+            setError('That did not work, please try again.');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const toggleScope = (scope: ConsentScope) => {
+        setScopes((current) => (current.includes(scope)
+            ? current.filter((s) => s !== scope)
+            : [...current, scope]));
+    };
+
+    const handleSave = () => run(async () => {
+        onChange(await saveConsent(userId, { studyId: STUDY_ID, scopes }));
+        onClose();
+    });
+
+    const handleWithdraw = () => run(async () => {
+        onChange(await withdrawConsent(userId));
+    });
+
+    const handleDelete = () => {
+        if (!globalThis.confirm('Delete all listening data stored about you? This cannot be undone.')) return;
+        run(async () => {
+            await deleteUserData(userId);
+            onChange(null);
+        });
+    };
+
+    return (
+        <div className="consent-overlay" role="dialog" aria-modal="true" aria-labelledby="consent-title">
+            <div className="consent-panel">
+                <h2 id="consent-title">Your listening data</h2>
+                <p>
+                    This player adapts narration to how you listen and is part of a research study.
+                    Choose what may be recorded; you can change this at any time.
+                </p>
+
+                <fieldset disabled={busy}>
+                    {(Object.keys(SCOPE_DESCRIPTIONS) as ConsentScope[]).map((scope) => (
+                        <label key={scope} className="consent-scope">
+                            <input
+                                type="checkbox"
+                                checked={scopes.includes(scope)}
+                                onChange={() => toggleScope(scope)}
+                            />
+                            {SCOPE_DESCRIPTIONS[scope]}
+                        </label>
+                    ))}
+                </fieldset>
+
+                {consent && (
+                    <p className="consent-status">
+                        {active
+                            ? `Consent given ${new Date(consent.grantedAt).toLocaleDateString()} (study ${consent.studyId})`
+                            : `Consent withdrawn ${new Date(consent.withdrawnAt ?? consent.updatedAt).toLocaleDateString()}`}
+                    </p>
+                )}
+                {error && <p className="consent-error" role="alert">{error}</p>}
+
+                <div className="consent-actions">
+                    <button className="btn btn-primary" onClick={handleSave} disabled={busy}>
+                        Save choices
+                    </button>
+                    {active && (
+                        <button className="btn btn-secondary" onClick={handleWithdraw} disabled={busy}>
+                            Withdraw consent
+                        </button>
+                    )}
+                    <button className="btn btn-secondary consent-delete" onClick={handleDelete} disabled={busy}>
+                        Delete my data
+                    </button>
+                    <button className="btn btn-secondary" onClick={onClose} disabled={busy}>
+                        Not now
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
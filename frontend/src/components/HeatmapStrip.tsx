@@ -0,0 +1,53 @@
+/**
+ * PASSAGE HEATMAP STRIP
+ *
+ * Thin bar showing where listeners replay, pause or jump back in a chapter.
+ * Darker cells mark harder passages. Used under the player progress bar and
+ * in the research dashboard.
+ */
+
+import React from 'react';
+import type { ChapterHeatmap } from '../types/audiobook';
+import './HeatmapStrip.css';
+
+interface HeatmapStripProps {
+    heatmap: ChapterHeatmap;
+    // Chapter length in seconds; defaults to the end of the last bin
+    duration?: number;
+    currentTime?: number;
+}
+
+function formatOffset(seconds: number): string {
+    return `${Math.floor(seconds / 60)}:${Math.floor(seconds % 60).toString().padStart(2, '0')}`;
+}
+
+export const HeatmapStrip: React.FC<HeatmapStripProps> = ({ heatmap, duration, currentTime }) => {
+    const bins = heatmap.bins.filter((bin) => bin.difficulty > 0);
+    const total = duration || Math.max(0, ...heatmap.bins.map((bin) => bin.end));
+    if (bins.length === 0 || total <= 0) return null;
+
+    const hardest = bins.reduce((a, b) => (b.difficulty > a.difficulty ? b : a));
+    const label =
+        `Passage difficulty across ${heatmap.sessionCount} listening sessions. ` +
+        `Hardest around ${formatOffset(hardest.start)} to ${formatOffset(hardest.end)}.`;
+
+    return (
+        <div className="heatmap-strip" role="img" aria-label={label}>
+            {bins.map((bin) => (
+                <span
+                    key={bin.start}
+                    className="heatmap-cell"
+                    title={`${formatOffset(bin.start)}–${formatOffset(bin.end)}: ${bin.replays} replays, ${bin.pauses} pauses, ${bin.reversals} reversals`}
+                    style={{
+                        left: `${(bin.start / total) * 100}%`,
+                        width: `${(Math.min(bin.end, total) - bin.start) / total * 100}%`,
+                        opacity: 0.2 + 0.8 * bin.difficulty,
+                    }}
+                />
+            ))}
+            {currentTime !== undefined && (
+                <span className="heatmap-playhead" style={{ left: `${Math.min(100, (currentTime / total) * 100)}%` }} />
+            )}
+        </div>
+    );
+};
@@ -5,52 +5,98 @@
  * - Behavioral event timeline
  * - Cognitive load indicators
  * - Adaptation actions
+ * - Passage difficulty heatmap of the chapter being played
  * - Before/after metrics
  * 
  * FOR RESEARCH DEMONSTRATION ONLY - Not for end users
  */
 
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { eventEmitter } from '../services/EventEmitter';
-import { getCognitiveState, getAdaptationHistory, getEventHistory } from '../services/apiClient';
+import { getAdaptationHistory, getChapterHeatmap, getEventHistory, subscribeToSession } from '../services/apiClient';
 import type { CognitiveState, AdaptationDecision, BehavioralEvent } from '../types';
+import type { ChapterHeatmap } from '../types/audiobook';
+import { HeatmapStrip } from './HeatmapStrip';
 
 export const ResearchDashboard: React.FC = () => {
     const [cognitiveState, setCognitiveState] = useState<CognitiveState | null>(null);
     const [adaptations, setAdaptations] = useState<AdaptationDecision[]>([]);
     const [events, setEvents] = useState<BehavioralEvent[]>([]);
-    const currentSessionIdRef = useRef<string>(eventEmitter.getSessionId());
+    const [sessionId, setSessionId] = useState(() => eventEmitter.getSessionId());
+    const [heatmap, setHeatmap] = useState<ChapterHeatmap | null>(null);
+
+    useEffect(() => eventEmitter.onSessionChange(setSessionId), []);
+
+    // Chapter of the most recent event, as "bookId/chapterId"
+    const currentChapter = useMemo(() => {
+        const latest = events
+            .slice()
+            .reverse()
+            .find((event) => event.metadata?.bookId && event.metadata?.chapterId);
+        return latest ? `${latest.metadata.bookId}/${latest.metadata.chapterId}` : null;
+    }, [events]);
+
+    useEffect(() => {
+        setHeatmap(null);
+        if (!currentChapter) return;
+
+        let cancelled = false;
+        const [bookId, chapterId] = currentChapter.split('/');
+        getChapterHeatmap(bookId, chapterId).then((result) => {
+            if (!cancelled) setHeatmap(result);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [currentChapter]);
+
+    // Replays tagged with a transcript segment, most replayed first
+    const replayedPassages = useMemo(() => {
+        const counts = new Map<string, number>();
+        for (const event of events) {
+            const segmentId = event.metadata?.segmentId;
+            if (event.eventType === 'AUDIO_REPLAY' && segmentId) {
+                counts.set(segmentId, (counts.get(segmentId) || 0) + 1);
+            }
+        }
+        return [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 5);
+    }, [events]);
 
     useEffect(() => {
-        const interval = setInterval(async () => {
-            const sessionId = eventEmitter.getSessionId();
+        console.log(`[DASHBOARD] Watching session ${sessionId}`);
+        setCognitiveState(null);
+        setAdaptations([]);
+        setEvents([]);
 
+        const refreshHistory = async () => {
             try {
-                const [state, adaps, evts] = await Promise.all([
-                    getCognitiveState(sessionId),
+                const [adaps, evts] = await Promise.all([
                     getAdaptationHistory(sessionId, 10),
                     getEventHistory(sessionId, 20)
                 ]);
-
-                if (sessionId !== currentSessionIdRef.current) {
-                    console.log(`[DASHBOARD] Session changed from ${currentSessionIdRef.current} to ${sessionId}. Resetting local state.`);
-                    setCognitiveState(null);
-                    setAdaptations([]);
-                    setEvents([]);
-                    currentSessionIdRef.current = sessionId;
-                    return;
-                }
-
-                if (state) setCognitiveState(state);
                 setAdaptations(adaps || []);
                 setEvents(evts || []);
             } catch (error) {
                 console.warn('[Research Dashboard] Backend not responding:', error);
             }
-        }, 3000);
+        };
 
-        return () => clearInterval(interval);
-    }, []);
+        refreshHistory();
+
+        return subscribeToSession(sessionId, {
+            // Each analysis follows new events, so refresh the event log alongside the state
+            onCognitiveState: (state) => {
+                setCognitiveState(state);
+                refreshHistory();
+            },
+            onAdaptations: (incoming) => {
+                setAdaptations(prev => {
+                    const known = new Set(prev.map(a => a.adaptationId));
+                    return [...prev, ...incoming.filter(a => !known.has(a.adaptationId))].slice(-10);
+                });
+            }
+        }, 3000);
+    }, [sessionId]);
 
     const getCognitiveLoadColor = (load: string | undefined) => {
         if (!load) return '#94a3b8';
@@ -88,6 +134,17 @@ export const ResearchDashboard: React.FC = () => {
                         </div>
                         <div className="load-details">
                             <p><strong>Confidence:</strong> {((cognitiveState.confidence || 0) * 100).toFixed(0)}%</p>
+                            {cognitiveState.trend && (
+                                <p>
+                                    <strong>Trend:</strong> {cognitiveState.trend}
+                                    {cognitiveState.instantLoad && cognitiveState.instantLoad !== cognitiveState.cognitiveLoad
+                                        ? ` (current window: ${cognitiveState.instantLoad})`
+                                        : ''}
+                                </p>
+                            )}
+                            {cognitiveState.baselineApplied && (
+                                <p><strong>Calibrated:</strong> relative to listener baseline</p>
+                            )}
                             <p><strong>Patterns Detected:</strong></p>
                             <ul>
                                 {cognitiveState.patterns && cognitiveState.patterns.length > 0 ? (
@@ -135,6 +192,28 @@ export const ResearchDashboard: React.FC = () => {
                 </div>
             ) : null}
 
+            {/* Where listeners struggle in this chapter, across all sessions */}
+            {heatmap && (
+                <div className="metrics-panel">
+                    <h4>Passage Difficulty ({heatmap.sessionCount} sessions)</h4>
+                    <HeatmapStrip heatmap={heatmap} />
+                </div>
+            )}
+
+            {/* Passages that triggered replays (needs a chapter transcript) */}
+            {replayedPassages.length > 0 && (
+                <div className="metrics-panel">
+                    <h4>Replayed Passages</h4>
+                    <ul>
+                        {replayedPassages.map(([segmentId, count]) => (
+                            <li key={segmentId}>
+                                <strong>{segmentId}</strong>: {count} {count === 1 ? 'replay' : 'replays'}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
             {/* Adaptation Timeline */}
             <div className="adaptations-panel">
                 <h4>Adaptation Actions ({adaptations.length})</h4>
@@ -146,9 +225,26 @@ export const ResearchDashboard: React.FC = () => {
                                     {new Date(adaptation.timestamp).toLocaleTimeString()}
                                 </span>
                                 <div className="adaptation-details">
-                                    <strong>{(adaptation.strategy || '').replaceAll(/_/g, ' ')}</strong>
+                                    <strong>
+                                        {(adaptation.strategy || '').replaceAll(/_/g, ' ')}
+                                        {adaptation.proactive ? ' (proactive)' : ''}
+                                        {adaptation.delivered === false ? ' (withheld)' : ''}
+                                    </strong>
                                     <p>{adaptation.reason || 'No reason provided'}</p>
                                     <small>Triggered by: {adaptation.triggeredBy && adaptation.triggeredBy.length > 0 ? adaptation.triggeredBy.join(', ') : 'behavioral signals'}</small>
+                                    {adaptation.feedback && (
+                                        <small> • Listener {adaptation.feedback.outcome} it</small>
+                                    )}
+                                    {adaptation.experiment && (
+                                        <small> • Experiment {adaptation.experiment.experimentId}, arm {adaptation.experiment.armId}</small>
+                                    )}
+                                    {adaptation.policy && (
+                                        <small>
+                                            {' '}• Bandit arm {adaptation.policy.arm}
+                                            {adaptation.policy.explored ? ' (exploring)' : ''}
+                                            {adaptation.reward !== undefined ? `, reward ${adaptation.reward.toFixed(2)}` : ''}
+                                        </small>
+                                    )}
                                 </div>
                             </div>
                         ))
@@ -1,6 +1,7 @@
 import React, { createContext, useState, useEffect, useContext, useMemo } from 'react';
 import { getCurrentUser, signOut, fetchAuthSession } from 'aws-amplify/auth';
 import type { AuthUser } from 'aws-amplify/auth';
+import { setAuthTokenProvider } from '../services/apiClient';
 
 interface AuthContextType {
     user: AuthUser | null;
@@ -8,6 +9,8 @@ interface AuthContextType {
     logout: () => Promise<void>;
     isAuthenticated: boolean;
     token: string | null;
+    // Cognito groups of the user (editor, admin, researcher); listeners have none
+    roles: string[];
 }
 
 const AuthContext = createContext<AuthContextType>({
@@ -15,13 +18,22 @@ const AuthContext = createContext<AuthContextType>({
     isLoading: true,
     logout: async () => { },
     isAuthenticated: false,
-    token: null
+    token: null,
+    roles: []
 });
 
+/**
+ * Groups from the ID token's cognito:groups claim
+ */
+function groupsOf(claim: unknown): string[] {
+    return Array.isArray(claim) ? claim.map(String) : [];
+}
+
 export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children }) => {
     const [user, setUser] = useState<AuthUser | null>(null);
     const [isLoading, setIsLoading] = useState(true);
     const [token, setToken] = useState<string | null>(null);
+    const [roles, setRoles] = useState<string[]>([]);
 
     useEffect(() => {
         checkUser();
@@ -34,7 +46,9 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
                 userId: 'dev-user-id',
                 username: 'DevUser'
             } as AuthUser);
+            setAuthTokenProvider(async () => 'mock-dev-token');
             setToken('mock-dev-token');
+            setRoles((import.meta.env.VITE_DEV_ROLES ?? 'admin').split(',').filter(Boolean));
             setIsLoading(false);
             return;
         }
@@ -43,12 +57,20 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
             const currentUser = await getCurrentUser();
             const session = await fetchAuthSession();
 
+            const idToken = session.tokens?.idToken?.toString() || null;
+
+            // The API client needs it before children re-render and start requesting.
+            // Amplify refreshes the ID token once it has expired, so ask it on every request
+            setAuthTokenProvider(async () => (await fetchAuthSession()).tokens?.idToken?.toString() ?? null);
             setUser(currentUser);
-            setToken(session.tokens?.idToken?.toString() || null);
+            setToken(idToken);
+            setRoles(groupsOf(session.tokens?.idToken?.payload['cognito:groups']));
         } catch (error) {
             console.log('[Auth] No user signed in or error fetching session:', error);
+            setAuthTokenProvider(null);
             setUser(null);
             setToken(null);
+            setRoles([]);
         } finally {
             setIsLoading(false);
         }
@@ -57,8 +79,10 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     async function logout() {
         try {
             await signOut();
+            setAuthTokenProvider(null);
             setUser(null);
             setToken(null);
+            setRoles([]);
         } catch (error) {
             console.error('[Auth] Error signing out:', error);
         }
@@ -69,8 +93,9 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
         isLoading,
         logout,
         isAuthenticated: !!user,
-        token
-    }), [user, isLoading, token]);
+        token,
+        roles
+    }), [user, isLoading, token, roles]);
 
     return (
         <AuthContext.Provider value={contextValue}>
@@ -12,9 +12,11 @@ const API_BASE_URL = import.meta.env.VITE_API_URL || '';
 
 class EventEmitter {
     private sessionId: string;
+    private userId: string | null = null;
     private eventQueue: Partial<BehavioralEvent>[] = [];
     private readonly batchInterval: number = 2000;
     private batchTimer: any = null;
+    private readonly sessionListeners = new Set<(sessionId: string) => void>();
 
     constructor() {
         this.sessionId = this.generateSessionId();
@@ -30,6 +32,13 @@ class EventEmitter {
         return `session_${Date.now()}_${array[0].toString(36)}`;
     }
 
+    /**
+     * Attribute subsequent events to a signed-in listener (used for per-user baselines)
+     */
+    public setUserId(userId: string | null) {
+        this.userId = userId;
+    }
+
     /**
      * Emit a behavioral event
      * 
@@ -70,6 +79,7 @@ class EventEmitter {
         try {
             await axios.post(`${API_BASE_URL}/api/events/ingest`, {
                 sessionId: this.sessionId,
+                userId: this.userId ?? undefined,
                 ...event
             });
         } catch (error) {
@@ -99,6 +109,7 @@ class EventEmitter {
         try {
             await axios.post(`${API_BASE_URL}/api/events/batch`, {
                 sessionId: this.sessionId,
+                userId: this.userId ?? undefined,
                 events: eventsToSend
             });
 
@@ -138,6 +149,19 @@ class EventEmitter {
         this.startBatchProcessing();
         this.emit('SESSION_START');
         console.log(`[SESSION] Refreshed. New ID: ${this.sessionId}`);
+        this.sessionListeners.forEach(listener => listener(this.sessionId));
+    }
+
+    /**
+     * Subscribe to session ID changes
+     *
+     * @returns Unsubscribe function
+     */
+    public onSessionChange(listener: (sessionId: string) => void): () => void {
+        this.sessionListeners.add(listener);
+        return () => {
+            this.sessionListeners.delete(listener);
+        };
     }
 
     /**
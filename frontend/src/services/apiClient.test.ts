@@ -0,0 +1,124 @@
+import axios from 'axios';
+import type { AxiosAdapter } from 'axios';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { getActiveAdaptations, setAuthTokenProvider, subscribeToSession } from './apiClient';
+
+const originalAdapter = axios.defaults.adapter;
+
+function recordAuthorization(): (string | undefined)[] {
+    const sent: (string | undefined)[] = [];
+    const adapter: AxiosAdapter = async (config) => {
+        sent.push(config.headers.Authorization as string | undefined);
+        return { data: { activeAdaptations: [] }, status: 200, statusText: 'OK', headers: {}, config };
+    };
+    axios.defaults.adapter = adapter;
+    return sent;
+}
+
+describe('API client auth', () => {
+    afterEach(() => {
+        setAuthTokenProvider(null);
+        axios.defaults.adapter = originalAdapter;
+    });
+
+    it('asks the provider for a token on every request, so refreshed tokens are used', async () => {
+        const sent = recordAuthorization();
+        const tokens = ['first', 'refreshed'];
+        setAuthTokenProvider(async () => tokens.shift() ?? null);
+
+        await getActiveAdaptations('s1');
+        await getActiveAdaptations('s1');
+
+        expect(sent).toEqual(['Bearer first', 'Bearer refreshed']);
+    });
+
+    it('sends no Authorization header when signed out or the token cannot be had', async () => {
+        const sent = recordAuthorization();
+
+        await getActiveAdaptations('s1');
+        setAuthTokenProvider(async () => { throw new Error('refresh token expired'); });
+        await getActiveAdaptations('s1');
+
+        expect(sent).toEqual([undefined, undefined]);
+    });
+});
+
+class FakeEventSource {
+    static readonly CLOSED = 2;
+    static instances: FakeEventSource[] = [];
+
+    readyState = 0;
+    private listeners = new Map<string, ((event: unknown) => void)[]>();
+
+    constructor(readonly url: string) {
+        FakeEventSource.instances.push(this);
+    }
+
+    addEventListener(type: string, listener: (event: unknown) => void): void {
+        this.listeners.set(type, [...(this.listeners.get(type) ?? []), listener]);
+    }
+
+    close(): void {
+        this.readyState = FakeEventSource.CLOSED;
+    }
+
+    emit(type: string, event: unknown = {}): void {
+        this.listeners.get(type)?.forEach((listener) => listener(event));
+    }
+}
+
+function recordRequests(): string[] {
+    const urls: string[] = [];
+    const adapter: AxiosAdapter = async (config) => {
+        urls.push(config.url ?? '');
+        return { data: { activeAdaptations: [] }, status: 200, statusText: 'OK', headers: {}, config };
+    };
+    axios.defaults.adapter = adapter;
+    return urls;
+}
+
+describe('session stream', () => {
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+        FakeEventSource.instances = [];
+        axios.defaults.adapter = originalAdapter;
+    });
+
+    it('polls while the stream is down and stops once it reopens', async () => {
+        vi.useFakeTimers();
+        vi.stubGlobal('EventSource', FakeEventSource);
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const requests = recordRequests();
+        const received: unknown[] = [];
+
+        const unsubscribe = subscribeToSession('s1', { onAdaptations: (adaptations) => received.push(...adaptations) }, 2000);
+        await vi.advanceTimersByTimeAsync(0);
+        expect(FakeEventSource.instances.map((source) => source.url)).toEqual(['/api/stream/s1']);
+
+        // The stream fails for good: poll instead, and try the stream again later
+        const [first] = FakeEventSource.instances;
+        first.readyState = FakeEventSource.CLOSED;
+        first.emit('error');
+        await vi.advanceTimersByTimeAsync(4000);
+        expect(requests).toEqual(Array(3).fill('/api/adaptations/s1/active'));
+
+        await vi.advanceTimersByTimeAsync(26000);
+        expect(FakeEventSource.instances).toHaveLength(2);
+
+        // Reopened: one catch-up poll, then only the stream
+        const second = FakeEventSource.instances[1];
+        second.emit('open');
+        await vi.advanceTimersByTimeAsync(0);
+        const polled = requests.length;
+        await vi.advanceTimersByTimeAsync(10000);
+        expect(requests).toHaveLength(polled);
+
+        second.emit('adaptation', { data: JSON.stringify({ adaptationId: 'a1' }) });
+        expect(received).toContainEqual({ adaptationId: 'a1' });
+
+        unsubscribe();
+        expect(second.readyState).toBe(FakeEventSource.CLOSED);
+    });
+});
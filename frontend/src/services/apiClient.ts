@@ -1,14 +1,51 @@
 /**
  * ADAPTATION API CLIENT
  * 
- * Service for polling and receiving adaptation decisions from backend
+ * Service for receiving adaptation decisions from backend
+ * (server push over SSE, with polling as fallback)
  */
 
 import axios from 'axios';
-import type { AdaptationDecision } from '../types';
+import type { AdaptationDecision, CognitiveState, ConsentScope, ParticipantConsent } from '../types';
+import type { ChapterHeatmap, ChapterTranscript, ChapterTranscriptInput } from '../types/audiobook';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || '';
 
+const STREAM_RETRY_MS = 30000;
+
+type AuthTokenProvider = () => Promise<string | null>;
+
+let authTokenProvider: AuthTokenProvider | null = null;
+
+/**
+ * Where API requests get the signed-in listener's token
+ *
+ * Asked before every request on the shared axios instance (so the event emitter's
+ * requests are covered too) and before every stream (re)connect. ID tokens expire
+ * after about an hour; a provider that refreshes them (Amplify's fetchAuthSession)
+ * keeps the client working past that. EventSource cannot set headers; streams
+ * pass the token as ?access_token=.
+ */
+export function setAuthTokenProvider(provider: AuthTokenProvider | null): void {
+    authTokenProvider = provider;
+}
+
+async function currentAuthToken(): Promise<string | null> {
+    if (!authTokenProvider) return null;
+    try {
+        return await authTokenProvider();
+    } catch (error) {
+        console.warn('[AUTH] Could not get a token:', error);
+        return null;
+    }
+}
+
+axios.interceptors.request.use(async (config) => {
+    const token = await currentAuthToken();
+    if (token) config.headers.Authorization = `Bearer ${token}`;
+    return config;
+});
+
 /**
  * Poll for active adaptations
  */
@@ -22,10 +59,103 @@ export async function getActiveAdaptations(sessionId: string): Promise<Adaptatio
     }
 }
 
+export interface SessionStreamHandlers {
+    onAdaptations?: (adaptations: AdaptationDecision[]) => void;
+    onCognitiveState?: (state: CognitiveState) => void;
+}
+
+/**
+ * Subscribe to adaptations and cognitive states for a session
+ *
+ * Uses the gateway SSE stream (/api/stream/:sessionId). While the stream is
+ * unavailable it polls instead, and retries the stream periodically.
+ *
+ * @returns Unsubscribe function
+ */
+export function subscribeToSession(
+    sessionId: string,
+    handlers: SessionStreamHandlers,
+    pollIntervalMs: number = 2000
+): () => void {
+    let source: EventSource | null = null;
+    let pollTimer: ReturnType<typeof setInterval> | null = null;
+    let retryTimer: ReturnType<typeof setTimeout> | null = null;
+    let closed = false;
+
+    const poll = async () => {
+        if (handlers.onAdaptations) {
+            const adaptations = await getActiveAdaptations(sessionId);
+            if (!closed) handlers.onAdaptations(adaptations);
+        }
+        if (handlers.onCognitiveState) {
+            const state = await getCognitiveState(sessionId);
+            if (!closed && state?.cognitiveLoad) handlers.onCognitiveState(state);
+        }
+    };
+
+    const startPolling = () => {
+        if (pollTimer || closed) return;
+        console.warn('[STREAM] Stream unavailable, falling back to polling');
+        poll();
+        pollTimer = setInterval(poll, pollIntervalMs);
+    };
+
+    const stopPolling = () => {
+        if (pollTimer) clearInterval(pollTimer);
+        pollTimer = null;
+    };
+
+    const connect = async () => {
+        if (closed) return;
+        if (typeof EventSource === 'undefined') {
+            startPolling();
+            return;
+        }
+
+        // Fresh on every (re)connect: the gateway refuses streams opened with an expired token
+        const token = await currentAuthToken();
+        if (closed) return;
+        const query = token ? `?access_token=${encodeURIComponent(token)}` : '';
+        source = new EventSource(`${API_BASE_URL}/api/stream/${encodeURIComponent(sessionId)}${query}`);
+
+        source.addEventListener('open', () => {
+            stopPolling();
+            // Catch up on anything published while we were not connected
+            poll();
+        });
+
+        source.addEventListener('adaptation', (message) => {
+            handlers.onAdaptations?.([JSON.parse((message as MessageEvent).data)]);
+        });
+
+        source.addEventListener('cognitive-state', (message) => {
+            handlers.onCognitiveState?.(JSON.parse((message as MessageEvent).data));
+        });
+
+        source.addEventListener('error', () => {
+            startPolling();
+            // A closed source will not reconnect on its own
+            if (source?.readyState === EventSource.CLOSED) {
+                source = null;
+                retryTimer = setTimeout(connect, STREAM_RETRY_MS);
+            }
+        });
+    };
+
+    connect();
+
+    return () => {
+        closed = true;
+        source?.close();
+        stopPolling();
+        if (retryTimer) clearTimeout(retryTimer);
+    };
+}
+
 /**
  * Get cognitive state for session
  */
-export async function getCognitiveState(sessionId: string) {
+export async function getCognitiveState(sessionId: string): Promise<CognitiveState | null> {
     try {
         const response = await axios.get(`${API_BASE_URL}/api/cognitive/${sessionId}`);
         return response.data;
@@ -114,3 +244,119 @@ export const deleteBook = async (id: string) => {
         throw error;
     }
 };
+
+/**
+ * --- Chapter Transcripts ---
+ */
+
+export const getChapterTranscript = async (bookId: string, chapterId: string): Promise<ChapterTranscript | null> => {
+    try {
+        const response = await axios.get(
+            `${API_BASE_URL}/api/books/${encodeURIComponent(bookId)}/chapters/${encodeURIComponent(chapterId)}/transcript`
+        );
+        return response.data;
+    } catch (error) {
+        if (!axios.isAxiosError(error) || error.response?.status !== 404) {
+            console.error('Error fetching transcript:', error);
+        }
+        return null;
+    }
+};
+
+export const saveChapterTranscript = async (
+    bookId: string,
+    chapterId: string,
+    transcript: ChapterTranscriptInput
+): Promise<ChapterTranscript> => {
+    try {
+        const response = await axios.put(
+            `${API_BASE_URL}/api/books/${encodeURIComponent(bookId)}/chapters/${encodeURIComponent(chapterId)}/transcript`,
+            transcript
+        );
+        return response.data;
+    } catch (error) {
+        console.error('Error saving transcript:', error);
+        throw error;
+    }
+};
+
+export const deleteChapterTranscript = async (bookId: string, chapterId: string) => {
+    try {
+        const response = await axios.delete(
+            `${API_BASE_URL}/api/books/${encodeURIComponent(bookId)}/chapters/${encodeURIComponent(chapterId)}/transcript`
+        );
+        return response.data;
+    } catch (error) {
+        console.error('Error deleting transcript:', error);
+        throw error;
+    }
+};
+
+/**
+ * Passage difficulty heatmap for a chapter (null until enough listening history exists)
+ */
+export const getChapterHeatmap = async (bookId: string, chapterId: string): Promise<ChapterHeatmap | null> => {
+    try {
+        const response = await axios.get(
+            `${API_BASE_URL}/api/books/${encodeURIComponent(bookId)}/chapters/${encodeURIComponent(chapterId)}/heatmap`
+        );
+        return response.data;
+    } catch (error) {
+        if (!axios.isAxiosError(error) || error.response?.status !== 404) {
+            console.error('Error fetching heatmap:', error);
+        }
+        return null;
+    }
+};
+
+/**
+ * --- Consent and Data Erasure ---
+ */
+
+export const getConsent = async (userId: string): Promise<ParticipantConsent | null> => {
+    try {
+        const response = await axios.get(`${API_BASE_URL}/api/users/${encodeURIComponent(userId)}/consent`);
+        return response.data;
+    } catch (error) {
+        if (!axios.isAxiosError(error) || error.response?.status !== 404) {
+            console.error('Error fetching consent:', error);
+        }
+        return null;
+    }
+};
+
+export const saveConsent = async (
+    userId: string,
+    consent: { studyId: string; scopes: ConsentScope[]; version?: string }
+): Promise<ParticipantConsent> => {
+    try {
+        const response = await axios.put(`${API_BASE_URL}/api/users/${encodeURIComponent(userId)}/consent`, consent);
+        return response.data;
+    } catch (error) {
+        console.error('Error saving consent:', error);
+        throw error;
+    }
+};
+
+export const withdrawConsent = async (userId: string): Promise<ParticipantConsent> => {
+    try {
+        const response = await axios.delete(`${API_BASE_URL}/api/users/${encodeURIComponent(userId)}/consent`);
+        return response.data;
+    } catch (error) {
+        console.error('Error withdrawing consent:', error);
+        throw error;
+    }
+};
+
+/**
+ * Erase all sessions, progress and derived data of the user
+ */
+export const deleteUserData = async (userId: string) => {
+    try {
+        const response = await axios.delete(`${API_BASE_URL}/api/users/${encodeURIComponent(userId)}/data`);
+        return response.data;
+    } catch (error) {
+        console.error('Error deleting user data:', error);
+        throw error;
+    }
+};
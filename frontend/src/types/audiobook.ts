@@ -8,6 +8,76 @@ export interface Chapter {
     duration: string;
     startTime: number;
     audioUrl?: string;
+    // Recaps of the chapter so far (endsAt in seconds) and a whole-chapter summary
+    recaps?: ChapterRecap[];
+    summary?: string;
+    // Passages known to be hard to follow, used for proactive adaptations
+    difficultPassages?: DifficultPassage[];
+}
+
+export interface ChapterRecap {
+    endsAt: number;
+    text: string;
+}
+
+/**
+ * Authored difficult passage (start/end in seconds, difficulty 0..1, default 1)
+ */
+export interface DifficultPassage {
+    start: number;
+    end: number;
+    difficulty?: number;
+    reason?: string;
+    note?: string;
+}
+
+/**
+ * Timed transcript segment (start/end in seconds)
+ */
+export interface TranscriptSegment {
+    id: string;
+    start: number;
+    end: number;
+    text: string;
+    paragraphId?: string;
+}
+
+export interface ChapterTranscript {
+    bookId: string;
+    chapterId: string;
+    segments: TranscriptSegment[];
+    updatedAt: number;
+}
+
+/**
+ * Transcript upload: WebVTT text or JSON segments
+ */
+export type ChapterTranscriptInput = { vtt: string } | { segments: TranscriptSegment[] };
+
+/**
+ * Passage difficulty aggregated across listeners (times in seconds)
+ */
+export interface HeatmapBin {
+    start: number;
+    end: number;
+    replays: number;
+    pauses: number;
+    reversals: number;
+    listeners: number;
+    // Weighted events per listening session
+    rate: number;
+    // 0..1, relative to the hardest bin of the chapter
+    difficulty: number;
+}
+
+export interface ChapterHeatmap {
+    bookId: string;
+    chapterId: string;
+    binSeconds: number;
+    sessionCount: number;
+    bins: HeatmapBin[];
+    segments: { segmentId: string; replays: number; pauses: number; reversals: number; rate: number }[];
+    updatedAt: number;
 }
 
 export interface Audiobook {
@@ -4,17 +4,25 @@
  * NOT user commands or explicit inputs
  */
 
-export type BehavioralEventType =
-    | 'AUDIO_PLAY'
-    | 'AUDIO_PAUSE'
-    | 'AUDIO_SPEED_CHANGE'
-    | 'AUDIO_REPLAY'
-    | 'AUDIO_SEEK'
-    | 'NAVIGATION_REVERSAL'
-    | 'USER_IDLE'
-    | 'SECTION_COMPLETE'
-    | 'SESSION_START'
-    | 'SESSION_END';
+export const BEHAVIORAL_EVENT_TYPES = [
+    'AUDIO_PLAY',
+    'AUDIO_PAUSE',
+    'AUDIO_SPEED_CHANGE',
+    'AUDIO_REPLAY',
+    'AUDIO_SEEK',
+    'NAVIGATION_REVERSAL',
+    'USER_IDLE',
+    'SECTION_COMPLETE',
+    'SESSION_START',
+    'SESSION_END',
+    // Listener reactions to an adaptation (metadata.adaptationId)
+    'ADAPTATION_ACCEPTED',
+    'ADAPTATION_REJECTED',
+    'ADAPTATION_OVERRIDDEN'
+] as const;
+
+// Must match the backend behavioral-event schema (GET /api/schemas/behavioral-event)
+export type BehavioralEventType = typeof BEHAVIORAL_EVENT_TYPES[number];
 
 /**
  * Cognitive load levels inferred from behavioral patterns
@@ -38,7 +46,16 @@ export type BehavioralPattern =
 export type AdaptationStrategy =
     | 'SLOW_NARRATION'
     | 'AUTO_REPEAT'
-    | 'SMART_PAUSE';
+    | 'SMART_PAUSE'
+    | 'SUMMARY';
+
+/**
+ * Experiment arm a session was assigned to, stamped on its events, states and adaptations
+ */
+export interface ExperimentStamp {
+    experimentId: string;
+    armId: string;
+}
 
 /**
  * Behavioral Event Schema
@@ -58,6 +75,7 @@ export interface BehavioralEvent {
         idleDuration?: number;
         [key: string]: any;
     };
+    experiment?: ExperimentStamp;
 }
 
 /**
@@ -66,7 +84,21 @@ export interface BehavioralEvent {
  */
 export interface CognitiveState {
     sessionId: string;
+    // Id of the event the state was inferred for
+    stateId?: string;
+    engine?: 'rules' | 'model';
+    modelId?: string;
+    ruleSetId?: string;
+    ruleSetVersion?: number;
     cognitiveLoad: CognitiveLoadLevel;
+    // Smoothing: cognitiveLoad is the stable level, instantLoad the raw window level
+    instantLoad?: CognitiveLoadLevel;
+    loadScore?: number;
+    trend?: 'rising' | 'falling' | 'stable';
+    levelSince?: number;
+    // Set when rules judged deviations from the listener's own baseline
+    baselineApplied?: boolean;
+    loadProbabilities?: Record<CognitiveLoadLevel, number>;
     patterns: BehavioralPattern[];
     confidence: number;
     timestamp: number;
@@ -77,6 +109,7 @@ export interface CognitiveState {
         idleTime: number;
         navigationReversals: number;
     };
+    experiment?: ExperimentStamp;
 }
 
 /**
@@ -89,14 +122,61 @@ export interface AdaptationDecision {
     strategy: AdaptationStrategy;
     timestamp: number;
     reason: string;
+    // Scheduled ahead of a known difficult passage rather than reacting to behavior
+    proactive?: boolean;
     parameters: {
         speedAdjustment?: number;
         replayDuration?: number;
+        rewindTo?: number;
+        countdownMs?: number;
         pauseDuration?: number;
         summaryText?: string;
+        recapEndsAt?: number | null;
+        displayDuration?: number;
+        // Proactive adaptations: chapter position (seconds) to apply at, and the passage they prepare for
+        startAt?: number;
+        passageStart?: number;
+        passageEnd?: number;
+        difficulty?: number;
         [key: string]: any;
     };
-    triggeredBy: BehavioralPattern[];
+    triggeredBy: (BehavioralPattern | 'difficult_passage')[];
+    // Set once the listener accepted, rejected or undid the adaptation
+    feedback?: {
+        outcome: 'accepted' | 'rejected' | 'overridden';
+        at: number;
+    };
+    // Set when a bandit policy chose the strategy variant (ADAPTATION_POLICY=bandit)
+    policy?: {
+        name: 'bandit';
+        key: string;
+        context: string;
+        arm: string;
+        explored: boolean;
+        loadScore: number;
+    };
+    reward?: number;
+    experiment?: ExperimentStamp;
+    // false when an experiment's control arm recorded the adaptation without delivering it
+    delivered?: boolean;
+}
+
+/**
+ * Participant consent
+ * behavioral: listening events and what is inferred from them; research: pseudonymised research exports
+ */
+export type ConsentScope = 'behavioral' | 'research';
+
+export interface ParticipantConsent {
+    userId: string;
+    studyId: string;
+    scopes: ConsentScope[];
+    version?: string;
+    grantedAt: number;
+    withdrawnAt: number | null;
+    updatedAt: number;
+    // What the consent covers right now
+    allows: Record<ConsentScope, boolean>;
 }
 
 /**
@@ -0,0 +1,15 @@
+import { readFileSync } from 'node:fs';
+import { describe, it, expect } from 'vitest';
+import { BEHAVIORAL_EVENT_TYPES } from './index';
+
+// Canonical schema served by the data service at /schemas/behavioral-event
+const eventSchema = JSON.parse(readFileSync(
+    new URL('../../../backend/services/data-service/src/schemas/behavioral-event.json', import.meta.url),
+    'utf8'
+));
+
+describe('Shared schemas', () => {
+    it('event types match the backend behavioral-event schema', () => {
+        expect([...BEHAVIORAL_EVENT_TYPES]).toEqual(eventSchema.properties.eventType.enum);
+    });
+});